@@ -20,6 +20,13 @@ export default [
             'Request',
             'Response',
             'Headers',
+            'URL',
+            'URLSearchParams',
+            'ReadableStream',
+            'CryptoKey',
+            'JsonWebKey',
+            'BufferSource',
+            'BodyInit',
             'Timer',
             'Window',
             'Console'
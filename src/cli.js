@@ -10,9 +10,53 @@ import { logger } from './libs/logger.js'
 import { program, Option } from 'commander'
 import { start } from './core.js'
 import { checkRoutingTable } from './libs/routing-table.js'
+import { IP_FILTER_ORDERS, isValidCidr } from './libs/ip.js'
+import { hashApiKey } from './libs/api-keys.js'
+import { loadMiddlewares, findMissingMiddlewares } from './libs/middlewares.js'
 
 const LOG_PREFIX = 'CLI:'
 
+/**
+ * Parse a comma-separated list of IP addresses or CIDR ranges
+ * @param {string|undefined} value - The comma-separated list
+ * @returns {string[]|undefined} The IP addresses or CIDR ranges, undefined if the list is empty
+ */
+function parseCidrList (value) {
+  const cidrs = (value || '').split(',').map(cidr => cidr.trim()).filter(cidr => cidr)
+  return cidrs.length > 0 ? cidrs : undefined
+}
+
+/**
+ * Load the middlewares of a directory and check that the routing table only references loaded middlewares
+ * @param {string|undefined} directory - The middlewares directory, no middlewares being loaded if undefined
+ * @param {import('./libs/routing-table.js').RoutingTable} routingTable - The routing table
+ * @returns {Promise<import('./worker-process.js').Middlewares|null>} The middlewares, null if they could not be loaded or some are missing
+ */
+async function loadRoutingTableMiddlewares (directory, routingTable) {
+  /** @type {import('./worker-process.js').Middlewares} */
+  let middlewares = {
+    preProcessing: [],
+    postProcessing: []
+  }
+  if (directory) {
+    try {
+      middlewares = await loadMiddlewares(directory)
+    } catch (error) {
+      logger.error({ error, directory }, `${LOG_PREFIX} The middlewares of the directory "${directory}" could not be loaded.`)
+      return null
+    }
+  }
+  const missingMiddlewares = findMissingMiddlewares(routingTable, middlewares)
+  if (missingMiddlewares.length > 0) {
+    logger.error(`${LOG_PREFIX} The routing table references middlewares that are not loaded:`)
+    missingMiddlewares.forEach((missingMiddleware) => {
+      logger.error(missingMiddleware)
+    })
+    return null
+  }
+  return middlewares
+}
+
 /**
  * Initialize the CLI
  * @returns {Promise<void>}
@@ -83,9 +127,45 @@ async function init () {
         '--api-key <apiKey>',
         'The API key.'
       ))
+      .addOption(new Option(
+        '--ip-allow <cidrs>',
+        'The comma-separated client IP addresses or CIDR ranges allowed to reach the proxy.'
+      ))
+      .addOption(new Option(
+        '--ip-deny <cidrs>',
+        'The comma-separated client IP addresses or CIDR ranges denied to reach the proxy.'
+      ))
+      .addOption(new Option(
+        '--ip-filter-order <order>',
+        'The IP list taking precedence for the addresses belonging to both lists.'
+      )
+        .choices(IP_FILTER_ORDERS)
+      )
+      .addOption(new Option(
+        '--trusted-proxies <cidrs>',
+        'The comma-separated IP addresses or CIDR ranges of the proxies trusted to set the X-Forwarded-For header.'
+      ))
+      .addOption(new Option(
+        '--middlewares <dir>',
+        'The directory of the middleware modules, exporting their pre-processing and post-processing handlers by key.'
+      ))
       .action(async (options) => {
         logger.info(options)
 
+        const ipAllow = parseCidrList(options.ipAllow || env.MAEGASHIRA_IP_ALLOW)
+        const ipDeny = parseCidrList(options.ipDeny || env.MAEGASHIRA_IP_DENY)
+        const trustedProxies = parseCidrList(options.trustedProxies || env.MAEGASHIRA_TRUSTED_PROXIES)
+        const invalidCidrs = [...(ipAllow || []), ...(ipDeny || []), ...(trustedProxies || [])].filter(cidr => !isValidCidr(cidr))
+        if (invalidCidrs.length > 0) {
+          logger.error({ invalidCidrs }, `${LOG_PREFIX} Invalid IP addresses or CIDR ranges: ${invalidCidrs.join(', ')}`)
+          return
+        }
+        const ipFilterOrder = options.ipFilterOrder || env.MAEGASHIRA_IP_FILTER_ORDER || 'deny-first'
+        if (!IP_FILTER_ORDERS.includes(ipFilterOrder)) {
+          logger.error({ ipFilterOrder }, `${LOG_PREFIX} Invalid IP filter order "${ipFilterOrder}", expected one of: ${IP_FILTER_ORDERS.join(', ')}`)
+          return
+        }
+
         let routingTable = []
         if (options.file) {
           const routingTableFilePath = options.file
@@ -106,6 +186,11 @@ async function init () {
           }
         }
 
+        const middlewares = await loadRoutingTableMiddlewares(options.middlewares || env.MAEGASHIRA_MIDDLEWARES, routingTable)
+        if (!middlewares) {
+          return
+        }
+
         await start({
           hostname: options.hostname || env.MAEGASHIRA_HOSTNAME || '0.0.0.0',
           port: options.port || Number(env.MAEGASHIRA_PORT || 18080),
@@ -121,6 +206,15 @@ async function init () {
             port: options.apiPort || Number(env.MAEGASHIRA_API_PORT || 8081),
             key: options.apiKey || env.MAEGASHIRA_API_KEY || null
           },
+          ipFilter: ipAllow || ipDeny
+            ? {
+                allow: ipAllow,
+                deny: ipDeny,
+                order: ipFilterOrder
+              }
+            : undefined,
+          trustedProxies,
+          middlewares,
           routingTable
         })
       })
@@ -133,6 +227,10 @@ async function init () {
       )
         .makeOptionMandatory()
       )
+      .addOption(new Option(
+        '--middlewares <dir>',
+        'The directory of the middleware modules, to check that the middlewares referenced by the routing table exist.'
+      ))
       .action(async (options) => {
         const filePath = options.file
         const fileObject = file(filePath)
@@ -151,9 +249,24 @@ async function init () {
           })
           return
         }
+        const middlewaresDirectory = options.middlewares || env.MAEGASHIRA_MIDDLEWARES
+        if (middlewaresDirectory) {
+          if (!await loadRoutingTableMiddlewares(middlewaresDirectory, routingTable)) {
+            return
+          }
+        } else if (routingTable.some((/** @type {import('./libs/routing-table.js').Route} */ route) => route.middlewares)) {
+          logger.warn(`${LOG_PREFIX} The middlewares referenced by the file "${filePath}" were not checked, use the --middlewares option to check them.`)
+        }
         logger.info(`${LOG_PREFIX} The file "${filePath}" is valid.`)
       })
 
+    program.command('hash-api-key')
+      .description('Hash an API key for the API key authentication strategy.')
+      .argument('<key>', 'The API key to hash.')
+      .action((key) => {
+        process.stdout.write(hashApiKey(key) + '\n')
+      })
+
     program.parse()
   } catch (error) {
     logger.error({ error }, `${LOG_PREFIX} Error initializing CLI.`)
@@ -3,6 +3,7 @@ import { ProxyError, ProxyErrorCause } from './libs/errors.js'
 import { startPrimaryProcess, stopPrimaryProcess } from './primary-process.js'
 import { startWorkerProcess } from './worker-process.js'
 import { logger } from './libs/logger.js'
+import { compileCidrs, compileIpFilter } from './libs/ip.js'
 
 /** @typedef {import('./primary-process.js').PrimaryProcessOptions & import('./worker-process.js').WorkerProcessOptions} serverOptions */
 
@@ -39,9 +40,18 @@ export async function start ({
     preProcessing: [],
     postProcessing: []
   },
+  ipFilter,
+  trustedProxies,
   routingTable
 }) {
   try {
+    // Validate the IP options before starting the processes, so that an invalid range isn't silently ignored
+    if (ipFilter) {
+      compileIpFilter(ipFilter)
+    }
+    if (trustedProxies) {
+      compileCidrs(trustedProxies)
+    }
     serverOptions = {
       clustering,
       redis,
@@ -65,7 +75,9 @@ export async function start ({
           port,
           hostname,
           redis,
-          middlewares
+          middlewares,
+          ipFilter,
+          trustedProxies
         })
       } else {
         throw new ProxyServerError('Failed to start worker process',
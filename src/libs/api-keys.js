@@ -0,0 +1,118 @@
+import { createHash } from 'node:crypto'
+import { logger } from './logger.js'
+import { getRedisConnection } from './queues.js'
+// @ts-ignore
+import pck from '../../package.json'
+
+const LOG_PREFIX = 'API keys:'
+
+const REDIS_PREFIX = `${pck.name}:api-keys`
+
+/**
+ * The API keys of the strategies defined in the routing table, by key hash
+ * @type {WeakMap<import('./routing-table.js').ApiKeyAuthenticationStrategy, Map<string, import('./routing-table.js').ApiKey>>}
+ */
+const strategiesKeys = new WeakMap()
+
+/**
+ * @function hashApiKey
+ * @description Hash an API key, only the hashes being stored in the routing table and in Redis
+ * @param {string} key - The API key
+ * @returns {string} The SHA-256 hash of the key, in hexadecimal
+ */
+export function hashApiKey (key) {
+  return createHash('sha256').update(key).digest('hex')
+}
+
+/**
+ * @function verifyApiKey
+ * @description Find the consumer of an API key, in the routing table and then in Redis
+ * The Redis keys are hashes named "maegashira:api-keys:<key hash>" with the "consumer" and optional "expiresAt" fields.
+ * @param {string} key - The API key
+ * @param {import('./routing-table.js').ApiKeyAuthenticationStrategy} strategy - The API key authentication strategy
+ * @returns {Promise<string|null>} The consumer name, null if the key is unknown or expired
+ */
+export async function verifyApiKey (key, strategy) {
+  const keyHash = hashApiKey(key)
+  let apiKey = getStrategyKeys(strategy).get(keyHash)
+  if (!apiKey && strategy.redis) {
+    apiKey = await getRedisApiKey(keyHash)
+  }
+  if (!apiKey) {
+    return null
+  }
+  if (apiKey.expiresAt && Date.parse(apiKey.expiresAt) <= Date.now()) {
+    logger.debug({ consumer: apiKey.consumer }, `${LOG_PREFIX} API key of ${apiKey.consumer} expired`)
+    return null
+  }
+  return apiKey.consumer
+}
+
+/**
+ * @function apiKeyAuthentication
+ * @description API key authentication middleware, removing the API key from the request forwarded to the target
+ * @param {object} options - The options
+ * @param {Request} options.request - The incoming request
+ * @param {URL} options.url - The incoming request URL, used to build the forwarded URL
+ * @param {import('./routing-table.js').ApiKeyAuthenticationStrategy} options.strategy - The API key authentication strategy
+ * @returns {Promise<{response: null|Response, consumer?: string, keyHash?: string}>} The response if the authentication failed, the API key consumer and hash otherwise
+ */
+export async function apiKeyAuthentication ({
+  request,
+  url,
+  strategy
+}) {
+  const header = strategy.header || 'X-API-Key'
+  const key = request.headers.get(header) || (strategy.query ? url.searchParams.get(strategy.query) : null)
+  request.headers.delete(header)
+  if (strategy.query) {
+    url.searchParams.delete(strategy.query)
+  }
+  const consumer = key ? await verifyApiKey(key, strategy) : null
+  if (!key || !consumer) {
+    return {
+      response: new Response('Not authorized', { status: 401 })
+    }
+  }
+  // The key hash is kept, as the removed key can't be read by the rate limiting anymore
+  return { response: null, consumer, keyHash: hashApiKey(key) }
+}
+
+/**
+ * @function getStrategyKeys
+ * @description Get the API keys defined in the routing table for a strategy, indexed by hash
+ * @param {import('./routing-table.js').ApiKeyAuthenticationStrategy} strategy - The API key authentication strategy
+ * @returns {Map<string, import('./routing-table.js').ApiKey>} The API keys, by hash
+ */
+function getStrategyKeys (strategy) {
+  let keys = strategiesKeys.get(strategy)
+  if (!keys) {
+    keys = new Map((strategy.keys || []).map(apiKey => [apiKey.hash.toLowerCase(), apiKey]))
+    strategiesKeys.set(strategy, keys)
+  }
+  return keys
+}
+
+/**
+ * @function getRedisApiKey
+ * @description Get an API key stored in Redis, Redis failures being handled as unknown keys
+ * @param {string} keyHash - The API key hash
+ * @returns {Promise<import('./routing-table.js').ApiKey|undefined>} The API key, undefined if not found
+ */
+async function getRedisApiKey (keyHash) {
+  const redisConnection = getRedisConnection()
+  // Don't wait for a reconnection, commands are queued while Redis is unavailable
+  if (!redisConnection || redisConnection.status !== 'ready') {
+    return undefined
+  }
+  try {
+    const apiKey = await redisConnection.hgetall(`${REDIS_PREFIX}:${keyHash}`)
+    if (!apiKey.consumer) {
+      return undefined
+    }
+    return { hash: keyHash, consumer: apiKey.consumer, expiresAt: apiKey.expiresAt }
+  } catch (error) {
+    logger.warn({ error }, `${LOG_PREFIX} Failed to get the API key from Redis`)
+    return undefined
+  }
+}
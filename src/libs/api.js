@@ -4,6 +4,9 @@ import { logger } from './logger.js'
 import { ProxyError, ProxyErrorCause } from './errors.js'
 import { getOpenApiSpecification, getOpenApiExplorer } from './openapi.js'
 import { aggregatorRegistry } from './metrics-aggragator.js'
+import { getTargetsHealth } from './health-checks.js'
+import { purgeCache, propagateCachePurgeToWorkers } from './cache.js'
+import { getRouteKey } from './load-balancing.js'
 
 /** @type {import('bun').Server} */
 let apiServer
@@ -75,6 +78,47 @@ export async function apiRequestHandler (req) {
     })
   }
 
+  if (req.method === 'GET' && url.pathname === '/targets/health') {
+    return Response.json(getTargetsHealth(), { status: 200 })
+  }
+
+  if (req.method === 'POST' && url.pathname === '/cache/purge') {
+    /** @type {{url?: string, prefix?: string, hostname?: string, path?: string, tag?: string}} */
+    let purgeRequest
+    try {
+      purgeRequest = await req.json()
+    } catch {
+      return new Response('Bad request. Expected a JSON body', { status: 400 })
+    }
+    if (typeof purgeRequest !== 'object' || purgeRequest === null) {
+      return new Response('Bad request. Expected a JSON object', { status: 400 })
+    }
+    /** @type {import('./cache.js').CachePurgeFilter} */
+    const filter = {}
+    if (typeof purgeRequest.url === 'string') {
+      filter.url = purgeRequest.url
+    } else if (typeof purgeRequest.prefix === 'string') {
+      filter.prefix = purgeRequest.prefix
+    } else if (typeof purgeRequest.hostname === 'string') {
+      filter.routeKeys = getRoutingTable()
+        .filter(route => route.hostname === purgeRequest.hostname && route.path === (purgeRequest.path || ''))
+        .map(getRouteKey)
+    } else if (typeof purgeRequest.tag === 'string') {
+      filter.tag = purgeRequest.tag
+    } else {
+      return new Response('Bad request. Expected a "url", "prefix", "hostname" or "tag" property', { status: 400 })
+    }
+    // Purge the workers memory caches even if Redis fails
+    propagateCachePurgeToWorkers(filter)
+    try {
+      const purged = await purgeCache(filter)
+      return Response.json({ purged }, { status: 200 })
+    } catch (error) {
+      logger.error({ error, filter }, 'Failed to purge the cache')
+      return new Response('Service unavailable. The cache could not be purged', { status: 503 })
+    }
+  }
+
   return new Response('Not found', { status: 404 })
 }
 
@@ -0,0 +1,316 @@
+import { createHash, randomUUID, timingSafeEqual } from 'node:crypto'
+import { file, password as passwordHasher } from 'bun'
+import { logger } from './logger.js'
+
+const LOG_PREFIX = 'Basic auth:'
+
+/**
+ * The base-64 alphabet of the crypt hashes
+ * @type {string}
+ */
+const CRYPT_ALPHABET = './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz'
+
+/**
+ * The password of the dummy hashes verified for the unknown users
+ * @type {string}
+ */
+const DUMMY_PASSWORD = randomUUID()
+
+/**
+ * The htpasswd hash formats, the other entries being rejected when the file is loaded
+ * @type {RegExp}
+ */
+const HTPASSWD_HASH_FORMAT = /^(\$(2[abxy]|argon2(id|i|d)|apr1)\$|\{SHA\})/
+
+/**
+ * @typedef {object} BasicCredentials
+ * @property {string} username - The user name
+ * @property {string} password - The password
+ */
+
+/**
+ * @typedef {object} HtpasswdFile
+ * @property {number} lastModified - The file modification time when it was loaded
+ * @property {Map<string, string>} users - The password hashes, by user name
+ */
+
+/**
+ * The htpasswd files, by path, reloaded when they are modified
+ * @type {Map<string, HtpasswdFile>}
+ */
+const htpasswdFiles = new Map()
+
+/**
+ * The users defined in the routing table, by strategy
+ * @type {WeakMap<import('./routing-table.js').BasicAuthenticationStrategy, Map<string, string>>}
+ */
+const strategiesUsers = new WeakMap()
+
+/**
+ * The dummy password hashes, by hash algorithm and cost
+ * @type {Map<string, string>}
+ */
+const dummyPasswords = new Map()
+
+/**
+ * @function basicAuthentication
+ * @description Authenticate a request with the basic authentication scheme
+ * @param {object} options - The options
+ * @param {Request} options.request - The incoming request
+ * @param {URL} options.url - The incoming request URL
+ * @param {import('./routing-table.js').BasicAuthenticationStrategy} options.strategy - The basic authentication strategy
+ * @returns {Promise<{response: null|Response, username?: string}>} The response if the authentication failed, the user name otherwise
+ */
+export async function basicAuthentication ({ request, url, strategy }) {
+  const credentials = parseBasicAuthorization(request.headers.get('Authorization'))
+  if (credentials && await verifyBasicCredentials(strategy, credentials)) {
+    return { response: null, username: credentials.username }
+  }
+  const realm = (strategy.realm || url.hostname).replace(/["\\]/g, '')
+  return {
+    response: new Response('Not authorized', {
+      headers: {
+        'WWW-Authenticate': `Basic realm="${realm}", charset="UTF-8"`
+      },
+      status: 401
+    })
+  }
+}
+
+/**
+ * @function parseBasicAuthorization
+ * @description Parse the credentials of a basic authorization header, the password being able to contain colons
+ * @param {string|null} authorizationHeader - The Authorization header
+ * @returns {BasicCredentials|null} The credentials, null if the header is missing or malformed
+ */
+export function parseBasicAuthorization (authorizationHeader) {
+  const [scheme, encodedCredentials, ...rest] = (authorizationHeader || '').trim().split(/\s+/)
+  if (scheme?.toLowerCase() !== 'basic' || !encodedCredentials || rest.length > 0 ||
+    !/^[A-Za-z0-9+/]+={0,2}$/.test(encodedCredentials)) {
+    return null
+  }
+  const decodedCredentials = Buffer.from(encodedCredentials, 'base64').toString('utf8')
+  const separatorIndex = decodedCredentials.indexOf(':')
+  if (separatorIndex < 1) {
+    return null
+  }
+  return {
+    username: decodedCredentials.slice(0, separatorIndex),
+    password: decodedCredentials.slice(separatorIndex + 1)
+  }
+}
+
+/**
+ * @function verifyBasicCredentials
+ * @description Verify credentials against the users of the routing table and of the htpasswd file
+ * The passwords can be bcrypt, argon2 or Apache MD5 ($apr1$) hashes, SHA-1 hashes prefixed with {SHA}, or plain text not starting with "$".
+ * @param {import('./routing-table.js').BasicAuthenticationStrategy} strategy - The basic authentication strategy
+ * @param {BasicCredentials} credentials - The credentials to verify
+ * @returns {Promise<boolean>} True if the credentials are valid
+ */
+export async function verifyBasicCredentials (strategy, { username, password }) {
+  const strategyUsers = getStrategyUsers(strategy)
+  const htpasswdUsers = strategy.htpasswd ? await getHtpasswdUsers(strategy.htpasswd) : new Map()
+  const storedPassword = strategyUsers.get(username) ?? htpasswdUsers.get(username)
+  if (storedPassword === undefined) {
+    // Verify a dummy password hashed like the known ones, so that unknown users can't be detected from the response time
+    const [knownPassword] = [...strategyUsers.values(), ...htpasswdUsers.values()]
+    if (knownPassword !== undefined) {
+      await verifyPassword(password, await getDummyPassword(knownPassword), username)
+    }
+    return false
+  }
+  return await verifyPassword(password, storedPassword, username)
+}
+
+/**
+ * @function verifyPassword
+ * @description Verify a password against a stored password, hashed or in plain text
+ * @param {string} password - The password to verify
+ * @param {string} storedPassword - The stored password
+ * @param {string} username - The user name, for the logs
+ * @returns {Promise<boolean>} True if the password is valid
+ */
+async function verifyPassword (password, storedPassword, username) {
+  if (/^\$(2[abxy]|argon2(id|i|d))\$/.test(storedPassword)) {
+    try {
+      return await passwordHasher.verify(password, storedPassword)
+    } catch (error) {
+      logger.warn({ error, username }, `${LOG_PREFIX} Failed to verify the password hash of ${username}`)
+      return false
+    }
+  }
+  if (storedPassword.startsWith('$apr1$')) {
+    const salt = storedPassword.slice(6).split('$')[0]
+    return safeEqual(hashApr1(password, salt), storedPassword)
+  }
+  if (storedPassword.startsWith('{SHA}')) {
+    return safeEqual(createHash('sha1').update(password).digest('base64'), storedPassword.slice(5))
+  }
+  if (/^\$(1|5|6|y|gy|7|md5|sha1)\$/.test(storedPassword)) {
+    // The other crypt hashes (e.g. MD5, SHA-512 or yescrypt) must not be compared as plain text
+    // The other passwords starting with "$" are compared as plain text, so that the existing credentials keep working
+    logger.warn({ username }, `${LOG_PREFIX} Unsupported password hash format for ${username}`)
+    return false
+  }
+  return safeEqual(password, storedPassword)
+}
+
+/**
+ * @function getDummyPassword
+ * @description Get a dummy password hashed with the same algorithm and cost as a known password
+ * @param {string} knownPassword - The known stored password
+ * @returns {Promise<string>} The dummy password
+ */
+async function getDummyPassword (knownPassword) {
+  const bcryptMatch = /^\$2[abxy]\$(\d+)\$/.exec(knownPassword)
+  const argon2Match = /^\$(argon2(?:id|i|d))\$v=\d+\$m=(\d+),t=(\d+)/.exec(knownPassword)
+  const parameters = bcryptMatch?.[0] || argon2Match?.[0]
+  if (!parameters) {
+    // The other formats take the same time whatever the password
+    return knownPassword
+  }
+  let dummyPassword = dummyPasswords.get(parameters)
+  if (!dummyPassword) {
+    dummyPassword = await (bcryptMatch
+      ? passwordHasher.hash(DUMMY_PASSWORD, { algorithm: 'bcrypt', cost: Number(bcryptMatch[1]) })
+      : passwordHasher.hash(DUMMY_PASSWORD, {
+        algorithm: /** @type {'argon2id'|'argon2i'|'argon2d'} */ (argon2Match?.[1]),
+        memoryCost: Number(argon2Match?.[2]),
+        timeCost: Number(argon2Match?.[3])
+      }))
+    dummyPasswords.set(parameters, dummyPassword)
+  }
+  return dummyPassword
+}
+
+/**
+ * @function hashApr1
+ * @description Hash a password with the Apache MD5 algorithm, the default algorithm of the htpasswd files
+ * @param {string} password - The password
+ * @param {string} salt - The salt, up to 8 characters
+ * @returns {string} The hash, in the "$apr1$<salt>$<hash>" format
+ */
+export function hashApr1 (password, salt) {
+  const passwordBytes = Buffer.from(password)
+  const saltBytes = Buffer.from(salt.slice(0, 8))
+  const magic = Buffer.from('$apr1$')
+
+  const alternate = createHash('md5').update(passwordBytes).update(saltBytes).update(passwordBytes).digest()
+  const context = createHash('md5').update(passwordBytes).update(magic).update(saltBytes)
+  for (let length = passwordBytes.length; length > 0; length -= 16) {
+    context.update(alternate.subarray(0, Math.min(length, 16)))
+  }
+  for (let length = passwordBytes.length; length > 0; length >>= 1) {
+    context.update(length & 1 ? Buffer.alloc(1) : passwordBytes.subarray(0, 1))
+  }
+  let digest = context.digest()
+  for (let round = 0; round < 1000; round++) {
+    const roundContext = createHash('md5')
+    roundContext.update(round & 1 ? passwordBytes : digest)
+    if (round % 3) {
+      roundContext.update(saltBytes)
+    }
+    if (round % 7) {
+      roundContext.update(passwordBytes)
+    }
+    roundContext.update(round & 1 ? digest : passwordBytes)
+    digest = roundContext.digest()
+  }
+
+  /** @type {[number, number, number][]} */
+  const groups = [[0, 6, 12], [1, 7, 13], [2, 8, 14], [3, 9, 15], [4, 10, 5]]
+  let encoded = ''
+  for (const [first, second, third] of groups) {
+    encoded += encodeApr1((digest.readUInt8(first) << 16) | (digest.readUInt8(second) << 8) | digest.readUInt8(third), 4)
+  }
+  encoded += encodeApr1(digest.readUInt8(11), 2)
+  return `$apr1$${saltBytes.toString()}$${encoded}`
+}
+
+/**
+ * @function encodeApr1
+ * @description Encode a value with the base-64 alphabet of the crypt hashes, least significant bits first
+ * @param {number} value - The value to encode
+ * @param {number} length - The number of characters
+ * @returns {string} The encoded value
+ */
+function encodeApr1 (value, length) {
+  let encoded = ''
+  for (let index = 0; index < length; index++) {
+    encoded += CRYPT_ALPHABET.charAt(value & 0x3f)
+    value >>= 6
+  }
+  return encoded
+}
+
+/**
+ * @function safeEqual
+ * @description Compare two strings in constant time, whatever their lengths
+ * @param {string} value - The value
+ * @param {string} expectedValue - The expected value
+ * @returns {boolean} True if the strings are equal
+ */
+function safeEqual (value, expectedValue) {
+  return timingSafeEqual(
+    createHash('sha256').update(value).digest(),
+    createHash('sha256').update(expectedValue).digest()
+  )
+}
+
+/**
+ * @function getStrategyUsers
+ * @description Get the users defined in the routing table for a strategy
+ * @param {import('./routing-table.js').BasicAuthenticationStrategy} strategy - The basic authentication strategy
+ * @returns {Map<string, string>} The passwords or password hashes, by user name
+ */
+function getStrategyUsers (strategy) {
+  let users = strategiesUsers.get(strategy)
+  if (!users) {
+    users = new Map((strategy.users || []).map(user => [user.username, user.password]))
+    if (strategy.username !== undefined && strategy.password !== undefined) {
+      users.set(strategy.username, strategy.password)
+    }
+    strategiesUsers.set(strategy, users)
+  }
+  return users
+}
+
+/**
+ * @function getHtpasswdUsers
+ * @description Get the users of an htpasswd file, the file being reloaded when modified
+ * Only the bcrypt, argon2, Apache MD5 ($apr1$) and {SHA} hashes are supported, the other entries being ignored.
+ * @param {string} path - The htpasswd file path
+ * @returns {Promise<Map<string, string>>} The password hashes, by user name
+ */
+async function getHtpasswdUsers (path) {
+  const htpasswdFile = file(path)
+  const cachedFile = htpasswdFiles.get(path)
+  try {
+    const lastModified = htpasswdFile.lastModified
+    if (cachedFile && cachedFile.lastModified === lastModified) {
+      return cachedFile.users
+    }
+    /** @type {Map<string, string>} */
+    const users = new Map()
+    for (const line of (await htpasswdFile.text()).split(/\r?\n/)) {
+      const separatorIndex = line.indexOf(':')
+      if (line.trim() && !line.trimStart().startsWith('#') && separatorIndex > 0) {
+        const username = line.slice(0, separatorIndex).trim()
+        const passwordHash = line.slice(separatorIndex + 1).trim()
+        if (HTPASSWD_HASH_FORMAT.test(passwordHash)) {
+          users.set(username, passwordHash)
+        } else {
+          // e.g. the crypt hashes, which would otherwise be compared as plain text
+          logger.warn({ path, username }, `${LOG_PREFIX} Unsupported password hash format for ${username} in the htpasswd file ${path}, the user is ignored`)
+        }
+      }
+    }
+    htpasswdFiles.set(path, { lastModified, users })
+    logger.debug({ path, users: users.size }, `${LOG_PREFIX} htpasswd file ${path} loaded`)
+    return users
+  } catch (error) {
+    logger.warn({ error, path }, `${LOG_PREFIX} Failed to load the htpasswd file ${path}`)
+    return cachedFile?.users || new Map()
+  }
+}
@@ -0,0 +1,642 @@
+import cluster from 'node:cluster'
+import { createHash } from 'node:crypto'
+import { env, concatArrayBuffers } from 'bun'
+import { logger } from './logger.js'
+import { getRedisConnection } from './queues.js'
+import { getRouteKey } from './load-balancing.js'
+// @ts-ignore
+import pck from '../../package.json'
+
+/**
+ * @typedef {object} CacheEntryMetadata
+ * @property {string} url - The request URL
+ * @property {string} routeKey - The key of the route that stored the response
+ * @property {string[]} tags - The surrogate keys of the response
+ * @property {number} status - The response status
+ * @property {string} statusText - The response status text
+ * @property {[string, string][]} headers - The response headers
+ * @property {number} storedAt - The time the response was stored
+ * @property {number} expiresAt - The time the response becomes stale
+ * @property {number} staleWhileRevalidateUntil - The time until which the stale response can be served while it is refreshed
+ * @property {number} staleIfErrorUntil - The time until which the stale response can be served when the target fails
+ * @property {number} size - The approximate memory size of the entry in bytes
+ */
+
+/** @typedef {CacheEntryMetadata & {body: ArrayBuffer}} CacheEntry */
+
+/** @typedef {'fresh'|'stale-while-revalidate'|'stale-if-error'} CachedResponseFreshness */
+
+/**
+ * @typedef {object} CachedResponse
+ * @property {Response} response - The cached response
+ * @property {CachedResponseFreshness} freshness - Whether the response can be served as is, served while it is refreshed or only served if the target fails
+ * @property {string} key - The variant key, identifying the response being refreshed
+ */
+
+/**
+ * @typedef {object} CachePurgeFilter
+ * @property {string} [url] - Purge the responses of an exact URL
+ * @property {string} [prefix] - Purge the responses of the URLs starting with a prefix
+ * @property {string[]} [routeKeys] - Purge the responses stored by routes
+ * @property {string} [tag] - Purge the responses tagged with a surrogate key
+ */
+
+/**
+ * The cached responses by variant key, in least recently used order
+ * @type {Map<string, CacheEntry>}
+ */
+const entries = new Map()
+
+/**
+ * The request headers the responses vary on, by route and URL
+ * @type {Map<string, string[]>}
+ */
+const varyHeaders = new Map()
+
+/**
+ * The total size of the cached responses in bytes
+ * @type {number}
+ */
+let cacheSize = 0
+
+/**
+ * The maximum size of the cache of a worker in bytes (default: 64 MiB)
+ * @type {number}
+ */
+const MAX_CACHE_SIZE = Number(env.MAEGASHIRA_CACHE_SIZE) || 64 * 1024 * 1024
+
+/**
+ * The maximum size of a cached response in bytes, so that a single response can't evict the whole cache
+ * @type {number}
+ */
+const MAX_ENTRY_SIZE = Math.floor(MAX_CACHE_SIZE / 8)
+
+/**
+ * The status codes cached by default
+ * @type {number[]}
+ * @see https://httpwg.org/specs/rfc9110.html#overview.of.status.codes
+ */
+const CACHEABLE_STATUSES = [200, 203, 204, 300, 301, 308, 404, 410]
+
+/**
+ * The headers not stored with the cached responses
+ * @type {string[]}
+ */
+const UNCACHED_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'content-length', 'age']
+
+const REDIS_PREFIX = `${pck.name}:cache`
+
+/**
+ * The Redis keys of the cached responses and of their purge indexes
+ * Index keys are sets of entry keys, the URL index keys contain the URL so that they can be scanned by prefix.
+ * Vary keys are hashes of the request headers the responses of a URL vary on, by route key.
+ */
+const redisKeys = {
+  entry: (/** @type {string} */ variantKey) => `${REDIS_PREFIX}:entry:${createHash('sha1').update(variantKey).digest('hex')}`,
+  vary: (/** @type {string} */ url) => `${REDIS_PREFIX}:route-vary:${url}`,
+  url: (/** @type {string} */ url) => `${REDIS_PREFIX}:url:${url}`,
+  route: (/** @type {string} */ routeKey) => `${REDIS_PREFIX}:route:${routeKey}`,
+  tag: (/** @type {string} */ tag) => `${REDIS_PREFIX}:tag:${tag}`
+}
+
+/**
+ * @function isCacheableRequest
+ * @description Check if the response of a request can be served from or stored in the cache
+ * @param {Request} request - The incoming request
+ * @returns {boolean} True if the request method is GET or HEAD and the client allows storing the response
+ */
+export function isCacheableRequest (request) {
+  return (request.method === 'GET' || request.method === 'HEAD') &&
+    !parseCacheControl(request.headers.get('cache-control')).has('no-store')
+}
+
+/**
+ * @function getCachedResponse
+ * @description Get the cached response of a request, HEAD requests being served from the cached GET responses
+ * @param {Request} request - The incoming request
+ * @param {import('./routing-table.js').Route} route - The matched route
+ * @returns {Promise<CachedResponse|null>} The cached response and its freshness, null if there is no usable response or the client requires a new one
+ */
+export async function getCachedResponse (request, route) {
+  const requestCacheControl = parseCacheControl(request.headers.get('cache-control'))
+  if (requestCacheControl.has('no-cache') || request.headers.get('pragma') === 'no-cache') {
+    return null
+  }
+  const cachedEntry = route.cacheStrategy?.type === 'redis'
+    ? await getRedisEntry(request, getRouteKey(route))
+    : getMemoryEntry(request, getRouteKey(route))
+  const freshness = cachedEntry ? getFreshness(cachedEntry.entry) : null
+  if (!cachedEntry || !freshness) {
+    return null
+  }
+  const { key, entry } = cachedEntry
+  const headers = new Headers(entry.headers)
+  headers.set('Age', String(Math.floor((Date.now() - entry.storedAt) / 1000)))
+  return {
+    response: new Response(request.method === 'HEAD' ? null : entry.body, {
+      status: entry.status,
+      statusText: entry.statusText,
+      headers
+    }),
+    freshness,
+    key
+  }
+}
+
+/**
+ * @function storeCachedResponse
+ * @description Store the response of a GET request if it is cacheable
+ * The freshness lifetime is taken from the "Cache-Control" or "Expires" response headers, or from the route TTL.
+ * Responses with "no-store", "no-cache", "private", "Vary: *" or cookies are not stored, nor the responses to
+ * authenticated requests or routes unless they are explicitly public.
+ * The responses are stored by route, so that the routes of the same URL don't share their responses.
+ * Stale responses are kept for the "stale-while-revalidate" and "stale-if-error" durations of the "Cache-Control"
+ * response header or of the route cache strategy, unless the response must be revalidated.
+ * The surrogate keys of the "Surrogate-Key" and "Cache-Tag" response headers are stored to purge the responses by tag.
+ * @param {Request} request - The incoming request
+ * @param {Response} response - The target response
+ * @param {import('./routing-table.js').Route} route - The matched route
+ * @returns {Promise<Response>} The response to send, its body being read if the response was stored
+ * @see https://httpwg.org/specs/rfc9111.html#response.cacheability
+ */
+export async function storeCachedResponse (request, response, route) {
+  const cacheStrategy = route.cacheStrategy
+  if (cacheStrategy?.type !== 'basic' && cacheStrategy?.type !== 'redis') {
+    return response
+  }
+  if (request.method !== 'GET' || !CACHEABLE_STATUSES.includes(response.status) || response.headers.has('set-cookie')) {
+    return response
+  }
+  const cacheControl = parseCacheControl(response.headers.get('cache-control'))
+  if (cacheControl.has('no-store') || cacheControl.has('no-cache') || cacheControl.has('private')) {
+    return response
+  }
+  // The credentials of the authenticated routes may have been removed from the request
+  const authenticated = request.headers.has('authorization') ||
+    (route.authenticationStrategy !== undefined && route.authenticationStrategy.type !== 'anonymous')
+  if (authenticated && !cacheControl.has('public') && !cacheControl.has('s-maxage')) {
+    return response
+  }
+  const vary = parseList(response.headers.get('vary'), ',').map(name => name.toLowerCase()).sort()
+  const freshnessLifetime = getFreshnessLifetime(response.headers, cacheControl, cacheStrategy.ttl)
+  const mustRevalidate = cacheControl.has('must-revalidate') || cacheControl.has('proxy-revalidate')
+  const staleWhileRevalidate = mustRevalidate ? 0 : getStaleDuration(cacheControl.get('stale-while-revalidate'), cacheStrategy.staleWhileRevalidate)
+  const staleIfError = mustRevalidate ? 0 : getStaleDuration(cacheControl.get('stale-if-error'), cacheStrategy.staleIfError)
+  const retention = Math.max(freshnessLifetime, 0) + Math.max(staleWhileRevalidate, staleIfError)
+  if (vary.includes('*') || retention <= 0 || Number(response.headers.get('content-length')) > MAX_ENTRY_SIZE) {
+    return response
+  }
+
+  /** @type {[string, string][]} */
+  const headers = []
+  response.headers.forEach((value, name) => {
+    if (!UNCACHED_HEADERS.includes(name)) {
+      headers.push([name, value])
+    }
+  })
+  const metadataSize = headers.reduce((total, [name, value]) => total + name.length + value.length, 0) + request.url.length
+  const body = await readCacheableBody(response, MAX_ENTRY_SIZE - metadataSize)
+  if (body instanceof ReadableStream) {
+    return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers })
+  }
+  const storedResponse = new Response(body, { status: response.status, statusText: response.statusText, headers })
+  const size = body.byteLength + metadataSize
+
+  const now = Date.now()
+  /** @type {CacheEntry} */
+  const entry = {
+    url: request.url,
+    routeKey: getRouteKey(route),
+    tags: [...new Set([
+      ...parseList(response.headers.get('surrogate-key'), ' '),
+      ...parseList(response.headers.get('cache-tag'), ',')
+    ])],
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+    body,
+    storedAt: now,
+    expiresAt: now + freshnessLifetime,
+    staleWhileRevalidateUntil: now + Math.max(freshnessLifetime, 0) + staleWhileRevalidate,
+    staleIfErrorUntil: now + Math.max(freshnessLifetime, 0) + staleIfError,
+    size
+  }
+  const variantKey = getVariantKey(getResourceKey(entry.routeKey, request.url), vary, request.headers)
+  if (cacheStrategy.type === 'redis') {
+    // Don't delay the response while the entry is written
+    storeRedisEntry(variantKey, vary, entry, retention)
+  } else {
+    storeMemoryEntry(variantKey, vary, entry)
+  }
+  return storedResponse
+}
+
+/**
+ * @function readCacheableBody
+ * @description Read the body of a response to store it, without buffering the bodies larger than the maximum size
+ * The bodies without "Content-Length" header are read until they exceed the maximum size, the rest being streamed.
+ * @param {Response} response - The target response
+ * @param {number} maxSize - The maximum body size in bytes
+ * @returns {Promise<ArrayBuffer|ReadableStream<Uint8Array>>} The body, or the whole body stream if it is too large to be stored
+ */
+async function readCacheableBody (response, maxSize) {
+  if (!response.body) {
+    return new ArrayBuffer(0)
+  }
+  const reader = response.body.getReader()
+  /** @type {Uint8Array[]} */
+  const chunks = []
+  let size = 0
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) {
+      return concatArrayBuffers(chunks)
+    }
+    chunks.push(value)
+    size += value.byteLength
+    if (size > maxSize) {
+      // Send the chunks already read, then pass the rest of the body through
+      return new ReadableStream({
+        start (controller) {
+          chunks.forEach(chunk => controller.enqueue(chunk))
+        },
+        async pull (controller) {
+          const { done, value } = await reader.read()
+          if (done) {
+            controller.close()
+          } else {
+            controller.enqueue(value)
+          }
+        },
+        cancel (reason) {
+          return reader.cancel(reason)
+        }
+      })
+    }
+  }
+}
+
+/**
+ * @function purgeCache
+ * @description Purge the responses cached in Redis and in the memory of this process
+ * @param {CachePurgeFilter} filter - The responses to purge
+ * @returns {Promise<number>} The number of purged responses
+ */
+export async function purgeCache (filter) {
+  return purgeMemoryCache(filter) + await purgeRedisCache(filter)
+}
+
+/**
+ * @function purgeMemoryCache
+ * @description Purge the responses cached in the memory of this process
+ * @param {CachePurgeFilter} filter - The responses to purge
+ * @returns {number} The number of purged responses
+ */
+export function purgeMemoryCache (filter) {
+  let purgedEntries = 0
+  for (const [key, entry] of entries) {
+    if ((filter.url !== undefined && entry.url === filter.url) ||
+      (filter.prefix !== undefined && entry.url.startsWith(filter.prefix)) ||
+      (filter.routeKeys !== undefined && filter.routeKeys.includes(entry.routeKey)) ||
+      (filter.tag !== undefined && entry.tags.includes(filter.tag))) {
+      deleteMemoryEntry(key)
+      // The variants left are stored again with their vary headers when they are requested
+      varyHeaders.delete(getResourceKey(entry.routeKey, entry.url))
+      purgedEntries++
+    }
+  }
+  return purgedEntries
+}
+
+/**
+ * @function propagateCachePurgeToWorkers
+ * @description Send a cache purge to all workers, so that they purge their memory caches
+ * @param {CachePurgeFilter} filter - The responses to purge
+ */
+export function propagateCachePurgeToWorkers (filter) {
+  if (cluster.workers === undefined) {
+    return
+  }
+  /** @type {import('../primary-process.js').PrimaryProcessCachePurgeMessage} */
+  const message = { type: 'cachepurge', filter }
+  for (const worker of Object.values(cluster.workers)) {
+    if (worker === undefined) {
+      continue
+    }
+    worker.send(message)
+  }
+}
+
+/**
+ * @function clearCache
+ * @description Remove all the responses cached in the memory of this process
+ */
+export function clearCache () {
+  entries.clear()
+  varyHeaders.clear()
+  cacheSize = 0
+}
+
+/**
+ * @function parseCacheControl
+ * @description Parse a "Cache-Control" header
+ * @param {string|null} cacheControlHeader - The "Cache-Control" header value
+ * @returns {Map<string, string|undefined>} The directives values by lower case name
+ * @see https://httpwg.org/specs/rfc9111.html#field.cache-control
+ */
+export function parseCacheControl (cacheControlHeader) {
+  /** @type {Map<string, string|undefined>} */
+  const directives = new Map()
+  for (const directive of (cacheControlHeader || '').split(',')) {
+    const [name, value] = directive.split('=')
+    if (name.trim()) {
+      directives.set(name.trim().toLowerCase(), value?.trim().replace(/^"|"$/g, ''))
+    }
+  }
+  return directives
+}
+
+/**
+ * @function getFreshnessLifetime
+ * @description Get the time a response stays fresh, shared cache directives taking precedence
+ * @param {Headers} headers - The response headers
+ * @param {Map<string, string|undefined>} cacheControl - The response "Cache-Control" directives
+ * @param {number} ttl - The default time-to-live in milliseconds
+ * @returns {number} The freshness lifetime in milliseconds, minus the time the response already spent in upstream caches
+ * @see https://httpwg.org/specs/rfc9111.html#calculating.freshness.lifetime
+ */
+function getFreshnessLifetime (headers, cacheControl, ttl) {
+  const age = (Number(headers.get('age')) || 0) * 1000
+  const maxAge = Number(cacheControl.get('s-maxage') ?? cacheControl.get('max-age'))
+  if (cacheControl.has('s-maxage') || cacheControl.has('max-age')) {
+    return Number.isNaN(maxAge) ? 0 : maxAge * 1000 - age
+  }
+  const expires = headers.get('expires')
+  if (expires) {
+    const date = Date.parse(headers.get('date') || '') || Date.now()
+    // Invalid dates, such as "0", mean already expired
+    return (Date.parse(expires) || 0) - date
+  }
+  return ttl - age
+}
+
+/**
+ * @function getStaleDuration
+ * @description Get the time a stale response can be served
+ * @param {string|undefined} directive - The "stale-while-revalidate" or "stale-if-error" directive value in seconds, taking precedence
+ * @param {number} [defaultDuration] - The route cache strategy duration in milliseconds (default: 0)
+ * @returns {number} The duration in milliseconds
+ * @see https://httpwg.org/specs/rfc5861.html
+ */
+function getStaleDuration (directive, defaultDuration = 0) {
+  const duration = Number(directive)
+  return directive !== undefined && !Number.isNaN(duration) ? duration * 1000 : defaultDuration
+}
+
+/**
+ * @function getFreshness
+ * @description Get the freshness of a cached response
+ * @param {CacheEntry} entry - The cached response
+ * @returns {CachedResponseFreshness|null} The freshness, null if the response can't be served anymore
+ */
+function getFreshness (entry) {
+  const now = Date.now()
+  if (now < entry.expiresAt) {
+    return 'fresh'
+  }
+  if (now < entry.staleWhileRevalidateUntil) {
+    return 'stale-while-revalidate'
+  }
+  if (now < entry.staleIfErrorUntil) {
+    return 'stale-if-error'
+  }
+  return null
+}
+
+/**
+ * @function parseList
+ * @description Parse a list header
+ * @param {string|null} header - The header value
+ * @param {string} separator - The list separator
+ * @returns {string[]} The non-empty trimmed values
+ */
+function parseList (header, separator) {
+  return (header || '').split(separator).map(value => value.trim()).filter(Boolean)
+}
+
+/**
+ * @function getResourceKey
+ * @description Get the cache key of the responses of a URL served by a route
+ * @param {string} routeKey - The route key
+ * @param {string} url - The request URL
+ * @returns {string} The cache key
+ */
+function getResourceKey (routeKey, url) {
+  return `${routeKey} ${url}`
+}
+
+/**
+ * @function getVariantKey
+ * @description Get the cache key of a response variant
+ * @param {string} resourceKey - The cache key of the route and URL
+ * @param {string[]|undefined|null} vary - The request headers the response varies on
+ * @param {Headers} headers - The request headers
+ * @returns {string} The cache key
+ */
+function getVariantKey (resourceKey, vary, headers) {
+  if (!vary || vary.length === 0) {
+    return resourceKey
+  }
+  return [resourceKey, ...vary.map(name => `${name}: ${headers.get(name) ?? ''}`)].join('\n')
+}
+
+/**
+ * @function getMemoryEntry
+ * @description Get a response cached in memory, marking it as the most recently used
+ * @param {Request} request - The incoming request
+ * @param {string} routeKey - The key of the matched route
+ * @returns {{key: string, entry: CacheEntry}|null} The variant key and the cached response, null if there is none
+ */
+function getMemoryEntry (request, routeKey) {
+  const resourceKey = getResourceKey(routeKey, request.url)
+  const key = getVariantKey(resourceKey, varyHeaders.get(resourceKey), request.headers)
+  const entry = entries.get(key)
+  if (!entry) {
+    return null
+  }
+  if (!getFreshness(entry)) {
+    deleteMemoryEntry(key)
+    return null
+  }
+  entries.delete(key)
+  entries.set(key, entry)
+  return { key, entry }
+}
+
+/**
+ * @function storeMemoryEntry
+ * @description Store a response in memory, evicting the least recently used responses if the cache is full
+ * @param {string} key - The variant key
+ * @param {string[]} vary - The request headers the response varies on
+ * @param {CacheEntry} entry - The response
+ */
+function storeMemoryEntry (key, vary, entry) {
+  deleteMemoryEntry(key)
+  while (cacheSize + entry.size > MAX_CACHE_SIZE && entries.size > 0) {
+    deleteMemoryEntry(String(entries.keys().next().value))
+  }
+  entries.set(key, entry)
+  cacheSize += entry.size
+  const resourceKey = getResourceKey(entry.routeKey, entry.url)
+  if (vary.length > 0) {
+    varyHeaders.set(resourceKey, vary)
+  } else {
+    varyHeaders.delete(resourceKey)
+  }
+}
+
+/**
+ * @function deleteMemoryEntry
+ * @description Remove a response cached in memory
+ * @param {string} key - The variant key
+ */
+function deleteMemoryEntry (key) {
+  const entry = entries.get(key)
+  if (entry) {
+    cacheSize -= entry.size
+    entries.delete(key)
+  }
+}
+
+/**
+ * @function getReadyRedisConnection
+ * @description Get the Redis connection if it is ready, so that cache operations don't wait for a reconnection
+ * @returns {import('ioredis').Redis|null} The Redis connection, null if Redis is not available
+ */
+function getReadyRedisConnection () {
+  const redisConnection = getRedisConnection()
+  return redisConnection?.status === 'ready' ? redisConnection : null
+}
+
+/**
+ * @function getRedisEntry
+ * @description Get a response cached in Redis, Redis failures being handled as cache misses
+ * @param {Request} request - The incoming request
+ * @param {string} routeKey - The key of the matched route
+ * @returns {Promise<{key: string, entry: CacheEntry}|null>} The variant key and the cached response, null if there is none
+ */
+async function getRedisEntry (request, routeKey) {
+  const redisConnection = getReadyRedisConnection()
+  if (!redisConnection) {
+    return null
+  }
+  try {
+    const vary = await redisConnection.hget(redisKeys.vary(request.url), routeKey)
+    const variantKey = getVariantKey(getResourceKey(routeKey, request.url), vary ? JSON.parse(vary) : null, request.headers)
+    const [metadata, body] = await redisConnection.hmgetBuffer(redisKeys.entry(variantKey), 'metadata', 'body')
+    if (!metadata || !body) {
+      return null
+    }
+    return {
+      key: variantKey,
+      entry: {
+        ...JSON.parse(metadata.toString()),
+        body: body.buffer.slice(body.byteOffset, body.byteOffset + body.byteLength)
+      }
+    }
+  } catch (error) {
+    logger.warn({ error, url: request.url }, 'Failed to get the cached response from Redis')
+    return null
+  }
+}
+
+/**
+ * @function storeRedisEntry
+ * @description Store a response in Redis and index it by URL, route and tags for the purges
+ * The indexes expire with the last response they reference (requires Redis 7).
+ * @param {string} variantKey - The variant key
+ * @param {string[]} vary - The request headers the response varies on
+ * @param {CacheEntry} entry - The response
+ * @param {number} ttl - The time to keep the response in milliseconds
+ * @returns {Promise<void>}
+ */
+async function storeRedisEntry (variantKey, vary, entry, ttl) {
+  const redisConnection = getReadyRedisConnection()
+  if (!redisConnection) {
+    return
+  }
+  try {
+    const entryKey = redisKeys.entry(variantKey)
+    const { body, ...metadata } = entry
+    const transaction = redisConnection.multi()
+      .hset(entryKey, { metadata: JSON.stringify(metadata), body: Buffer.from(body) })
+      .pexpire(entryKey, ttl)
+    const varyKey = redisKeys.vary(entry.url)
+    if (vary.length > 0) {
+      transaction.hset(varyKey, entry.routeKey, JSON.stringify(vary)).pexpire(varyKey, ttl, 'NX').pexpire(varyKey, ttl, 'GT')
+    } else {
+      transaction.hdel(varyKey, entry.routeKey)
+    }
+    for (const indexKey of [redisKeys.url(entry.url), redisKeys.route(entry.routeKey), ...entry.tags.map(redisKeys.tag)]) {
+      transaction.sadd(indexKey, entryKey).pexpire(indexKey, ttl, 'NX').pexpire(indexKey, ttl, 'GT')
+    }
+    await transaction.exec()
+  } catch (error) {
+    logger.warn({ error, url: entry.url }, 'Failed to store the response in Redis')
+  }
+}
+
+/**
+ * @function purgeRedisCache
+ * @description Purge the responses cached in Redis
+ * @param {CachePurgeFilter} filter - The responses to purge
+ * @returns {Promise<number>} The number of purged responses
+ */
+async function purgeRedisCache (filter) {
+  const redisConnection = getReadyRedisConnection()
+  if (!redisConnection) {
+    return 0
+  }
+  /** @type {string[]} */
+  const indexKeys = []
+  /** @type {string[]} */
+  const varyKeys = []
+  if (filter.url !== undefined) {
+    indexKeys.push(redisKeys.url(filter.url))
+    varyKeys.push(redisKeys.vary(filter.url))
+  }
+  if (filter.prefix !== undefined) {
+    // Escape the glob pattern special characters of the prefix
+    const pattern = `${redisKeys.url(filter.prefix).replace(/[*?[\]\\]/g, '\\$&')}*`
+    for await (const scannedKeys of redisConnection.scanStream({ match: pattern, count: 1000 })) {
+      for (const scannedKey of scannedKeys) {
+        indexKeys.push(scannedKey)
+        varyKeys.push(redisKeys.vary(scannedKey.slice(redisKeys.url('').length)))
+      }
+    }
+  }
+  for (const routeKey of filter.routeKeys || []) {
+    indexKeys.push(redisKeys.route(routeKey))
+  }
+  if (filter.tag !== undefined) {
+    indexKeys.push(redisKeys.tag(filter.tag))
+  }
+  if (indexKeys.length === 0) {
+    return 0
+  }
+
+  const pipeline = redisConnection.pipeline()
+  for (const indexKey of indexKeys) {
+    pipeline.smembers(indexKey)
+  }
+  /** @type {Set<string>} */
+  const entryKeys = new Set()
+  for (const [error, members] of (await pipeline.exec()) || []) {
+    if (!error && Array.isArray(members)) {
+      members.forEach(member => entryKeys.add(member))
+    }
+  }
+  const purgedEntries = entryKeys.size > 0 ? await redisConnection.del(...entryKeys) : 0
+  await redisConnection.del(...indexKeys, ...varyKeys)
+  return purgedEntries
+}
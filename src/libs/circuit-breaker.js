@@ -0,0 +1,186 @@
+import { Gauge } from 'prom-client'
+import { logger } from './logger.js'
+
+const LOG_PREFIX = 'Circuit breaker:'
+
+/** @typedef {'closed'|'open'|'half-open'} CircuitState */
+
+/**
+ * @typedef {object} Circuit
+ * @property {CircuitState} state - The circuit state
+ * @property {number} consecutiveFailures - The number of consecutive failed requests
+ * @property {number} windowStart - The start time of the current error rate window
+ * @property {number} windowRequests - The number of requests in the current window
+ * @property {number} windowFailures - The number of failed requests in the current window
+ * @property {number} openedAt - The time the circuit was opened
+ * @property {number} cooldown - The time in ms the circuit stays open
+ * @property {number} halfOpenRequests - The number of trial requests allowed when half-open
+ * @property {number} halfOpenInFlight - The number of trial requests in progress
+ * @property {number} halfOpenSuccesses - The number of successful trial requests
+ */
+
+/**
+ * The circuits of the targets, by target key, a target shared by several routes has a single circuit
+ * @type {Map<string, Circuit>}
+ */
+const circuits = new Map()
+
+/**
+ * The numeric values of the circuit states in the metrics
+ * @type {Map<CircuitState, number>}
+ */
+const circuitStateValues = new Map([['closed', 0], ['half-open', 1], ['open', 2]])
+
+const circuitBreakerStateGauge = new Gauge({
+  name: 'circuit_breaker_state',
+  help: 'State of the circuit breaker of each target (0 = closed, 1 = half-open, 2 = open)',
+  labelNames: ['target'],
+  // Report a target as open as soon as one worker opened its circuit
+  aggregator: 'max'
+})
+
+/**
+ * @function isCircuitAvailable
+ * @description Check if a target can receive a request, i.e. its circuit is closed, or has a free trial slot once the cooldown is over
+ * @param {string} targetKey - The target key
+ * @returns {boolean} True if the target can receive a request
+ */
+export function isCircuitAvailable (targetKey) {
+  const circuit = circuits.get(targetKey)
+  if (!circuit || circuit.state === 'closed') {
+    return true
+  }
+  if (circuit.state === 'open' && Date.now() - circuit.openedAt < circuit.cooldown) {
+    return false
+  }
+  return circuit.halfOpenInFlight < circuit.halfOpenRequests
+}
+
+/**
+ * @function getCircuitState
+ * @description Get the circuit state of a target
+ * @param {string} targetKey - The target key
+ * @returns {CircuitState} The circuit state, closed if the target has no circuit
+ */
+export function getCircuitState (targetKey) {
+  return circuits.get(targetKey)?.state || 'closed'
+}
+
+/**
+ * @function startCircuitRequest
+ * @description Reserve a request to a target, half-opening its circuit once the cooldown is over
+ * The circuit is half-opened and the trial slot reserved in the same synchronous call, so that the concurrent requests can't all pass as trial requests.
+ * @param {string} targetKey - The target key
+ * @returns {boolean} True if the request can be sent, false if the circuit is open or its trial slots are taken
+ */
+export function startCircuitRequest (targetKey) {
+  const circuit = circuits.get(targetKey)
+  if (!circuit || circuit.state === 'closed') {
+    return true
+  }
+  if (circuit.state === 'open') {
+    if (Date.now() - circuit.openedAt < circuit.cooldown) {
+      return false
+    }
+    setCircuitState(targetKey, circuit, 'half-open')
+  }
+  if (circuit.halfOpenInFlight >= circuit.halfOpenRequests) {
+    return false
+  }
+  circuit.halfOpenInFlight++
+  return true
+}
+
+/**
+ * @function recordCircuitResult
+ * @description Record the result of a request to a target and open or close its circuit accordingly
+ * The circuit opens after a number of consecutive failures, or when the error rate over a window exceeds a threshold.
+ * When half-open, a failed trial request reopens the circuit and enough successful trial requests close it.
+ * @param {string} targetKey - The target key
+ * @param {import('./routing-table.js').CircuitBreaker} circuitBreaker - The circuit breaker configuration of the route
+ * @param {boolean} success - False if the request failed or timed out
+ */
+export function recordCircuitResult (targetKey, circuitBreaker, success) {
+  const now = Date.now()
+  let circuit = circuits.get(targetKey)
+  if (!circuit) {
+    circuit = {
+      state: 'closed',
+      consecutiveFailures: 0,
+      windowStart: now,
+      windowRequests: 0,
+      windowFailures: 0,
+      openedAt: 0,
+      cooldown: circuitBreaker.cooldown || 30000,
+      halfOpenRequests: circuitBreaker.halfOpenRequests || 1,
+      halfOpenInFlight: 0,
+      halfOpenSuccesses: 0
+    }
+    circuits.set(targetKey, circuit)
+  }
+
+  switch (circuit.state) {
+    case 'open':
+      // Result of a request started before the circuit opened
+      break
+    case 'half-open':
+      circuit.halfOpenInFlight = Math.max(circuit.halfOpenInFlight - 1, 0)
+      if (!success) {
+        openCircuit(targetKey, circuit, circuitBreaker, now)
+      } else if (++circuit.halfOpenSuccesses >= circuit.halfOpenRequests) {
+        setCircuitState(targetKey, circuit, 'closed')
+      }
+      break
+    default: {
+      if (now - circuit.windowStart >= (circuitBreaker.window || 10000)) {
+        circuit.windowStart = now
+        circuit.windowRequests = 0
+        circuit.windowFailures = 0
+      }
+      circuit.windowRequests++
+      circuit.consecutiveFailures = success ? 0 : circuit.consecutiveFailures + 1
+      circuit.windowFailures += success ? 0 : 1
+      const consecutiveFailuresExceeded = circuit.consecutiveFailures >= (circuitBreaker.consecutiveFailures || 5)
+      const errorRateExceeded = circuitBreaker.errorRate !== undefined &&
+        circuit.windowRequests >= (circuitBreaker.minimumRequests || 10) &&
+        circuit.windowFailures / circuit.windowRequests >= circuitBreaker.errorRate
+      if (consecutiveFailuresExceeded || errorRateExceeded) {
+        openCircuit(targetKey, circuit, circuitBreaker, now)
+      }
+    }
+  }
+}
+
+/**
+ * @function openCircuit
+ * @description Open the circuit of a target for the cooldown duration
+ * @param {string} targetKey - The target key
+ * @param {Circuit} circuit - The circuit
+ * @param {import('./routing-table.js').CircuitBreaker} circuitBreaker - The circuit breaker configuration of the route
+ * @param {number} now - The current time
+ */
+function openCircuit (targetKey, circuit, circuitBreaker, now) {
+  circuit.openedAt = now
+  circuit.cooldown = circuitBreaker.cooldown || 30000
+  circuit.halfOpenRequests = circuitBreaker.halfOpenRequests || 1
+  setCircuitState(targetKey, circuit, 'open')
+}
+
+/**
+ * @function setCircuitState
+ * @description Change the state of a circuit, resetting its counters
+ * @param {string} targetKey - The target key
+ * @param {Circuit} circuit - The circuit
+ * @param {CircuitState} state - The new state
+ */
+function setCircuitState (targetKey, circuit, state) {
+  circuit.state = state
+  circuit.consecutiveFailures = 0
+  circuit.windowStart = Date.now()
+  circuit.windowRequests = 0
+  circuit.windowFailures = 0
+  circuit.halfOpenInFlight = 0
+  circuit.halfOpenSuccesses = 0
+  circuitBreakerStateGauge.set({ target: targetKey }, Number(circuitStateValues.get(state)))
+  logger.info({ target: targetKey, state }, `${LOG_PREFIX} Circuit of target ${targetKey} is ${state}`)
+}
@@ -0,0 +1,75 @@
+/**
+ * @function parseCookies
+ * @description Parse the cookies of a "Cookie" request header, malformed pairs are ignored
+ * @param {string|null} cookieHeader - The "Cookie" header value
+ * @returns {Map<string, string>} The cookies by name
+ * @see https://httpwg.org/specs/rfc6265.html#cookie
+ */
+export function parseCookies (cookieHeader) {
+  /** @type {Map<string, string>} */
+  const cookies = new Map()
+  if (!cookieHeader) {
+    return cookies
+  }
+  for (const pair of cookieHeader.split(';')) {
+    const separatorIndex = pair.indexOf('=')
+    if (separatorIndex <= 0) {
+      continue
+    }
+    const name = pair.slice(0, separatorIndex).trim()
+    let value = pair.slice(separatorIndex + 1).trim()
+    if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+      value = value.slice(1, -1)
+    }
+    if (name && !cookies.has(name)) {
+      try {
+        cookies.set(name, decodeURIComponent(value))
+      } catch {
+        cookies.set(name, value)
+      }
+    }
+  }
+  return cookies
+}
+
+/**
+ * @typedef {object} CookieOptions
+ * @property {string} [path] - The cookie path
+ * @property {string} [domain] - The cookie domain
+ * @property {number} [maxAge] - The cookie lifetime in seconds, session cookie if undefined
+ * @property {boolean} [httpOnly] - Forbid access to the cookie from JavaScript
+ * @property {boolean} [secure] - Only send the cookie over HTTPS
+ * @property {'Strict'|'Lax'|'None'} [sameSite] - The cookie cross-site policy
+ */
+
+/**
+ * @function serializeCookie
+ * @description Serialize a cookie for a "Set-Cookie" response header
+ * @param {string} name - The cookie name
+ * @param {string} value - The cookie value, URI encoded
+ * @param {CookieOptions} [options] - The cookie attributes
+ * @returns {string} The "Set-Cookie" header value
+ * @see https://httpwg.org/specs/rfc6265.html#sane-set-cookie
+ */
+export function serializeCookie (name, value, options = {}) {
+  let cookie = `${name}=${encodeURIComponent(value)}`
+  if (options.path) {
+    cookie += `; Path=${options.path}`
+  }
+  if (options.domain) {
+    cookie += `; Domain=${options.domain}`
+  }
+  if (options.maxAge !== undefined) {
+    cookie += `; Max-Age=${Math.floor(options.maxAge)}`
+  }
+  if (options.httpOnly) {
+    cookie += '; HttpOnly'
+  }
+  if (options.secure) {
+    cookie += '; Secure'
+  }
+  if (options.sameSite) {
+    cookie += `; SameSite=${options.sameSite}`
+  }
+  return cookie
+}
@@ -0,0 +1,143 @@
+/**
+ * The methods allowed by default
+ * @type {string[]}
+ */
+const DEFAULT_METHODS = ['GET', 'HEAD', 'PUT', 'PATCH', 'POST', 'DELETE']
+
+/**
+ * The CORS response headers, replaced by the route policy unless the upstream ones are preserved
+ * @type {string[]}
+ */
+const CORS_HEADERS = [
+  'Access-Control-Allow-Origin',
+  'Access-Control-Allow-Credentials',
+  'Access-Control-Allow-Methods',
+  'Access-Control-Allow-Headers',
+  'Access-Control-Expose-Headers',
+  'Access-Control-Max-Age'
+]
+
+/**
+ * @function isPreflightRequest
+ * @description Test if a request is a CORS preflight request
+ * @param {Request} request - The request
+ * @returns {boolean} True if the request is a preflight request
+ */
+export function isPreflightRequest (request) {
+  return request.method === 'OPTIONS' &&
+    request.headers.has('Origin') &&
+    request.headers.has('Access-Control-Request-Method')
+}
+
+/**
+ * @function isOriginAllowed
+ * @description Test if an origin is allowed by a CORS policy, the "*" wildcards of the origin patterns matching any host part
+ * @param {import('./routing-table.js').CorsPolicy} cors - The CORS policy
+ * @param {string} origin - The request origin
+ * @returns {boolean} True if the origin is allowed
+ */
+export function isOriginAllowed (cors, origin) {
+  return cors.origins.some(pattern => pattern === '*' || matchOriginPattern(pattern.toLowerCase(), origin.toLowerCase()))
+}
+
+/**
+ * @function matchOriginPattern
+ * @description Match an origin against an origin pattern, each "*" wildcard matching any characters but "/"
+ * The parts between the wildcards are searched in order, the first one being the prefix of the origin and the last one its suffix.
+ * @param {string} pattern - The lower case origin pattern
+ * @param {string} origin - The lower case origin
+ * @returns {boolean} True if the origin matches the pattern
+ */
+function matchOriginPattern (pattern, origin) {
+  const [prefix, ...parts] = pattern.split('*')
+  const suffix = parts.pop()
+  if (suffix === undefined) {
+    return origin === prefix
+  }
+  if (!origin.startsWith(prefix) || !origin.endsWith(suffix) || origin.length < prefix.length + suffix.length) {
+    return false
+  }
+  let rest = origin.slice(prefix.length, origin.length - suffix.length)
+  for (const part of parts) {
+    const index = rest.indexOf(part)
+    if (index === -1 || rest.slice(0, index).includes('/')) {
+      return false
+    }
+    rest = rest.slice(index + part.length)
+  }
+  return !rest.includes('/')
+}
+
+/**
+ * @function getPreflightResponse
+ * @description Answer a CORS preflight request at the proxy, without forwarding it to the targets
+ * @param {Request} request - The preflight request
+ * @param {import('./routing-table.js').CorsPolicy} cors - The CORS policy
+ * @returns {Response} The preflight response, a 403 if the origin or the method is not allowed
+ */
+export function getPreflightResponse (request, cors) {
+  const origin = String(request.headers.get('Origin'))
+  const requestedMethod = String(request.headers.get('Access-Control-Request-Method')).toUpperCase()
+  const methods = (cors.methods || DEFAULT_METHODS).map(method => method.toUpperCase())
+  if (!isOriginAllowed(cors, origin) || !methods.includes(requestedMethod)) {
+    return new Response('CORS request not allowed', { status: 403, headers: { Vary: 'Origin' } })
+  }
+  const headers = new Headers()
+  setAllowOriginHeaders(headers, cors, origin)
+  headers.set('Access-Control-Allow-Methods', methods.join(', '))
+  // Allow the requested headers unless the allowed headers are restricted
+  const allowedHeaders = cors.allowedHeaders?.join(', ') || request.headers.get('Access-Control-Request-Headers')
+  if (allowedHeaders) {
+    headers.set('Access-Control-Allow-Headers', allowedHeaders)
+  }
+  if (!cors.allowedHeaders) {
+    headers.append('Vary', 'Access-Control-Request-Headers')
+  }
+  if (cors.maxAge !== undefined) {
+    headers.set('Access-Control-Max-Age', String(cors.maxAge))
+  }
+  return new Response(null, { status: 204, headers })
+}
+
+/**
+ * @function applyCorsHeaders
+ * @description Apply a CORS policy to the headers of a response, replacing the upstream CORS headers unless they are preserved
+ * @param {Headers} headers - The response headers
+ * @param {import('./routing-table.js').CorsPolicy} cors - The CORS policy
+ * @param {string|null} origin - The request origin
+ */
+export function applyCorsHeaders (headers, cors, origin) {
+  if (cors.preserveUpstream && headers.has('Access-Control-Allow-Origin')) {
+    return
+  }
+  for (const name of CORS_HEADERS) {
+    headers.delete(name)
+  }
+  if (origin === null || !isOriginAllowed(cors, origin)) {
+    headers.append('Vary', 'Origin')
+    return
+  }
+  setAllowOriginHeaders(headers, cors, origin)
+  if (cors.exposedHeaders?.length) {
+    headers.set('Access-Control-Expose-Headers', cors.exposedHeaders.join(', '))
+  }
+}
+
+/**
+ * @function setAllowOriginHeaders
+ * @description Set the allowed origin and credentials headers, the origin being echoed unless any origin is allowed without credentials
+ * @param {Headers} headers - The response headers
+ * @param {import('./routing-table.js').CorsPolicy} cors - The CORS policy
+ * @param {string} origin - The allowed request origin
+ */
+function setAllowOriginHeaders (headers, cors, origin) {
+  if (cors.origins.includes('*') && !cors.credentials) {
+    headers.set('Access-Control-Allow-Origin', '*')
+  } else {
+    headers.set('Access-Control-Allow-Origin', origin)
+    headers.append('Vary', 'Origin')
+  }
+  if (cors.credentials) {
+    headers.set('Access-Control-Allow-Credentials', 'true')
+  }
+}
@@ -0,0 +1,71 @@
+import { logger } from './logger.js'
+// @ts-ignore
+import pck from '../../package.json'
+
+const LOG_PREFIX = 'Forward auth:'
+
+/**
+ * @typedef {object} ForwardAuthContext
+ * @property {Request} request - The incoming request, receiving the authorization response headers
+ * @property {URL} url - The incoming request URL
+ * @property {string} clientIp - The client IP address
+ * @property {import('./routing-table.js').ForwardAuthAuthenticationStrategy} strategy - The forward-auth authentication strategy
+ */
+
+/**
+ * @function forwardAuthentication
+ * @description Delegate the authentication of a request to an external authorization endpoint
+ * The endpoint receives the selected request headers and the original request in the X-Forwarded-* headers.
+ * A 2xx response lets the request through, its selected headers being copied onto the request forwarded to the target.
+ * Any other response, e.g. a 401 or a redirection to a login page, is returned to the client.
+ * @param {ForwardAuthContext} context - The request context
+ * @returns {Promise<null|Response>} The response to return to the client if the request is not authorized
+ */
+export async function forwardAuthentication ({ request, url, clientIp, strategy }) {
+  const headers = new Headers()
+  for (const name of strategy.requestHeaders || ['Authorization', 'Cookie']) {
+    const value = request.headers.get(name)
+    if (value !== null) {
+      headers.set(name, value)
+    }
+  }
+  headers.set('User-Agent', `${pck.name}/${pck.version}`)
+  headers.set('X-Forwarded-Method', request.method)
+  headers.set('X-Forwarded-Proto', url.protocol.replace(':', ''))
+  headers.set('X-Forwarded-Host', url.host)
+  headers.set('X-Forwarded-Uri', `${url.pathname}${url.search}`)
+  headers.set('X-Forwarded-For', clientIp)
+
+  /** @type {Response} */
+  let authResponse
+  try {
+    authResponse = await fetch(strategy.url, {
+      method: strategy.method || 'GET',
+      headers,
+      // Return the redirections, e.g. to a login page, to the client
+      redirect: 'manual',
+      signal: AbortSignal.timeout(strategy.timeout || 5000)
+    })
+  } catch (error) {
+    logger.warn({ error, url: strategy.url }, `${LOG_PREFIX} Failed to reach the authorization endpoint ${strategy.url}`)
+    return new Response('Authorization service unavailable', { status: 503 })
+  }
+
+  if (authResponse.status < 200 || authResponse.status >= 300) {
+    logger.debug({ url: strategy.url, status: authResponse.status }, `${LOG_PREFIX} Request not authorized`)
+    // Adjust the content-encoding header to avoid compression issues
+    authResponse.headers.set('content-encoding', 'identity')
+    return authResponse
+  }
+  // Replace the headers sent by the client, so that the target can trust them
+  for (const name of strategy.responseHeaders || []) {
+    const value = authResponse.headers.get(name)
+    if (value === null) {
+      request.headers.delete(name)
+    } else {
+      request.headers.set(name, value)
+    }
+  }
+  await authResponse.body?.cancel()
+  return null
+}
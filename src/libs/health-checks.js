@@ -0,0 +1,220 @@
+import cluster from 'node:cluster'
+import { logger } from './logger.js'
+import { ProxyError, ProxyErrorCause } from './errors.js'
+import { getTargetKey } from './load-balancing.js'
+// @ts-ignore
+import pck from '../../package.json'
+
+const LOG_PREFIX = 'Health checks:'
+
+/**
+ * @typedef {object} TargetHealth
+ * @property {string} target - The target key
+ * @property {string} url - The health check URL
+ * @property {boolean} healthy - Whether the target receives traffic
+ * @property {number} consecutiveSuccesses - The number of consecutive successful checks
+ * @property {number} consecutiveFailures - The number of consecutive failed checks
+ * @property {string} [lastCheck] - The last check time
+ * @property {number} [lastStatus] - The status code of the last check response
+ * @property {string} [lastError] - The error of the last failed check
+ */
+
+/**
+ * @typedef {object} RunningHealthCheck
+ * @property {string} signature - The serialized target URL and health check configuration, to detect changes
+ * @property {Timer} timer - The check interval timer
+ * @property {import('./routing-table.js').HealthCheck} healthCheck - The health check configuration
+ * @property {TargetHealth} health - The target health
+ */
+
+/**
+ * The running health checks, by target key
+ * @type {Map<string, RunningHealthCheck>}
+ */
+const healthChecks = new Map()
+
+/**
+ * @function updateHealthChecks
+ * @description Start, restart or stop the health checks of the forward targets according to the routing table
+ * The health check of a target overrides the one of its route, a target shared by several routes is checked once.
+ * @param {import('./routing-table.js').RoutingTable} routingTable - The routing table
+ * @throws {HealthCheckError} If the health checks could not be updated
+ */
+export function updateHealthChecks (routingTable) {
+  try {
+    /** @type {Map<string, {url: string, healthCheck: import('./routing-table.js').HealthCheck}>} */
+    const configuredHealthChecks = new Map()
+    for (const route of routingTable) {
+      for (const target of route.targets) {
+        const healthCheck = target.type === 'forward' ? target.healthCheck || route.healthCheck : undefined
+        const targetKey = getTargetKey(target)
+        if (target.type === 'forward' && healthCheck && !configuredHealthChecks.has(targetKey)) {
+          configuredHealthChecks.set(targetKey, { url: target.url, healthCheck })
+        }
+      }
+    }
+
+    for (const [targetKey, runningHealthCheck] of healthChecks) {
+      const configuredHealthCheck = configuredHealthChecks.get(targetKey)
+      if (!configuredHealthCheck || JSON.stringify(configuredHealthCheck) !== runningHealthCheck.signature) {
+        clearInterval(runningHealthCheck.timer)
+        healthChecks.delete(targetKey)
+      }
+    }
+    for (const [targetKey, configuredHealthCheck] of configuredHealthChecks) {
+      if (!healthChecks.has(targetKey)) {
+        startHealthCheck(targetKey, configuredHealthCheck.url, configuredHealthCheck.healthCheck)
+      }
+    }
+    propagateTargetsHealthToWorkers()
+  } catch (error) {
+    throw new HealthCheckError('Failed to update the health checks',
+      new ProxyErrorCause('Failed to update the health checks', null, error)
+    )
+  }
+}
+
+/**
+ * @function startHealthCheck
+ * @description Start checking a target periodically, targets are considered healthy until proven otherwise
+ * @param {string} targetKey - The target key
+ * @param {string} targetUrl - The target URL
+ * @param {import('./routing-table.js').HealthCheck} healthCheck - The health check configuration
+ */
+function startHealthCheck (targetKey, targetUrl, healthCheck) {
+  /** @type {TargetHealth} */
+  const health = {
+    target: targetKey,
+    url: `${targetUrl.replace(/\/$/, '')}${healthCheck.path}`,
+    healthy: true,
+    consecutiveSuccesses: 0,
+    consecutiveFailures: 0
+  }
+  const timer = setInterval(() => checkTarget(health, healthCheck), healthCheck.interval || 10000)
+  healthChecks.set(targetKey, {
+    signature: JSON.stringify({ url: targetUrl, healthCheck }),
+    timer,
+    healthCheck,
+    health
+  })
+  logger.debug({ health, healthCheck }, `${LOG_PREFIX} Started`)
+}
+
+/**
+ * @function runHealthChecks
+ * @description Check all the targets immediately, without waiting for their next interval
+ * @returns {Promise<void>}
+ */
+export async function runHealthChecks () {
+  await Promise.all([...healthChecks.values()].map(({ health, healthCheck }) => checkTarget(health, healthCheck)))
+}
+
+/**
+ * @function checkTarget
+ * @description Check a target and update its health once a threshold is reached
+ * @param {TargetHealth} health - The target health
+ * @param {import('./routing-table.js').HealthCheck} healthCheck - The health check configuration
+ * @returns {Promise<void>}
+ */
+async function checkTarget (health, healthCheck) {
+  let success = false
+  try {
+    const response = await fetch(health.url, {
+      method: healthCheck.method || 'GET',
+      headers: {
+        'User-Agent': `${pck.name}/${pck.version}`
+      },
+      signal: AbortSignal.timeout(healthCheck.timeout || 2000),
+      redirect: 'manual'
+    })
+    health.lastStatus = response.status
+    health.lastError = undefined
+    success = isExpectedStatus(response.status, healthCheck.expectedStatus)
+  } catch (error) {
+    health.lastStatus = undefined
+    // @ts-ignore
+    health.lastError = error?.name === 'TimeoutError' ? 'timeout' : String(error?.message || error)
+  }
+  health.lastCheck = new Date().toISOString()
+
+  if (success) {
+    health.consecutiveSuccesses++
+    health.consecutiveFailures = 0
+  } else {
+    health.consecutiveFailures++
+    health.consecutiveSuccesses = 0
+  }
+
+  if (!health.healthy && health.consecutiveSuccesses >= (healthCheck.healthyThreshold || 2)) {
+    health.healthy = true
+    logger.info({ health }, `${LOG_PREFIX} Target ${health.target} is healthy`)
+    propagateTargetsHealthToWorkers()
+  } else if (health.healthy && health.consecutiveFailures >= (healthCheck.unhealthyThreshold || 3)) {
+    health.healthy = false
+    logger.warn({ health }, `${LOG_PREFIX} Target ${health.target} is unhealthy`)
+    propagateTargetsHealthToWorkers()
+  }
+}
+
+/**
+ * @function isExpectedStatus
+ * @description Check if a health check response status is expected
+ * @param {number} status - The response status
+ * @param {number|number[]} [expectedStatus] - The expected status codes (default: any 2xx or 3xx status)
+ * @returns {boolean} True if the status is expected
+ */
+function isExpectedStatus (status, expectedStatus) {
+  if (expectedStatus === undefined) {
+    return status >= 200 && status < 400
+  }
+  return Array.isArray(expectedStatus) ? expectedStatus.includes(status) : status === expectedStatus
+}
+
+/**
+ * @function getTargetsHealth
+ * @description Get the health of the checked targets
+ * @returns {TargetHealth[]} The targets health
+ */
+export function getTargetsHealth () {
+  return [...healthChecks.values()].map(healthCheck => healthCheck.health)
+}
+
+/**
+ * @function getUnhealthyTargets
+ * @description Get the keys of the targets excluded from load balancing
+ * @returns {string[]} The unhealthy targets keys
+ */
+export function getUnhealthyTargets () {
+  return getTargetsHealth().filter(health => !health.healthy).map(health => health.target)
+}
+
+/**
+ * @function propagateTargetsHealthToWorkers
+ * @description Send the unhealthy targets to all workers
+ */
+export function propagateTargetsHealthToWorkers () {
+  if (cluster.workers === undefined) {
+    return
+  }
+  /** @type {import('../primary-process.js').PrimaryProcessTargetsHealthMessage} */
+  const message = { type: 'targetshealth', unhealthyTargets: getUnhealthyTargets() }
+  for (const worker of Object.values(cluster.workers)) {
+    if (worker === undefined) {
+      continue
+    }
+    worker.send(message)
+  }
+}
+
+/**
+ * @function stopHealthChecks
+ * @description Stop all the health checks
+ */
+export function stopHealthChecks () {
+  for (const healthCheck of healthChecks.values()) {
+    clearInterval(healthCheck.timer)
+  }
+  healthChecks.clear()
+}
+
+class HealthCheckError extends ProxyError { }
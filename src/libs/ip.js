@@ -0,0 +1,232 @@
+import { isIPv4, isIPv6 } from 'node:net'
+import { ProxyError, ProxyErrorCause } from './errors.js'
+
+/**
+ * The orders of the IP filter lists
+ * @type {string[]}
+ */
+export const IP_FILTER_ORDERS = ['allow-first', 'deny-first']
+
+/**
+ * @typedef {object} ParsedIp
+ * @property {4|6} version - The IP version
+ * @property {bigint} value - The numeric value of the address
+ */
+
+/**
+ * @typedef {object} ParsedCidr
+ * @property {4|6} version - The IP version
+ * @property {bigint} network - The numeric value of the network address
+ * @property {number} prefixLength - The network prefix length
+ */
+
+/**
+ * @function parseIp
+ * @description Parse an IPv4 or IPv6 address, IPv4-mapped IPv6 addresses ("::ffff:10.0.0.1") are parsed as IPv4
+ * @param {string} address - The IP address
+ * @returns {ParsedIp|null} The parsed address or null if the address is invalid
+ */
+export function parseIp (address) {
+  // Remove the IPv6 zone index (e.g. "fe80::1%eth0")
+  const ip = address.split('%')[0]
+  if (isIPv4(ip)) {
+    return { version: 4, value: parseIpv4(ip) }
+  }
+  if (!isIPv6(ip)) {
+    return null
+  }
+  const mappedIpv4 = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip)
+  if (mappedIpv4 && isIPv4(mappedIpv4[1])) {
+    return { version: 4, value: parseIpv4(mappedIpv4[1]) }
+  }
+  return { version: 6, value: parseIpv6(ip) }
+}
+
+/**
+ * @function parseCidr
+ * @description Parse a CIDR range, a single address is parsed as a range containing only this address
+ * @param {string} cidr - The CIDR range (e.g. "10.0.0.0/8", "2001:db8::/32" or "192.168.1.10")
+ * @returns {ParsedCidr|null} The parsed range or null if the range is invalid
+ */
+export function parseCidr (cidr) {
+  const [address, prefix, ...rest] = cidr.split('/')
+  const ip = parseIp(address)
+  if (!ip || rest.length > 0) {
+    return null
+  }
+  const maxPrefixLength = ip.version === 4 ? 32 : 128
+  const prefixLength = prefix === undefined ? maxPrefixLength : Number(prefix)
+  if (!/^\d+$/.test(prefix ?? '0') || prefixLength > maxPrefixLength) {
+    return null
+  }
+  return {
+    version: ip.version,
+    network: ip.value & getNetworkMask(ip.version, prefixLength),
+    prefixLength
+  }
+}
+
+/**
+ * @function isValidCidr
+ * @description Check if a CIDR range is valid
+ * @param {string} cidr - The CIDR range
+ * @returns {boolean} True if the range is valid
+ */
+export function isValidCidr (cidr) {
+  return parseCidr(cidr) !== null
+}
+
+/**
+ * @function compileCidrs
+ * @description Compile a list of CIDR ranges into a matcher
+ * @param {string[]} cidrs - The CIDR ranges
+ * @returns {function(string): boolean} A function testing if an IP address belongs to one of the ranges
+ * @throws {IpFilterError} If a range is invalid
+ */
+export function compileCidrs (cidrs) {
+  /** @type {ParsedCidr[]} */
+  const ranges = []
+  for (const cidr of cidrs) {
+    const range = parseCidr(cidr)
+    if (!range) {
+      throw new IpFilterError('Invalid IP address or CIDR range',
+        new ProxyErrorCause('Invalid IP address or CIDR range', { cidr })
+      )
+    }
+    ranges.push(range)
+  }
+  return (address) => {
+    const ip = parseIp(address)
+    if (!ip) {
+      return false
+    }
+    return ranges.some(range => range.version === ip.version &&
+      (ip.value & getNetworkMask(range.version, range.prefixLength)) === range.network
+    )
+  }
+}
+
+/**
+ * The compiled IP filters, by IP filter configuration
+ * @type {WeakMap<import('./routing-table.js').IpFilter, {allow: function(string): boolean, deny: function(string): boolean}>}
+ */
+const compiledIpFilters = new WeakMap()
+
+/**
+ * @function compileIpFilter
+ * @description Compile the lists of an IP filter, the compiled filters being reused for the same configuration
+ * @param {import('./routing-table.js').IpFilter} filter - The IP filter
+ * @returns {{allow: function(string): boolean, deny: function(string): boolean}} The compiled lists
+ * @throws {IpFilterError} If a range or the order is invalid
+ */
+export function compileIpFilter (filter) {
+  let compiledFilter = compiledIpFilters.get(filter)
+  if (!compiledFilter) {
+    if (filter.order !== undefined && !IP_FILTER_ORDERS.includes(filter.order)) {
+      throw new IpFilterError('Invalid IP filter order',
+        new ProxyErrorCause('Invalid IP filter order', { order: filter.order, orders: IP_FILTER_ORDERS })
+      )
+    }
+    compiledFilter = {
+      allow: compileCidrs(filter.allow || []),
+      deny: compileCidrs(filter.deny || [])
+    }
+    compiledIpFilters.set(filter, compiledFilter)
+  }
+  return compiledFilter
+}
+
+/**
+ * @function isIpAllowed
+ * @description Check if an IP address passes an IP filter
+ * With the deny-first order, an address of the deny list is rejected even if it belongs to the allow list.
+ * With the allow-first order, an address of the allow list is accepted even if it belongs to the deny list.
+ * In both cases, an address belonging to none of the lists is accepted only if the allow list is empty.
+ * @param {import('./routing-table.js').IpFilter} filter - The IP filter
+ * @param {string} address - The IP address
+ * @returns {boolean} True if the address is allowed
+ */
+export function isIpAllowed (filter, address) {
+  const compiledFilter = compileIpFilter(filter)
+  const hasAllowList = (filter.allow?.length || 0) > 0
+  if (filter.order === 'allow-first') {
+    return compiledFilter.allow(address) || (!compiledFilter.deny(address) && !hasAllowList)
+  }
+  return !compiledFilter.deny(address) && (compiledFilter.allow(address) || !hasAllowList)
+}
+
+/**
+ * @function getClientIp
+ * @description Get the client IP address, read from the X-Forwarded-For header when the request comes from a trusted proxy
+ * The addresses are read from right to left, the client being the first address that is not a trusted proxy.
+ * @param {string} peerAddress - The IP address of the peer connected to the proxy
+ * @param {Headers} headers - The request headers
+ * @param {function(string): boolean} [isTrustedProxy] - A function testing if an IP address is a trusted proxy, see compileCidrs
+ * @returns {string} The client IP address
+ */
+export function getClientIp (peerAddress, headers, isTrustedProxy) {
+  if (!isTrustedProxy || !isTrustedProxy(peerAddress)) {
+    return peerAddress
+  }
+  const forwardedAddresses = (headers.get('X-Forwarded-For') || '')
+    .split(',')
+    .map(address => address.trim())
+  let clientIp = peerAddress
+  for (const address of forwardedAddresses.reverse()) {
+    if (!parseIp(address)) {
+      break
+    }
+    clientIp = address
+    if (!isTrustedProxy(address)) {
+      break
+    }
+  }
+  return clientIp
+}
+
+/**
+ * @function getNetworkMask
+ * @description Get the network mask of a prefix length
+ * @param {4|6} version - The IP version
+ * @param {number} prefixLength - The network prefix length
+ * @returns {bigint} The network mask
+ */
+function getNetworkMask (version, prefixLength) {
+  const bits = BigInt(version === 4 ? 32 : 128)
+  const hostBits = bits - BigInt(prefixLength)
+  return ((1n << bits) - 1n) ^ ((1n << hostBits) - 1n)
+}
+
+/**
+ * @function parseIpv4
+ * @description Convert a valid IPv4 address to its numeric value
+ * @param {string} address - The IPv4 address
+ * @returns {bigint} The numeric value
+ */
+function parseIpv4 (address) {
+  return address.split('.').reduce((value, octet) => (value << 8n) + BigInt(octet), 0n)
+}
+
+/**
+ * @function parseIpv6
+ * @description Convert a valid IPv6 address to its numeric value
+ * @param {string} address - The IPv6 address
+ * @returns {bigint} The numeric value
+ */
+function parseIpv6 (address) {
+  let ip = address
+  // Convert an embedded IPv4 suffix (e.g. "64:ff9b::192.0.2.1") to two hexadecimal groups
+  const ipv4Suffix = /(\d+\.\d+\.\d+\.\d+)$/.exec(ip)
+  if (ipv4Suffix) {
+    const ipv4 = parseIpv4(ipv4Suffix[1])
+    ip = ip.slice(0, ipv4Suffix.index) + `${(ipv4 >> 16n).toString(16)}:${(ipv4 & 0xffffn).toString(16)}`
+  }
+  const [head, tail] = ip.split('::')
+  const headGroups = head ? head.split(':') : []
+  const tailGroups = tail ? tail.split(':') : []
+  const missingGroups = new Array(8 - headGroups.length - tailGroups.length).fill('0')
+  const groups = tail === undefined ? headGroups : [...headGroups, ...missingGroups, ...tailGroups]
+  return groups.reduce((value, group) => (value << 16n) + BigInt(`0x${group}`), 0n)
+}
+
+class IpFilterError extends ProxyError { }
@@ -0,0 +1,284 @@
+import { file } from 'bun'
+import { logger } from './logger.js'
+
+const LOG_PREFIX = 'JWT:'
+
+/** @typedef {'HS256'|'RS256'|'ES256'} JwtAlgorithm */
+
+/** @typedef {{[key: string]: unknown}} JwtClaims */
+
+/** @typedef {'Malformed token'|'Unsupported algorithm'|'No matching key'|'Invalid signature'|'Token expired'|'Token not yet valid'|'Invalid issuer'|'Invalid audience'} JwtVerificationError */
+
+/**
+ * @typedef {object} JwtVerification
+ * @property {boolean} valid - True if the token signature and claims are valid
+ * @property {JwtClaims} [claims] - The token claims, when valid
+ * @property {JwtVerificationError} [error] - The reason the token is invalid, a fixed text never including the token content
+ */
+
+/**
+ * @typedef {object} AlgorithmParams
+ * @property {string} name - The Web Crypto algorithm name
+ * @property {string} [hash] - The hash algorithm
+ * @property {string} [namedCurve] - The elliptic curve
+ */
+
+/**
+ * @typedef {object} CachedJwks
+ * @property {JsonWebKey[]} keys - The JSON Web Keys
+ * @property {number} fetchedAt - The time the keys were loaded
+ * @property {number} [failedAt] - The time the last reload failed
+ */
+
+/**
+ * The import parameters of the supported algorithms
+ * @type {Map<string, {importParams: AlgorithmParams, verifyParams: AlgorithmParams, kty: string}>}
+ */
+const ALGORITHMS = new Map([
+  ['HS256', { importParams: { name: 'HMAC', hash: 'SHA-256' }, verifyParams: { name: 'HMAC' }, kty: 'oct' }],
+  ['RS256', { importParams: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, verifyParams: { name: 'RSASSA-PKCS1-v1_5' }, kty: 'RSA' }],
+  ['ES256', { importParams: { name: 'ECDSA', namedCurve: 'P-256' }, verifyParams: { name: 'ECDSA', hash: 'SHA-256' }, kty: 'EC' }]
+])
+
+/**
+ * The minimum time in ms between two reloads of a JWKS, when a token references an unknown key or after a failure
+ * @type {number}
+ */
+const JWKS_MIN_RELOAD_INTERVAL = 10000
+
+/**
+ * The JWKS loaded from files and URLs, by file path or URL
+ * @type {Map<string, CachedJwks>}
+ */
+const jwksCache = new Map()
+
+/**
+ * The imported keys, by key configuration and algorithm
+ * @type {WeakMap<object, Map<string, CryptoKey|null>>}
+ */
+const importedKeys = new WeakMap()
+
+/**
+ * @function verifyJwt
+ * @description Verify the signature, the validity period, the issuer and the audience of a JSON Web Token
+ * @param {string} token - The compact serialized token
+ * @param {import('./routing-table.js').JwtAuthenticationStrategy} strategy - The JWT authentication strategy
+ * @returns {Promise<JwtVerification>} The verification result
+ */
+export async function verifyJwt (token, strategy) {
+  const parts = token.split('.')
+  if (parts.length !== 3) {
+    return { valid: false, error: 'Malformed token' }
+  }
+  const [encodedHeader, encodedPayload, encodedSignature] = parts
+  /** @type {{alg?: string, kid?: string}} */
+  let header
+  /** @type {JwtClaims} */
+  let claims
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString())
+    claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString())
+  } catch (error) {
+    return { valid: false, error: 'Malformed token' }
+  }
+  if (typeof claims !== 'object' || claims === null) {
+    return { valid: false, error: 'Malformed token' }
+  }
+
+  // The algorithm is checked against the configuration, so that a token can't choose a weaker verification
+  const allowedAlgorithms = strategy.algorithms || ['HS256', 'RS256', 'ES256']
+  const algorithm = ALGORITHMS.get(String(header.alg))
+  if (!algorithm || !allowedAlgorithms.includes(/** @type {JwtAlgorithm} */ (header.alg))) {
+    return { valid: false, error: 'Unsupported algorithm' }
+  }
+  const keys = await getVerificationKeys(strategy, String(header.alg), header.kid)
+  if (keys.length === 0) {
+    return { valid: false, error: 'No matching key' }
+  }
+  const data = new TextEncoder().encode(`${encodedHeader}.${encodedPayload}`)
+  const signature = Buffer.from(encodedSignature, 'base64url')
+  let verified = false
+  for (const key of keys) {
+    if (await crypto.subtle.verify(algorithm.verifyParams, key, signature, data)) {
+      verified = true
+      break
+    }
+  }
+  if (!verified) {
+    return { valid: false, error: 'Invalid signature' }
+  }
+
+  const now = Date.now()
+  const clockTolerance = strategy.clockTolerance || 0
+  if (typeof claims.exp === 'number' && now >= claims.exp * 1000 + clockTolerance) {
+    return { valid: false, error: 'Token expired' }
+  }
+  if (typeof claims.nbf === 'number' && now < claims.nbf * 1000 - clockTolerance) {
+    return { valid: false, error: 'Token not yet valid' }
+  }
+  if (strategy.issuer && ![strategy.issuer].flat().includes(String(claims.iss))) {
+    return { valid: false, error: 'Invalid issuer' }
+  }
+  if (strategy.audience) {
+    const tokenAudiences = [claims.aud].flat()
+    if (![strategy.audience].flat().some(audience => tokenAudiences.includes(audience))) {
+      return { valid: false, error: 'Invalid audience' }
+    }
+  }
+  return { valid: true, claims }
+}
+
+/**
+ * @function jwtAuthentication
+ * @description JWT bearer authentication middleware, forwarding the selected claims to the target as request headers
+ * @param {object} options - The options
+ * @param {Request} options.request - The incoming request
+ * @param {import('./routing-table.js').JwtAuthenticationStrategy} options.strategy - The JWT authentication strategy
+ * @returns {Promise<{response: null|Response, claims?: JwtClaims}>} The response if the authentication failed, the token claims otherwise
+ */
+export async function jwtAuthentication ({
+  request,
+  strategy
+}) {
+  const [scheme, token] = (request.headers.get('Authorization') || '').trim().split(/\s+/)
+  if (scheme?.toLowerCase() !== 'bearer' || !token) {
+    return {
+      response: new Response('Not authorized', {
+        headers: {
+          'WWW-Authenticate': 'Bearer'
+        },
+        status: 401
+      })
+    }
+  }
+  const verification = await verifyJwt(token, strategy)
+  if (!verification.valid || !verification.claims) {
+    logger.debug({ error: verification.error }, `${LOG_PREFIX} Invalid token`)
+    return {
+      response: new Response('Not authorized', {
+        headers: {
+          // The error is a fixed text per failure type, so that the token can't inject content into the header
+          'WWW-Authenticate': `Bearer error="invalid_token", error_description="${verification.error || 'Invalid token'}"`
+        },
+        status: 401
+      })
+    }
+  }
+  // Replace the headers sent by the client, so that the target can trust them
+  const claims = new Map(Object.entries(verification.claims))
+  for (const [claim, header] of Object.entries(strategy.forwardClaims || {})) {
+    const value = claims.get(claim)
+    if (value === undefined) {
+      request.headers.delete(header)
+    } else {
+      request.headers.set(header, typeof value === 'string' ? value : JSON.stringify(value))
+    }
+  }
+  return { response: null, claims: verification.claims }
+}
+
+/**
+ * @function getVerificationKeys
+ * @description Get the keys that may have signed a token, the HMAC algorithm using the secret and the others the public keys
+ * @param {import('./routing-table.js').JwtAuthenticationStrategy} strategy - The JWT authentication strategy
+ * @param {string} alg - The token algorithm
+ * @param {string} [kid] - The token key ID
+ * @returns {Promise<CryptoKey[]>} The candidate keys
+ */
+async function getVerificationKeys (strategy, alg, kid) {
+  const algorithm = ALGORITHMS.get(alg)
+  if (!algorithm) {
+    return []
+  }
+  /** @type {Array<CryptoKey|null>} */
+  const keys = []
+  if (alg === 'HS256') {
+    if (strategy.secret) {
+      keys.push(await importKey(strategy, alg, 'raw', new TextEncoder().encode(strategy.secret)))
+    }
+  } else {
+    if (strategy.publicKey) {
+      const der = Buffer.from(strategy.publicKey.replace(/-----(BEGIN|END) PUBLIC KEY-----|\s/g, ''), 'base64')
+      keys.push(await importKey(strategy, alg, 'spki', der))
+    }
+    const jwks = [
+      ...(strategy.jwks?.keys || []),
+      ...(await getJwks(strategy, kid))
+    ].filter(jwk => jwk.kty === algorithm.kty && (!jwk.alg || jwk.alg === alg) && (!kid || /** @type {{kid?: string}} */ (jwk).kid === kid))
+    for (const jwk of jwks) {
+      keys.push(await importKey(jwk, alg, 'jwk', jwk))
+    }
+  }
+  return /** @type {CryptoKey[]} */ (keys.filter(key => key !== null))
+}
+
+/**
+ * @function importKey
+ * @description Import a verification key, the imported keys and the import failures being cached by key configuration
+ * @param {object} owner - The key configuration, a strategy or a JSON Web Key
+ * @param {string} alg - The algorithm
+ * @param {'raw'|'spki'|'jwk'} format - The key format
+ * @param {BufferSource|JsonWebKey} keyData - The key
+ * @returns {Promise<CryptoKey|null>} The imported key, null if the key can't be used with the algorithm
+ */
+async function importKey (owner, alg, format, keyData) {
+  let ownerKeys = importedKeys.get(owner)
+  if (!ownerKeys) {
+    ownerKeys = new Map()
+    importedKeys.set(owner, ownerKeys)
+  }
+  let key = ownerKeys.get(`${format}:${alg}`)
+  if (key === undefined) {
+    const algorithm = /** @type {{importParams: AlgorithmParams}} */ (ALGORITHMS.get(alg))
+    try {
+      key = format === 'jwk'
+        ? await crypto.subtle.importKey(format, /** @type {JsonWebKey} */ (keyData), algorithm.importParams, false, ['verify'])
+        : await crypto.subtle.importKey(format, /** @type {BufferSource} */ (keyData), algorithm.importParams, false, ['verify'])
+    } catch (error) {
+      logger.warn({ error, alg, format }, `${LOG_PREFIX} Failed to import a ${format} verification key for ${alg}`)
+      key = null
+    }
+    ownerKeys.set(`${format}:${alg}`, key)
+  }
+  return key
+}
+
+/**
+ * @function getJwks
+ * @description Get the keys of the JWKS file or URL of a strategy, reloaded when the cache expires or when a token references an unknown key
+ * @param {import('./routing-table.js').JwtAuthenticationStrategy} strategy - The JWT authentication strategy
+ * @param {string} [kid] - The token key ID
+ * @returns {Promise<JsonWebKey[]>} The JSON Web Keys
+ */
+async function getJwks (strategy, kid) {
+  const source = strategy.jwksUrl || strategy.jwksFile
+  if (!source) {
+    return []
+  }
+  const now = Date.now()
+  const cachedJwks = jwksCache.get(source)
+  const expired = !cachedJwks || now - cachedJwks.fetchedAt >= (strategy.jwksCacheTtl ?? 600000)
+  const unknownKey = kid && cachedJwks && !cachedJwks.keys.some(jwk => /** @type {{kid?: string}} */ (jwk).kid === kid) &&
+    now - cachedJwks.fetchedAt >= JWKS_MIN_RELOAD_INTERVAL
+  const reloadFailedRecently = cachedJwks?.failedAt !== undefined && now - cachedJwks.failedAt < JWKS_MIN_RELOAD_INTERVAL
+  if (cachedJwks && ((!expired && !unknownKey) || reloadFailedRecently)) {
+    return cachedJwks.keys
+  }
+  try {
+    /** @type {{keys?: JsonWebKey[]}} */
+    const jwks = strategy.jwksUrl
+      ? await (await fetch(strategy.jwksUrl, { signal: AbortSignal.timeout(5000) })).json()
+      : await file(String(strategy.jwksFile)).json()
+    if (!Array.isArray(jwks?.keys)) {
+      throw new Error('The JWKS has no "keys" array')
+    }
+    jwksCache.set(source, { keys: jwks.keys, fetchedAt: now })
+    logger.debug({ source, keys: jwks.keys.length }, `${LOG_PREFIX} JWKS loaded from ${source}`)
+    return jwks.keys
+  } catch (error) {
+    // Keep using the previous keys until the source is available again
+    logger.warn({ error, source }, `${LOG_PREFIX} Failed to load the JWKS from ${source}`)
+    jwksCache.set(source, { keys: cachedJwks?.keys || [], fetchedAt: cachedJwks?.fetchedAt || 0, failedAt: now })
+    return cachedJwks?.keys || []
+  }
+}
@@ -0,0 +1,499 @@
+import { createHash, createHmac, timingSafeEqual } from 'node:crypto'
+import { hostname } from 'node:os'
+import process from 'node:process'
+import { hash } from 'bun'
+import { logger } from './logger.js'
+import { getRedisConnection } from './queues.js'
+import { parseCookies, serializeCookie } from './cookies.js'
+import { isCircuitAvailable } from './circuit-breaker.js'
+// @ts-ignore
+import pck from '../../package.json'
+
+/**
+ * @typedef {object} TargetSelectionContext
+ * @property {import('./routing-table.js').Route} route - The matched route
+ * @property {Request} [request] - The incoming request, used by the sticky cookie strategy
+ * @property {string} [clientIp] - The client IP address, used by the IP hash strategy
+ * @property {import('./routing-table.js').Target[]} [excludedTargets] - The targets not to select, e.g. the targets already tried by a retry
+ */
+
+/**
+ * @typedef {object} RoundRobinState
+ * @property {number} counter - The local requests counter
+ * @property {number[]} sequence - The targets indexes, in the order they are selected
+ */
+
+/**
+ * The round-robin state of each route, reset when the routing table is updated
+ * @type {WeakMap<import('./routing-table.js').Route, RoundRobinState>}
+ */
+const roundRobinStates = new WeakMap()
+
+/**
+ * The stable key of each route, used to share state between workers
+ * @type {WeakMap<import('./routing-table.js').Route, string>}
+ */
+const routeKeys = new WeakMap()
+
+/**
+ * The number of requests in progress in this worker, by target key
+ * @type {Map<string, number>}
+ */
+const inFlightRequests = new Map()
+
+/**
+ * The number of requests in progress in the other workers and hosts, by target key, refreshed from Redis
+ * @type {Map<string, number>}
+ */
+let sharedInFlightRequests = new Map()
+
+/** @type {Timer|undefined} */
+let inFlightRequestsSyncTimer
+
+/**
+ * Interval in ms between two synchronizations of the in-flight requests with Redis
+ * @type {number}
+ */
+const IN_FLIGHT_REQUESTS_SYNC_INTERVAL = 1000
+
+/**
+ * Time in ms after which the in-flight requests of a worker that stopped synchronizing are ignored
+ * @type {number}
+ */
+const IN_FLIGHT_REQUESTS_TTL = 5000
+
+const workerId = `${hostname()}:${process.pid}`
+
+/**
+ * The keys of the targets failing their health checks, pushed by the primary process
+ * @type {Set<string>}
+ */
+let unhealthyTargets = new Set()
+
+/**
+ * @function selectTarget
+ * @description Select the target of a route according to its load balancing strategy
+ * @param {TargetSelectionContext} context - The matched route and the request
+ * @returns {Promise<import('./routing-table.js').Target|null>} The selected target, null if no target is available
+ */
+export async function selectTarget (context) {
+  const { route } = context
+  const strategy = route.loadBalancingStrategy
+  const availableTargets = route.targets.filter(target => isTargetAvailable(target) && !context.excludedTargets?.includes(target))
+  if (availableTargets.length === 0) {
+    return null
+  }
+  if (!strategy) {
+    logger.debug({ route }, 'No load balancing strategy defined, using default')
+    return selectRandomTarget(availableTargets)
+  }
+  if (strategy.type === 'sticky-cookie') {
+    const pinnedTarget = getPinnedTarget(route, strategy, context.request)
+    if (pinnedTarget && availableTargets.includes(pinnedTarget)) {
+      return pinnedTarget
+    }
+    // The pinned target is gone or unavailable, or the cookie is missing or invalid
+    return await selectTargetWithStrategy(context, availableTargets, { type: strategy.fallback || 'random' })
+  }
+  return await selectTargetWithStrategy(context, availableTargets, strategy)
+}
+
+/**
+ * @function selectTargetWithStrategy
+ * @description Select the target of a route with a stateless or counter based load balancing strategy
+ * @param {TargetSelectionContext} context - The matched route and the request
+ * @param {import('./routing-table.js').Target[]} targets - The available targets of the route
+ * @param {import('./routing-table.js').LoadBalancingStrategy} strategy - The load balancing strategy
+ * @returns {Promise<import('./routing-table.js').Target|null>} The selected target, null if no target is available
+ */
+async function selectTargetWithStrategy (context, targets, strategy) {
+  const { route } = context
+  switch (strategy.type) {
+    case 'random':
+      return selectRandomTarget(targets)
+    case 'round-robin':
+    case 'weighted-round-robin':
+      return await selectRoundRobinTarget(route, targets, strategy)
+    case 'least-connections':
+      if (strategy.shared) {
+        startInFlightRequestsSync()
+      }
+      return selectLeastConnectionsTarget(targets)
+    case 'ip-hash':
+      return selectIpHashTarget(targets, context.clientIp || '')
+    default:
+      logger.warn({ route }, 'Unknown load balancing strategy, using default')
+      return selectRandomTarget(targets)
+  }
+}
+
+/**
+ * @function selectRandomTarget
+ * @description Select a random target
+ * @param {import('./routing-table.js').Target[]} targets - The targets
+ * @returns {import('./routing-table.js').Target} The selected target
+ */
+function selectRandomTarget (targets) {
+  return targets[Math.floor(Math.random() * targets.length)]
+}
+
+/**
+ * @function selectRoundRobinTarget
+ * @description Select the next target of a route, weights are ignored by the "round-robin" strategy
+ * The counter is local to the worker, unless the strategy is shared through Redis.
+ * Unavailable targets are skipped, their turns going to the next targets of the sequence.
+ * @param {import('./routing-table.js').Route} route - The route
+ * @param {import('./routing-table.js').Target[]} targets - The available targets of the route
+ * @param {import('./routing-table.js').RoundRobinLoadBalancingStrategy|import('./routing-table.js').WeightedRoundRobinLoadBalancingStrategy} strategy - The load balancing strategy
+ * @returns {Promise<import('./routing-table.js').Target|null>} The selected target, null if all the weights are 0 or no target is available
+ */
+async function selectRoundRobinTarget (route, targets, strategy) {
+  let state = roundRobinStates.get(route)
+  if (!state) {
+    const weights = route.targets.map(target => strategy.type === 'round-robin' ? 1 : getTargetWeight(target))
+    state = { counter: 0, sequence: buildWeightedSequence(weights) }
+    roundRobinStates.set(route, state)
+  }
+  if (state.sequence.length === 0) {
+    return null
+  }
+  let counter = state.counter++
+  if (strategy.shared) {
+    counter = await incrementSharedCounter(`load-balancing:${getRouteKey(route)}`) ?? counter
+  }
+  for (let i = 0; i < state.sequence.length; i++) {
+    const target = route.targets.at(Number(state.sequence.at((counter + i) % state.sequence.length)))
+    if (target && targets.includes(target)) {
+      return target
+    }
+  }
+  return null
+}
+
+/**
+ * @function selectLeastConnectionsTarget
+ * @description Select the target with the fewest requests in progress, ties are broken randomly
+ * Targets with a weight of 0 are never selected.
+ * @param {import('./routing-table.js').Target[]} targets - The targets
+ * @returns {import('./routing-table.js').Target|null} The selected target, null if all the weights are 0
+ */
+function selectLeastConnectionsTarget (targets) {
+  /** @type {import('./routing-table.js').Target[]} */
+  let leastLoadedTargets = []
+  let leastInFlightRequests = Infinity
+  for (const target of targets) {
+    if (getTargetWeight(target) === 0) {
+      continue
+    }
+    const targetInFlightRequests = getInFlightRequests(target)
+    if (targetInFlightRequests < leastInFlightRequests) {
+      leastInFlightRequests = targetInFlightRequests
+      leastLoadedTargets = [target]
+    } else if (targetInFlightRequests === leastInFlightRequests) {
+      leastLoadedTargets.push(target)
+    }
+  }
+  return leastLoadedTargets.length > 0 ? selectRandomTarget(leastLoadedTargets) : null
+}
+
+/**
+ * @function selectIpHashTarget
+ * @description Select a target from the client IP address with weighted rendezvous hashing
+ * A client always gets the same target, and adding or removing a target only moves the clients of that target.
+ * Targets with a weight of 0 are never selected.
+ * @param {import('./routing-table.js').Target[]} targets - The targets
+ * @param {string} clientIp - The client IP address
+ * @returns {import('./routing-table.js').Target|null} The selected target, null if all the weights are 0
+ * @see https://en.wikipedia.org/wiki/Rendezvous_hashing#Weighted_rendezvous_hash
+ */
+function selectIpHashTarget (targets, clientIp) {
+  /** @type {import('./routing-table.js').Target|null} */
+  let selectedTarget = null
+  let highestScore = -Infinity
+  for (const target of targets) {
+    const weight = getTargetWeight(target)
+    if (weight === 0) {
+      continue
+    }
+    // Map the 64 bits hash to ]0, 1[ to compute the weighted score
+    const unitHash = (Number(BigInt.asUintN(52, BigInt(hash(`${clientIp}|${getTargetKey(target)}`)))) + 1) / (2 ** 52 + 2)
+    const score = -weight / Math.log(unitHash)
+    if (score > highestScore) {
+      highestScore = score
+      selectedTarget = target
+    }
+  }
+  return selectedTarget
+}
+
+/**
+ * @function getPinnedTarget
+ * @description Get the target pinned by a valid affinity cookie
+ * @param {import('./routing-table.js').Route} route - The route
+ * @param {import('./routing-table.js').StickyCookieLoadBalancingStrategy} strategy - The load balancing strategy
+ * @param {Request} [request] - The incoming request
+ * @returns {import('./routing-table.js').Target|null} The pinned target, null if the cookie is missing, invalid or the target is gone or unavailable
+ */
+function getPinnedTarget (route, strategy, request) {
+  const cookie = parseCookies(request?.headers.get('cookie') || null).get(getAffinityCookieName(strategy))
+  if (!cookie) {
+    return null
+  }
+  const [targetId, signature] = cookie.split('.')
+  const expectedSignature = signTargetId(targetId, strategy.secret)
+  if (!signature || signature.length !== expectedSignature.length ||
+    !timingSafeEqual(Buffer.from(signature), Buffer.from(expectedSignature))) {
+    return null
+  }
+  return route.targets.find(target => getTargetId(target) === targetId && isTargetAvailable(target)) || null
+}
+
+/**
+ * @function getAffinityCookie
+ * @description Get the "Set-Cookie" header pinning the client to the selected target
+ * @param {TargetSelectionContext} context - The matched route and the request
+ * @param {import('./routing-table.js').Target} target - The selected target
+ * @returns {string|null} The "Set-Cookie" header value, null if the route is not sticky or the client is already pinned to the target
+ */
+export function getAffinityCookie ({ route, request }, target) {
+  const strategy = route.loadBalancingStrategy
+  if (strategy?.type !== 'sticky-cookie' || getPinnedTarget(route, strategy, request) === target) {
+    return null
+  }
+  const targetId = getTargetId(target)
+  return serializeCookie(getAffinityCookieName(strategy), `${targetId}.${signTargetId(targetId, strategy.secret)}`, {
+    path: '/',
+    maxAge: strategy.ttl,
+    httpOnly: true,
+    secure: request ? new URL(request.url).protocol === 'https:' : false,
+    sameSite: 'Lax'
+  })
+}
+
+/**
+ * @function getAffinityCookieName
+ * @description Get the name of the affinity cookie
+ * @param {import('./routing-table.js').StickyCookieLoadBalancingStrategy} strategy - The load balancing strategy
+ * @returns {string} The cookie name
+ */
+function getAffinityCookieName (strategy) {
+  return strategy.cookieName || `${pck.name}_affinity`
+}
+
+/**
+ * @function getTargetId
+ * @description Get an opaque identifier of a target, so that the affinity cookie doesn't disclose the upstream URLs
+ * @param {import('./routing-table.js').Target} target - The target
+ * @returns {string} The target identifier
+ */
+function getTargetId (target) {
+  return createHash('sha1').update(getTargetKey(target)).digest('hex').slice(0, 16)
+}
+
+/**
+ * @function signTargetId
+ * @description Sign a target identifier
+ * @param {string} targetId - The target identifier
+ * @param {string} secret - The signing secret
+ * @returns {string} The base64url HMAC-SHA256 signature
+ */
+function signTargetId (targetId, secret) {
+  return createHmac('sha256', secret).update(targetId).digest('base64url')
+}
+
+/**
+ * @function getTargetKey
+ * @description Get a key identifying a target, targets with the same upstream share the same key across routes
+ * @param {import('./routing-table.js').Target} target - The target
+ * @returns {string} The target key
+ */
+export function getTargetKey (target) {
+  return target.type === 'static' ? `static:${target.directory}` : `${target.type}:${target.url}`
+}
+
+/**
+ * @function isTargetAvailable
+ * @description Check if a target can be selected, i.e. it is not failing its health checks and its circuit is not open
+ * @param {import('./routing-table.js').Target} target - The target
+ * @returns {boolean} True if the target is available
+ */
+export function isTargetAvailable (target) {
+  const targetKey = getTargetKey(target)
+  return !unhealthyTargets.has(targetKey) && isCircuitAvailable(targetKey)
+}
+
+/**
+ * @function setUnhealthyTargets
+ * @description Replace the targets failing their health checks
+ * @param {string[]} targetKeys - The unhealthy targets keys
+ */
+export function setUnhealthyTargets (targetKeys) {
+  unhealthyTargets = new Set(targetKeys)
+}
+
+/**
+ * @function startTargetRequest
+ * @description Record the start of a request to a target
+ * @param {import('./routing-table.js').Target} target - The target
+ */
+export function startTargetRequest (target) {
+  const targetKey = getTargetKey(target)
+  inFlightRequests.set(targetKey, (inFlightRequests.get(targetKey) || 0) + 1)
+}
+
+/**
+ * @function endTargetRequest
+ * @description Record the end of a request to a target
+ * @param {import('./routing-table.js').Target} target - The target
+ */
+export function endTargetRequest (target) {
+  const targetKey = getTargetKey(target)
+  const targetInFlightRequests = (inFlightRequests.get(targetKey) || 0) - 1
+  if (targetInFlightRequests > 0) {
+    inFlightRequests.set(targetKey, targetInFlightRequests)
+  } else {
+    inFlightRequests.delete(targetKey)
+  }
+}
+
+/**
+ * @function getInFlightRequests
+ * @description Get the number of requests in progress to a target, in this worker and in the other workers sharing Redis
+ * @param {import('./routing-table.js').Target} target - The target
+ * @returns {number} The number of requests in progress
+ */
+export function getInFlightRequests (target) {
+  const targetKey = getTargetKey(target)
+  return (inFlightRequests.get(targetKey) || 0) + (sharedInFlightRequests.get(targetKey) || 0)
+}
+
+/**
+ * @function startInFlightRequestsSync
+ * @description Start synchronizing the in-flight requests with the other workers through Redis, if not already started
+ */
+function startInFlightRequestsSync () {
+  if (inFlightRequestsSyncTimer) {
+    return
+  }
+  inFlightRequestsSyncTimer = setInterval(syncInFlightRequests, IN_FLIGHT_REQUESTS_SYNC_INTERVAL)
+  // Don't keep the worker alive only for the synchronization
+  inFlightRequestsSyncTimer.unref()
+}
+
+/**
+ * @function syncInFlightRequests
+ * @description Publish the in-flight requests of this worker to Redis and aggregate those of the other workers
+ * Each worker writes its own expiring hash, so the requests of a worker that crashed are ignored after a few seconds.
+ * @returns {Promise<void>}
+ */
+async function syncInFlightRequests () {
+  const redisConnection = getRedisConnection()
+  if (!redisConnection || redisConnection.status !== 'ready') {
+    return
+  }
+  const workersKey = `${pck.name}:in-flight-requests:workers`
+  const workerKey = `${pck.name}:in-flight-requests:${workerId}`
+  try {
+    const now = Date.now()
+    const transaction = redisConnection.multi().del(workerKey)
+    if (inFlightRequests.size > 0) {
+      transaction.hset(workerKey, Object.fromEntries(inFlightRequests))
+    }
+    const results = await transaction
+      .pexpire(workerKey, IN_FLIGHT_REQUESTS_TTL)
+      .zadd(workersKey, now, workerId)
+      .zremrangebyscore(workersKey, 0, now - IN_FLIGHT_REQUESTS_TTL)
+      .zrange(workersKey, 0, -1)
+      .exec()
+    const activeWorkers = /** @type {string[]} */ (results?.at(-1)?.[1] || [])
+
+    const pipeline = redisConnection.pipeline()
+    for (const activeWorker of activeWorkers) {
+      if (activeWorker !== workerId) {
+        pipeline.hgetall(`${pck.name}:in-flight-requests:${activeWorker}`)
+      }
+    }
+    /** @type {Map<string, number>} */
+    const aggregatedInFlightRequests = new Map()
+    for (const [error, workerInFlightRequests] of (await pipeline.exec()) || []) {
+      if (error || !workerInFlightRequests) {
+        continue
+      }
+      for (const [targetKey, count] of Object.entries(workerInFlightRequests)) {
+        aggregatedInFlightRequests.set(targetKey, (aggregatedInFlightRequests.get(targetKey) || 0) + Number(count))
+      }
+    }
+    sharedInFlightRequests = aggregatedInFlightRequests
+  } catch (error) {
+    logger.warn({ error }, 'Failed to synchronize the in-flight requests with Redis')
+  }
+}
+
+/**
+ * @function getTargetWeight
+ * @description Get the weight of a target
+ * @param {import('./routing-table.js').Target} target - The target
+ * @returns {number} The target weight (default: 1)
+ */
+export function getTargetWeight (target) {
+  return target.weight ?? 1
+}
+
+/**
+ * @function buildWeightedSequence
+ * @description Build the smooth weighted round-robin sequence of a list of weights
+ * Targets are interleaved instead of being selected in bursts (weights 5 and 1 give "AABAAA" and not "AAAAAB").
+ * @param {number[]} weights - The targets weights
+ * @returns {number[]} The targets indexes, the sequence length being the sum of the weights
+ * @see https://github.com/phusion/nginx/commit/27e94984486058d73157038f7950a0a36ecc6e35
+ */
+export function buildWeightedSequence (weights) {
+  const totalWeight = weights.reduce((total, weight) => total + weight, 0)
+  let currentWeights = weights.map(() => 0)
+  /** @type {number[]} */
+  const sequence = []
+  for (let i = 0; i < totalWeight; i++) {
+    const increasedWeights = currentWeights.map((currentWeight, index) => currentWeight + Number(weights.at(index)))
+    const selectedIndex = increasedWeights.indexOf(Math.max(...increasedWeights))
+    currentWeights = increasedWeights.map((currentWeight, index) => index === selectedIndex ? currentWeight - totalWeight : currentWeight)
+    sequence.push(selectedIndex)
+  }
+  return sequence
+}
+
+/**
+ * @function getRouteKey
+ * @description Get a key identifying a route across workers and hosts
+ * @param {import('./routing-table.js').Route} route - The route
+ * @returns {string} The route key
+ */
+export function getRouteKey (route) {
+  let routeKey = routeKeys.get(route)
+  if (!routeKey) {
+    routeKey = createHash('sha1')
+      .update(JSON.stringify([route.hostname, route.pathType, route.path, route.match, route.targets]))
+      .digest('hex')
+    routeKeys.set(route, routeKey)
+  }
+  return routeKey
+}
+
+/**
+ * @function incrementSharedCounter
+ * @description Increment a counter shared by all workers in Redis
+ * @param {string} key - The counter key, prefixed by the package name
+ * @returns {Promise<number|null>} The incremented counter, null if Redis is not available
+ */
+async function incrementSharedCounter (key) {
+  const redisConnection = getRedisConnection()
+  // Don't wait for a reconnection, commands are queued while Redis is unavailable
+  if (!redisConnection || redisConnection.status !== 'ready') {
+    return null
+  }
+  try {
+    return await redisConnection.incr(`${pck.name}:${key}`)
+  } catch (error) {
+    logger.warn({ error, key }, 'Failed to increment the shared load balancing counter, using the local counter')
+    return null
+  }
+}
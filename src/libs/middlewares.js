@@ -0,0 +1,447 @@
+import { Glob } from 'bun'
+import { resolve } from 'node:path'
+import { pathToFileURL } from 'node:url'
+import { Counter } from 'prom-client'
+import { logger } from './logger.js'
+import { ProxyError, ProxyErrorCause } from './errors.js'
+
+const LOG_PREFIX = 'Middlewares:'
+
+/**
+ * The statuses of the responses that can't have a body
+ * @type {number[]}
+ */
+const NULL_BODY_STATUSES = [101, 204, 205, 304]
+
+/**
+ * The methods of the requests that can't have a body
+ * @type {string[]}
+ */
+const NULL_BODY_METHODS = ['GET', 'HEAD']
+
+/**
+ * The middleware module files of a directory
+ * @type {Glob}
+ * @see https://bun.sh/docs/api/glob
+ */
+const MODULE_FILES = new Glob('*.{js,mjs,ts}')
+
+/**
+ * The target types that can be picked by the pre-processing middlewares
+ * @type {string[]}
+ */
+const TARGET_TYPES = ['forward', 'redirect', 'static']
+
+const middlewareErrorsCounter = new Counter({
+  name: 'middleware_errors',
+  help: 'Number of middleware failures, the failing middlewares being skipped',
+  labelNames: ['middleware', 'phase']
+})
+
+/**
+ * @typedef {object} PreProcessingResult
+ * @property {Request} request - The request to send to the target, rebuilt from the middlewares changes
+ * @property {URL} url - The request URL
+ * @property {import('./routing-table.js').Target} target - The target to send the request to
+ * @property {Response} [response] - The response to return to the client instead of sending the request to the target
+ */
+
+/**
+ * @function executePreProcessingMiddlewares
+ * @description Execute the pre-processing middlewares of a route in order against a request
+ * Each middleware receives the method, URL, headers, body and target left by the previous one, and can replace them,
+ * share values with the next middlewares through the context, or return its own response.
+ * The fields omitted from the returned state are left unchanged.
+ * A middleware failing is reported and skipped, its changes being discarded.
+ * @param {object} options - The options
+ * @param {(string|import('./routing-table.js').RouteMiddleware)[]} options.routeMiddlewares - The route pre-processing middlewares
+ * @param {import('../worker-process.js').PreProcessingMiddleware[]} options.middlewares - The registered pre-processing middlewares
+ * @param {Request} options.request - The incoming request
+ * @param {URL} options.url - The incoming request URL
+ * @param {import('./routing-table.js').Route} options.route - The matched route
+ * @param {import('./routing-table.js').Target} options.target - The selected target
+ * @param {import('./jwt.js').JwtClaims} [options.claims] - The token claims of the requests authenticated by the JWT strategy
+ * @param {Record<string, any>} options.context - The values shared between the middlewares
+ * @param {import('../worker-process.js').Transaction} options.transaction - The transaction
+ * @returns {Promise<PreProcessingResult>} The processed request, or the response to return to the client
+ */
+export async function executePreProcessingMiddlewares ({ routeMiddlewares, middlewares, request, url, route, target, claims, context, transaction }) {
+  let method = request.method
+  let currentUrl = url
+  /** @type {Record<string, string|string[]>} */
+  let headers = request.headers.toJSON()
+  /** @type {import('../worker-process.js').MiddlewareBody} */
+  let body = request.body
+  let currentTarget = target
+  const originalBody = body
+
+  for (const routeMiddleware of routeMiddlewares) {
+    const { key: middlewareKey, options = {} } = getRouteMiddleware(routeMiddleware)
+    const middleware = middlewares.find(m => m.key === middlewareKey)
+    if (!middleware?.handler) {
+      logger.warn({ middlewareKey }, `${LOG_PREFIX} Middleware ${middlewareKey} not found`)
+      continue
+    }
+    /** @type {import('../worker-process.js').PreProcessingMiddlewareState} */
+    const state = {
+      transaction,
+      route,
+      options,
+      claims,
+      method,
+      // Copies, so that the changes of a failing middleware are discarded
+      url: new URL(currentUrl.href),
+      headers: structuredClone(headers),
+      body,
+      text: () => readBodyText(state),
+      json: async () => JSON.parse(await readBodyText(state)),
+      context,
+      target: currentTarget,
+      action: 'next'
+    }
+    /** @type {import('../worker-process.js').PreProcessingMiddlewareState} */
+    let updatedState
+    try {
+      updatedState = (await middleware.handler(state)) || state
+    } catch (error) {
+      reportMiddlewareError(error, middlewareKey, 'pre-processing')
+      body = state.body === originalBody && originalBody?.locked ? null : state.body
+      continue
+    }
+    switch (updatedState.action) {
+      case 'cancel':
+        logger.debug({ middlewareKey }, `${LOG_PREFIX} Middleware ${middlewareKey} cancelled the transaction`)
+        transaction.transaction_cancelled = true
+        transaction.transaction_cancellation_reason = updatedState.cancellationReason || `Cancelled by ${middlewareKey}`
+        await cancelBody(body)
+        return {
+          request,
+          url: currentUrl,
+          target: currentTarget,
+          response: updatedState.response || new Response('Request cancelled', { status: 400 })
+        }
+      case 'respond':
+        if (!(updatedState.response instanceof Response)) {
+          logger.warn({ middlewareKey }, `${LOG_PREFIX} Middleware ${middlewareKey} responded without a response`)
+          break
+        }
+        logger.debug({ middlewareKey }, `${LOG_PREFIX} Middleware ${middlewareKey} responded to the request`)
+        await cancelBody(body)
+        return { request, url: currentUrl, target: currentTarget, response: updatedState.response }
+      case 'next':
+        // The omitted fields are left unchanged
+        method = (updatedState.method || method).toUpperCase()
+        if (updatedState.url !== undefined) {
+          currentUrl = updatedState.url instanceof URL ? updatedState.url : new URL(String(updatedState.url), currentUrl)
+        }
+        headers = updatedState.headers ?? headers
+        body = updatedState.body === undefined ? body : updatedState.body
+        if (updatedState.target !== undefined) {
+          if (updatedState.target && TARGET_TYPES.includes(updatedState.target.type)) {
+            currentTarget = updatedState.target
+          } else {
+            logger.warn({ middlewareKey }, `${LOG_PREFIX} Middleware ${middlewareKey} picked an invalid target`)
+          }
+        }
+        logger.debug({ middlewareKey }, `${LOG_PREFIX} Middleware ${middlewareKey} passed the transaction`)
+        break
+      default:
+        logger.warn({ middlewareKey }, `${LOG_PREFIX} Unknown middleware action`)
+        break
+    }
+  }
+
+  const requestHeaders = toHeaders(headers)
+  body = prepareBody(body, originalBody, requestHeaders)
+  if (NULL_BODY_METHODS.includes(method)) {
+    await cancelBody(body)
+    body = null
+  }
+  return {
+    request: new Request(currentUrl.href, { method, headers: requestHeaders, body }),
+    url: currentUrl,
+    target: currentTarget
+  }
+}
+
+/**
+ * @function executePostProcessingMiddlewares
+ * @description Execute the post-processing middlewares of a route in order against a response
+ * Each middleware receives the status, headers and body left by the previous one, and can replace them or cancel the response,
+ * the fields omitted from the returned state being left unchanged.
+ * A middleware failing is reported and skipped, the response being left as is.
+ * @param {object} options - The options
+ * @param {(string|import('./routing-table.js').RouteMiddleware)[]} options.routeMiddlewares - The route post-processing middlewares
+ * @param {import('../worker-process.js').PostProcessingMiddleware[]} options.middlewares - The registered post-processing middlewares
+ * @param {Response} options.response - The response to process
+ * @param {Record<string, any>} options.context - The values shared by the pre-processing middlewares
+ * @param {import('../worker-process.js').Transaction} options.transaction - The transaction
+ * @returns {Promise<Response>} The processed response
+ */
+export async function executePostProcessingMiddlewares ({ routeMiddlewares, middlewares, response, context, transaction }) {
+  let status = response.status
+  let statusText = response.statusText
+  /** @type {Record<string, string|string[]>} */
+  let headers = response.headers.toJSON()
+  /** @type {import('../worker-process.js').MiddlewareBody} */
+  let body = response.body
+  const originalBody = body
+
+  for (const routeMiddleware of routeMiddlewares) {
+    const { key: middlewareKey, options = {} } = getRouteMiddleware(routeMiddleware)
+    const middleware = middlewares.find(m => m.key === middlewareKey)
+    if (!middleware?.handler) {
+      logger.warn({ middlewareKey }, `${LOG_PREFIX} Middleware ${middlewareKey} not found`)
+      continue
+    }
+    /** @type {import('../worker-process.js').PostProcessingMiddlewareState} */
+    const state = {
+      transaction,
+      options,
+      status,
+      statusText,
+      headers,
+      body,
+      text: () => readBodyText(state),
+      json: async () => JSON.parse(await readBodyText(state)),
+      context,
+      action: 'next'
+    }
+    /** @type {import('../worker-process.js').PostProcessingMiddlewareState} */
+    let updatedState
+    try {
+      updatedState = (await middleware.handler(state)) || state
+    } catch (error) {
+      reportMiddlewareError(error, middlewareKey, 'post-processing')
+      // The body stream may have been read by the failing middleware
+      body = state.body === originalBody && originalBody?.locked ? null : state.body
+      continue
+    }
+    switch (updatedState.action) {
+      case 'cancel':
+        logger.debug({ middlewareKey }, `${LOG_PREFIX} Middleware ${middlewareKey} cancelled the response`)
+        transaction.transaction_cancelled = true
+        transaction.transaction_cancellation_reason = updatedState.cancellationReason || `Cancelled by ${middlewareKey}`
+        await cancelBody(body)
+        return new Response('Response cancelled', { status: 502 })
+      case 'next':
+        // The omitted fields are left unchanged
+        status = updatedState.status ?? status
+        statusText = updatedState.statusText ?? statusText
+        headers = updatedState.headers ?? headers
+        body = updatedState.body === undefined ? body : updatedState.body
+        logger.debug({ middlewareKey }, `${LOG_PREFIX} Middleware ${middlewareKey} passed the response`)
+        break
+      default:
+        logger.warn({ middlewareKey }, `${LOG_PREFIX} Unknown middleware action`)
+        break
+    }
+  }
+
+  const responseHeaders = toHeaders(headers)
+  body = prepareBody(body, originalBody, responseHeaders)
+  if (NULL_BODY_STATUSES.includes(status)) {
+    await cancelBody(body)
+    body = null
+  }
+  return new Response(body, { status, statusText, headers: responseHeaders })
+}
+
+/**
+ * @function loadMiddlewares
+ * @description Load the middlewares of the modules of a directory
+ * Each module exports its "preProcessing" and "postProcessing" handlers, by middleware key, e.g.:
+ * export const preProcessing = { addTenant: (state) => state }
+ * @param {string} directory - The middlewares directory
+ * @returns {Promise<import('../worker-process.js').Middlewares>} The middlewares
+ * @throws {MiddlewareError} If a module fails to load, exports an invalid handler or a middleware key already loaded
+ */
+export async function loadMiddlewares (directory) {
+  /** @type {import('../worker-process.js').Middlewares} */
+  const middlewares = {
+    preProcessing: [],
+    postProcessing: []
+  }
+  /** @type {string[]} */
+  let fileNames
+  try {
+    fileNames = (await Array.fromAsync(MODULE_FILES.scan({ cwd: directory }))).sort()
+  } catch (error) {
+    throw new MiddlewareError('Failed to read the middlewares directory',
+      new ProxyErrorCause('Failed to read the middlewares directory', { directory }, error)
+    )
+  }
+  for (const fileName of fileNames) {
+    const modulePath = resolve(directory, fileName)
+    /** @type {{preProcessing?: {[key: string]: Function}, postProcessing?: {[key: string]: Function}}} */
+    let middlewareModule
+    try {
+      middlewareModule = await import(pathToFileURL(modulePath).href)
+    } catch (error) {
+      throw new MiddlewareError('Failed to load the middleware module',
+        new ProxyErrorCause('Failed to load the middleware module', { modulePath }, error)
+      )
+    }
+    /** @type {[string, {[key: string]: Function}|undefined, import('../worker-process.js').PreProcessingMiddleware[]][]} */
+    const phases = [
+      ['preProcessing', middlewareModule.preProcessing, middlewares.preProcessing],
+      ['postProcessing', middlewareModule.postProcessing, middlewares.postProcessing]
+    ]
+    for (const [phase, handlers, phaseMiddlewares] of phases) {
+      for (const [key, handler] of Object.entries(handlers || {})) {
+        if (typeof handler !== 'function') {
+          throw new MiddlewareError('Invalid middleware handler',
+            new ProxyErrorCause('Invalid middleware handler', { modulePath, phase, key }, new Error(`The ${phase} middleware ${key} is not a function`))
+          )
+        }
+        if (phaseMiddlewares.some(middleware => middleware.key === key)) {
+          throw new MiddlewareError('Duplicate middleware key',
+            new ProxyErrorCause('Duplicate middleware key', { modulePath, phase, key }, new Error(`The ${phase} middleware ${key} is already loaded`))
+          )
+        }
+        phaseMiddlewares.push({ key, handler })
+      }
+    }
+    logger.debug({ modulePath }, `${LOG_PREFIX} Middleware module ${fileName} loaded`)
+  }
+  return middlewares
+}
+
+/**
+ * @typedef {object} MissingMiddleware
+ * @property {string} route - The route, as its hostname and path
+ * @property {'preProcessing'|'postProcessing'} phase - The middleware phase
+ * @property {string} key - The middleware key
+ */
+
+/**
+ * @function findMissingMiddlewares
+ * @description Find the middlewares referenced by the routes of a routing table that are not registered
+ * @param {import('./routing-table.js').RoutingTable} routingTable - The routing table
+ * @param {import('../worker-process.js').Middlewares} middlewares - The registered middlewares
+ * @returns {MissingMiddleware[]} The missing middlewares
+ */
+export function findMissingMiddlewares (routingTable, middlewares) {
+  /** @type {MissingMiddleware[]} */
+  const missingMiddlewares = []
+  for (const route of routingTable) {
+    /** @type {['preProcessing'|'postProcessing', (string|import('./routing-table.js').RouteMiddleware)[]|undefined, import('../worker-process.js').PreProcessingMiddleware[]][]} */
+    const phases = [
+      ['preProcessing', route.middlewares?.preProcessing, middlewares.preProcessing],
+      ['postProcessing', route.middlewares?.postProcessing, middlewares.postProcessing]
+    ]
+    for (const [phase, routeMiddlewares, phaseMiddlewares] of phases) {
+      for (const routeMiddleware of routeMiddlewares || []) {
+        const { key } = getRouteMiddleware(routeMiddleware)
+        if (!phaseMiddlewares.some(middleware => middleware.key === key)) {
+          missingMiddlewares.push({ route: `${route.hostname}${route.path}`, phase, key })
+        }
+      }
+    }
+  }
+  return missingMiddlewares
+}
+
+/**
+ * @function getRouteMiddleware
+ * @description Get the key and route options of a middleware referenced by a route
+ * @param {string|import('./routing-table.js').RouteMiddleware} routeMiddleware - The middleware key, or the middleware with its route options
+ * @returns {import('./routing-table.js').RouteMiddleware} The middleware key and route options
+ */
+function getRouteMiddleware (routeMiddleware) {
+  return typeof routeMiddleware === 'string' ? { key: routeMiddleware } : routeMiddleware
+}
+
+/**
+ * @function reportMiddlewareError
+ * @description Log and count the failure of a middleware
+ * @param {unknown} error - The middleware error
+ * @param {string} middlewareKey - The middleware key
+ * @param {'pre-processing'|'post-processing'} phase - The middleware phase
+ */
+function reportMiddlewareError (error, middlewareKey, phase) {
+  logger.error({ error, middlewareKey, phase }, `${LOG_PREFIX} ${phase} middleware ${middlewareKey} failed and was skipped`)
+  middlewareErrorsCounter.inc({ middleware: middlewareKey, phase })
+}
+
+/**
+ * @function toHeaders
+ * @description Convert the headers of a middleware state, the repeated headers being arrays
+ * @param {Record<string, string|string[]>} headers - The middleware state headers
+ * @returns {Headers} The headers
+ */
+function toHeaders (headers) {
+  const result = new Headers()
+  for (const [name, value] of Object.entries(headers || {})) {
+    for (const headerValue of Array.isArray(value) ? value : [value]) {
+      result.append(name, headerValue)
+    }
+  }
+  return result
+}
+
+/**
+ * @function prepareBody
+ * @description Prepare the body left by the middlewares to be sent, the objects being serialized as JSON
+ * @param {import('../worker-process.js').MiddlewareBody} body - The body left by the middlewares
+ * @param {import('../worker-process.js').MiddlewareBody} originalBody - The original body
+ * @param {Headers} headers - The headers sent with the body, updated for the replaced bodies
+ * @returns {BodyInit|null} The body
+ */
+function prepareBody (body, originalBody, headers) {
+  if (body !== originalBody) {
+    // Let the length of the replaced body be computed
+    headers.delete('content-length')
+  }
+  if (isJsonBody(body)) {
+    if (!headers.has('content-type')) {
+      headers.set('content-type', 'application/json')
+    }
+    return JSON.stringify(body)
+  }
+  return /** @type {BodyInit|null} */ (body)
+}
+
+/**
+ * @function readBodyText
+ * @description Read the body of a middleware state as text, buffering it so that it can be read again and forwarded
+ * @param {import('../worker-process.js').PreProcessingMiddlewareState|import('../worker-process.js').PostProcessingMiddlewareState} state - The middleware state
+ * @returns {Promise<string>} The body text
+ */
+async function readBodyText (state) {
+  if (typeof state.body === 'string') {
+    return state.body
+  }
+  if (isJsonBody(state.body)) {
+    return JSON.stringify(state.body)
+  }
+  const buffer = await new Response(/** @type {BodyInit|null} */ (state.body)).arrayBuffer()
+  state.body = buffer
+  return new TextDecoder().decode(buffer)
+}
+
+/**
+ * @function isJsonBody
+ * @description Test if a body is a value to serialize as JSON rather than a body accepted by the Response constructor
+ * @param {import('../worker-process.js').MiddlewareBody} body - The body
+ * @returns {boolean} True if the body has to be serialized as JSON
+ */
+function isJsonBody (body) {
+  return body !== null && body !== undefined && typeof body === 'object' &&
+    !(body instanceof ReadableStream || body instanceof ArrayBuffer || ArrayBuffer.isView(body) ||
+      body instanceof Blob || body instanceof FormData || body instanceof URLSearchParams)
+}
+
+/**
+ * @function cancelBody
+ * @description Cancel a body stream that won't be read, releasing the target connection
+ * @param {import('../worker-process.js').MiddlewareBody} body - The body
+ * @returns {Promise<void>}
+ */
+async function cancelBody (body) {
+  if (body instanceof ReadableStream && !body.locked) {
+    await body.cancel()
+  }
+}
+
+class MiddlewareError extends ProxyError { }
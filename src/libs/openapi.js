@@ -184,6 +184,149 @@ const paths = {
         }
       }
     }
+  },
+  '/targets/health': {
+    get: {
+      summary: 'Get targets health',
+      description: 'Retrieves the active health check state of the forward targets. Unhealthy targets are excluded from load balancing. Requires API key authentication.',
+      tags: ['Monitoring'],
+      security: [
+        {
+          apiKeyAuth: []
+        }
+      ],
+      responses: {
+        200: {
+          description: 'Successfully retrieved targets health',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    target: { type: 'string' },
+                    url: { type: 'string' },
+                    healthy: { type: 'boolean' },
+                    consecutiveSuccesses: { type: 'integer' },
+                    consecutiveFailures: { type: 'integer' },
+                    lastCheck: { type: 'string', format: 'date-time' },
+                    lastStatus: { type: 'integer' },
+                    lastError: { type: 'string' }
+                  }
+                },
+                example: [
+                  {
+                    target: 'forward:http://localhost:3000',
+                    url: 'http://localhost:3000/health',
+                    healthy: false,
+                    consecutiveSuccesses: 0,
+                    consecutiveFailures: 3,
+                    lastCheck: '2024-01-01T00:00:00.000Z',
+                    lastError: 'timeout'
+                  }
+                ]
+              }
+            }
+          }
+        },
+        401: {
+          description: 'Unauthorized - Missing or invalid API key',
+          content: {
+            'text/plain': {
+              schema: {
+                type: 'string',
+                example: 'Not authorized. API key invalid'
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  '/cache/purge': {
+    post: {
+      summary: 'Purge cached responses',
+      description: 'Purges the responses cached in Redis and in the workers memory, by exact URL, by URL prefix, by route or by surrogate key ("Surrogate-Key" or "Cache-Tag" response headers). Requires API key authentication.',
+      tags: ['Cache'],
+      security: [
+        {
+          apiKeyAuth: []
+        }
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              oneOf: [
+                {
+                  type: 'object',
+                  properties: { url: { type: 'string', description: 'The exact URL' } },
+                  required: ['url']
+                },
+                {
+                  type: 'object',
+                  properties: { prefix: { type: 'string', description: 'The URL prefix' } },
+                  required: ['prefix']
+                },
+                {
+                  type: 'object',
+                  properties: {
+                    hostname: { type: 'string', description: 'The route hostname' },
+                    path: { type: 'string', description: 'The route path' }
+                  },
+                  required: ['hostname']
+                },
+                {
+                  type: 'object',
+                  properties: { tag: { type: 'string', description: 'The surrogate key' } },
+                  required: ['tag']
+                }
+              ]
+            },
+            example: {
+              prefix: 'https://www.example.com/assets/'
+            }
+          }
+        }
+      },
+      responses: {
+        200: {
+          description: 'Successfully purged the cached responses, the memory caches of the workers being purged asynchronously',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  purged: {
+                    type: 'integer',
+                    description: 'The number of responses purged from Redis'
+                  }
+                }
+              }
+            }
+          }
+        },
+        400: {
+          description: 'Bad request - Malformed body or missing purge criteria'
+        },
+        401: {
+          description: 'Unauthorized - Missing or invalid API key',
+          content: {
+            'text/plain': {
+              schema: {
+                type: 'string',
+                example: 'Not authorized. API key invalid'
+              }
+            }
+          }
+        },
+        503: {
+          description: 'Service unavailable - The Redis cache could not be purged'
+        }
+      }
+    }
   }
 }
 
@@ -223,6 +366,10 @@ export function getOpenApiSpecification (baseUrl) {
         {
           name: 'Routing',
           description: 'Routing operations.'
+        },
+        {
+          name: 'Cache',
+          description: 'Cache operations.'
         }
       ],
       paths,
@@ -92,6 +92,15 @@ export const queues = {
   postTransaction: postTransactionQueueName
 }
 
+/**
+ * @function getRedisConnection
+ * @description Get the Redis connection created by initializeQueues
+ * @returns {import('ioredis').Redis|undefined} - The Redis connection, undefined if the queues are not initialized
+ */
+export function getRedisConnection () {
+  return redisConnection
+}
+
 /**
  * @function redisConnectionRetryStrategy
  * @description Retry strategy for the Redis client
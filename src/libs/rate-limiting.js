@@ -0,0 +1,367 @@
+import { createHash } from 'node:crypto'
+import { Counter } from 'prom-client'
+import { logger } from './logger.js'
+import { getRedisConnection } from './queues.js'
+import { getRouteKey } from './load-balancing.js'
+// @ts-ignore
+import pck from '../../package.json'
+
+const REDIS_PREFIX = `${pck.name}:rate-limit`
+
+/**
+ * @typedef {object} RateLimitContext
+ * @property {import('./routing-table.js').Route} route - The matched route
+ * @property {Request} request - The incoming request
+ * @property {string} clientIp - The client IP address
+ * @property {string} [user] - The authenticated user
+ * @property {string} [apiKeyHash] - The hash of the authenticated API key, removed from the request headers
+ */
+
+/**
+ * @typedef {object} RateLimitResult
+ * @property {boolean} allowed - False if the request exceeds the limit
+ * @property {number} limit - The maximum number of requests of the window, or the bucket capacity
+ * @property {number} remaining - The number of requests left
+ * @property {number} reset - The time in ms until the limit is fully restored
+ * @property {number} retryAfter - The time in ms until a rejected request can be retried, 0 if allowed
+ * @property {string} policy - The rate limit policy, e.g. "100;w=60"
+ */
+
+/**
+ * @typedef {object} RateLimitState
+ * @property {number} expiresAt - The time after which the state can be discarded
+ * @property {number} window - The fixed or sliding window start time, or the window index
+ * @property {number} current - The number of requests in the current window, or the tokens left in the bucket
+ * @property {number} previous - The number of requests in the previous window, or the last refill time
+ */
+
+/**
+ * The rate limit states of this worker, by rate limit key, used when Redis is not available
+ * @type {Map<string, RateLimitState>}
+ */
+const localStates = new Map()
+
+/**
+ * The number of local states above which the expired states are discarded
+ * @type {number}
+ */
+const MAX_LOCAL_STATES = 10000
+
+const rateLimitedRequestsCounter = new Counter({
+  name: 'rate_limited_requests',
+  help: 'Number of requests rejected by the rate limiting strategy of each route',
+  labelNames: ['route', 'strategy']
+})
+
+/**
+ * The Redis scripts of the strategies, returning the allowed flag, the remaining requests, the reset time and the retry delay
+ * Redis time is used so that all hosts share the same clock. A request of cost 0 checks the limit without being counted.
+ * @type {Map<string, string>}
+ */
+const redisScripts = new Map([
+  ['fixed-window', `
+    local limit = tonumber(ARGV[1])
+    local window = tonumber(ARGV[2])
+    local cost = tonumber(ARGV[3])
+    local count = redis.call('INCRBY', KEYS[1], cost)
+    local ttl = redis.call('PTTL', KEYS[1])
+    if ttl < 0 then
+      redis.call('PEXPIRE', KEYS[1], window)
+      ttl = window
+    end
+    if count + 1 - cost > limit then
+      return {0, 0, ttl, ttl}
+    end
+    return {1, limit - count, ttl, 0}
+  `],
+  ['sliding-window', `
+    local limit = tonumber(ARGV[1])
+    local window = tonumber(ARGV[2])
+    local cost = tonumber(ARGV[3])
+    local time = redis.call('TIME')
+    local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+    local index = math.floor(now / window)
+    local state = redis.call('HMGET', KEYS[1], 'window', 'current', 'previous')
+    local stateIndex = tonumber(state[1]) or index
+    local current = tonumber(state[2]) or 0
+    local previous = tonumber(state[3]) or 0
+    if stateIndex == index - 1 then
+      previous = current
+      current = 0
+    elseif stateIndex < index - 1 then
+      previous = 0
+      current = 0
+    end
+    local elapsed = now - index * window
+    local count = previous * (window - elapsed) / window + current
+    local allowed = 0
+    local retryAfter = window - elapsed
+    if count + 1 <= limit then
+      allowed = 1
+      retryAfter = 0
+      current = current + cost
+      count = count + cost
+    elseif previous > 0 and current + 1 <= limit then
+      retryAfter = math.ceil(window - (limit - current - 1) * window / previous - elapsed)
+    end
+    redis.call('HSET', KEYS[1], 'window', index, 'current', current, 'previous', previous)
+    redis.call('PEXPIRE', KEYS[1], window * 2)
+    return {allowed, math.max(math.floor(limit - count), 0), 2 * window - elapsed, retryAfter}
+  `],
+  ['token-bucket', `
+    local capacity = tonumber(ARGV[1])
+    local refillRate = tonumber(ARGV[2])
+    local cost = tonumber(ARGV[3])
+    local time = redis.call('TIME')
+    local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+    local state = redis.call('HMGET', KEYS[1], 'tokens', 'timestamp')
+    local tokens = tonumber(state[1]) or capacity
+    local timestamp = tonumber(state[2]) or now
+    tokens = math.min(capacity, tokens + math.max(now - timestamp, 0) * refillRate / 1000)
+    local allowed = 0
+    local retryAfter = 0
+    if tokens >= 1 then
+      allowed = 1
+      tokens = tokens - cost
+    else
+      retryAfter = math.ceil((1 - tokens) * 1000 / refillRate)
+    end
+    local reset = math.ceil((capacity - tokens) * 1000 / refillRate)
+    redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'timestamp', now)
+    redis.call('PEXPIRE', KEYS[1], math.max(reset, 1))
+    return {allowed, math.floor(tokens), reset, retryAfter}
+  `]
+])
+
+/**
+ * @function checkRateLimit
+ * @description Count a request against the rate limiting strategy of its route
+ * The counters are shared in Redis by all workers and hosts, and kept by each worker while Redis is not available.
+ * @param {RateLimitContext} context - The request context
+ * @returns {Promise<RateLimitResult|null>} The rate limit result, null if the route is not rate limited
+ */
+export async function checkRateLimit (context) {
+  const strategy = context.route.rateLimitStrategy
+  if (!strategy || strategy.type === 'none') {
+    return null
+  }
+  return await countRequest(context.route, strategy, getRateLimitIdentity(strategy.key, context), 1)
+}
+
+/**
+ * @function checkAuthenticationRateLimit
+ * @description Check if a client IP can still attempt to authenticate on a rate limited route, without counting the request
+ * The failed authentications are counted by client IP against the route limit, so that the credentials can't be brute-forced,
+ * and the client IPs exceeding it are rejected before their credentials are verified.
+ * @param {RateLimitContext} context - The request context
+ * @returns {Promise<RateLimitResult|null>} The rate limit result, null if the route is not rate limited or not authenticated
+ */
+export async function checkAuthenticationRateLimit (context) {
+  const strategy = context.route.rateLimitStrategy
+  if (!strategy || strategy.type === 'none' || !context.route.authenticationStrategy || context.route.authenticationStrategy.type === 'anonymous') {
+    return null
+  }
+  return await countRequest(context.route, strategy, `authentication:${context.clientIp}`, 0)
+}
+
+/**
+ * @function countFailedAuthentication
+ * @description Count a failed authentication of a client IP against the rate limiting strategy of its route
+ * @param {RateLimitContext} context - The request context
+ * @returns {Promise<RateLimitResult|null>} The rate limit result, null if the route is not rate limited
+ */
+export async function countFailedAuthentication (context) {
+  const strategy = context.route.rateLimitStrategy
+  if (!strategy || strategy.type === 'none') {
+    return null
+  }
+  return await countRequest(context.route, strategy, `authentication:${context.clientIp}`, 1)
+}
+
+/**
+ * @function countRequest
+ * @description Count a request of an identity, in Redis or in the memory of this worker
+ * @param {import('./routing-table.js').Route} route - The matched route
+ * @param {import('./routing-table.js').WindowRateLimitStrategy|import('./routing-table.js').TokenBucketRateLimitStrategy} strategy - The rate limiting strategy
+ * @param {string} identity - The identity requests are counted by
+ * @param {number} cost - The number of requests counted, 0 to only check the limit
+ * @returns {Promise<RateLimitResult>} The rate limit result
+ */
+async function countRequest (route, strategy, identity, cost) {
+  const key = `${REDIS_PREFIX}:${getRouteKey(route)}:${createHash('sha1').update(identity).digest('hex')}`
+  const [limit, period] = strategy.type === 'token-bucket'
+    ? [strategy.capacity, strategy.refillRate]
+    : [strategy.limit, strategy.window]
+
+  const [allowed, remaining, reset, retryAfter] = await incrementRedisCounter(strategy.type, key, limit, period, cost) ??
+    incrementLocalCounter(strategy.type, key, limit, period, Date.now(), cost)
+  const result = {
+    allowed: allowed === 1,
+    limit,
+    remaining,
+    reset,
+    retryAfter,
+    policy: strategy.type === 'token-bucket'
+      ? `${limit};w=${Math.ceil(limit / period)}`
+      : `${limit};w=${Math.ceil(period / 1000)}`
+  }
+  if (!result.allowed) {
+    rateLimitedRequestsCounter.inc({ route: `${route.hostname}${route.path}`, strategy: strategy.type })
+  }
+  return result
+}
+
+/**
+ * @function getRateLimitIdentity
+ * @description Get the identity requests are counted by, the client IP being used when the request has no such identity
+ * @param {import('./routing-table.js').RateLimitKey|undefined} key - The identity requests are counted by (default: the client IP)
+ * @param {RateLimitContext} context - The request context
+ * @returns {string} The identity, prefixed by its type
+ */
+export function getRateLimitIdentity (key, { request, clientIp, user, apiKeyHash }) {
+  switch (key?.type) {
+    case 'header':
+    case 'api-key': {
+      // The authenticated API key is removed from the request headers
+      if (key.type === 'api-key' && apiKeyHash) {
+        return `api-key:${apiKeyHash}`
+      }
+      const value = request.headers.get(key.name || 'X-API-Key')
+      return value ? `${key.type}:${value}` : `ip:${clientIp}`
+    }
+    case 'user':
+      return user ? `user:${user}` : `ip:${clientIp}`
+    default:
+      return `ip:${clientIp}`
+  }
+}
+
+/**
+ * @function getRateLimitHeaders
+ * @description Get the RateLimit headers of a response, and the Retry-After header if the request was rejected
+ * @param {RateLimitResult} result - The rate limit result
+ * @returns {{[key: string]: string}} The headers
+ */
+export function getRateLimitHeaders (result) {
+  /** @type {{[key: string]: string}} */
+  const headers = {
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(Math.ceil(result.reset / 1000)),
+    'RateLimit-Policy': result.policy
+  }
+  if (!result.allowed) {
+    headers['Retry-After'] = String(Math.max(Math.ceil(result.retryAfter / 1000), 1))
+  }
+  return headers
+}
+
+/**
+ * @function incrementRedisCounter
+ * @description Count a request in Redis
+ * @param {string} type - The strategy type
+ * @param {string} key - The rate limit key
+ * @param {number} limit - The window limit or the bucket capacity
+ * @param {number} period - The window in ms or the refill rate in tokens per second
+ * @param {number} cost - The number of requests counted, 0 to only check the limit
+ * @returns {Promise<number[]|null>} The allowed flag, the remaining requests, the reset time and the retry delay, null if Redis is not available
+ */
+async function incrementRedisCounter (type, key, limit, period, cost) {
+  const redisConnection = getRedisConnection()
+  // Don't wait for a reconnection, commands are queued while Redis is unavailable
+  if (!redisConnection || redisConnection.status !== 'ready') {
+    return null
+  }
+  try {
+    const result = await redisConnection.eval(String(redisScripts.get(type)), 1, key, limit, period, cost)
+    return /** @type {number[]} */ (result)
+  } catch (error) {
+    logger.warn({ error, key }, 'Failed to increment the shared rate limit counter, using the local counter')
+    return null
+  }
+}
+
+/**
+ * @function incrementLocalCounter
+ * @description Count a request in the memory of this worker, mirroring the Redis scripts
+ * @param {string} type - The strategy type
+ * @param {string} key - The rate limit key
+ * @param {number} limit - The window limit or the bucket capacity
+ * @param {number} period - The window in ms or the refill rate in tokens per second
+ * @param {number} now - The current time
+ * @param {number} [cost] - The number of requests counted, 0 to only check the limit (default: 1)
+ * @returns {number[]} The allowed flag, the remaining requests, the reset time and the retry delay
+ */
+export function incrementLocalCounter (type, key, limit, period, now, cost = 1) {
+  if (localStates.size > MAX_LOCAL_STATES) {
+    localStates.forEach((state, stateKey) => {
+      if (state.expiresAt <= now) {
+        localStates.delete(stateKey)
+      }
+    })
+  }
+  let state = localStates.get(key)
+  if (state && state.expiresAt <= now) {
+    state = undefined
+  }
+
+  switch (type) {
+    case 'fixed-window': {
+      if (!state) {
+        state = { expiresAt: now + period, window: now, current: 0, previous: 0 }
+        localStates.set(key, state)
+      }
+      state.current += cost
+      const ttl = state.expiresAt - now
+      return state.current + 1 - cost > limit ? [0, 0, ttl, ttl] : [1, limit - state.current, ttl, 0]
+    }
+    case 'sliding-window': {
+      const index = Math.floor(now / period)
+      if (!state) {
+        state = { expiresAt: 0, window: index, current: 0, previous: 0 }
+        localStates.set(key, state)
+      }
+      if (state.window === index - 1) {
+        state.previous = state.current
+        state.current = 0
+      } else if (state.window < index - 1) {
+        state.previous = 0
+        state.current = 0
+      }
+      state.window = index
+      state.expiresAt = now + period * 2
+      const elapsed = now - index * period
+      let count = state.previous * (period - elapsed) / period + state.current
+      let allowed = 0
+      let retryAfter = period - elapsed
+      if (count + 1 <= limit) {
+        allowed = 1
+        retryAfter = 0
+        state.current += cost
+        count += cost
+      } else if (state.previous > 0 && state.current + 1 <= limit) {
+        retryAfter = Math.ceil(period - (limit - state.current - 1) * period / state.previous - elapsed)
+      }
+      return [allowed, Math.max(Math.floor(limit - count), 0), 2 * period - elapsed, retryAfter]
+    }
+    default: {
+      if (!state) {
+        state = { expiresAt: 0, window: 0, current: limit, previous: now }
+        localStates.set(key, state)
+      }
+      state.current = Math.min(limit, state.current + Math.max(now - state.previous, 0) * period / 1000)
+      state.previous = now
+      let allowed = 0
+      let retryAfter = 0
+      if (state.current >= 1) {
+        allowed = 1
+        state.current -= cost
+      } else {
+        retryAfter = Math.ceil((1 - state.current) * 1000 / period)
+      }
+      const reset = Math.ceil((limit - state.current) * 1000 / period)
+      state.expiresAt = now + Math.max(reset, 1)
+      return [allowed, Math.floor(state.current), reset, retryAfter]
+    }
+  }
+}
@@ -0,0 +1,476 @@
+import { Glob } from 'bun'
+import { ProxyError, ProxyErrorCause } from './errors.js'
+import { compileCidrs } from './ip.js'
+import { parseCookies } from './cookies.js'
+
+/**
+ * @typedef {object} CompiledRoute
+ * @property {import('./routing-table.js').Route} route - The original route
+ * @property {number} index - The position of the route in the routing table
+ * @property {number} priority - The explicit route priority (default: 0)
+ * @property {number} hostnameSpecificity - The hostname specificity, higher is more specific
+ * @property {number} pathSpecificity - The path specificity, higher is more specific
+ * @property {number} conditionsSpecificity - The number of match conditions, higher is more specific
+ * @property {number} rank - The position of the route once sorted by priority, lower is matched first
+ * @property {string|null} staticPrefix - The path of prefix routes without parameters, indexed in the prefix tree
+ * @property {function(string): boolean} matchHostname - Test if a hostname matches the route
+ * @property {function(string): PathMatch|null} matchPath - Match a path against the route
+ * @property {function(RequestContext): boolean} [matchConditions] - Test if a request satisfies the route match conditions
+ */
+
+/**
+ * @typedef {object} RequestContext
+ * @property {string} method - The request method
+ * @property {Headers} headers - The request headers
+ * @property {URLSearchParams} query - The request query string parameters
+ * @property {string} clientIp - The client IP address
+ */
+
+/**
+ * @typedef {object} PathMatch
+ * @property {{[key: string]: string}} params - The named parameters captured from the path
+ * @property {string} prefix - The leading part of the path matched by a prefix route, stripped before forwarding
+ */
+
+/**
+ * @typedef {object} RouteMatch
+ * @property {import('./routing-table.js').Route} route - The matched route
+ * @property {{[key: string]: string}} params - The named parameters captured from the path
+ * @property {string} prefix - The leading part of the path matched by a prefix route
+ */
+
+/**
+ * @typedef {object} CompiledRoutingTable
+ * @property {Map<string, RouteGroup>} exactHostnames - The route groups of exact hostnames, by lower-cased hostname
+ * @property {RouteGroup[]} wildcardHostnames - The route groups of wildcard hostname patterns
+ */
+
+/**
+ * @typedef {object} RouteGroup
+ * @property {function(string): boolean} matchHostname - Test if a hostname matches the group hostname pattern
+ * @property {RadixNode} prefixTree - The prefix tree of the routes with a static prefix path
+ * @property {CompiledRoute[]} dynamicRoutes - The routes with parameters, glob or regex paths, tested one by one
+ */
+
+/**
+ * @typedef {object} RadixNode
+ * @property {string} prefix - The part of the path held by the node
+ * @property {Map<string, RadixNode>} children - The child nodes by first character of their prefix
+ * @property {CompiledRoute[]} routes - The routes whose path ends on this node
+ */
+
+/**
+ * Specificity given to exact hostnames, always higher than any wildcard pattern
+ * @type {number}
+ */
+const EXACT_HOSTNAME_SPECIFICITY = Number.MAX_SAFE_INTEGER
+
+/**
+ * @function compileRoutingTable
+ * @description Compile the routing table into an index of hostnames and path prefix trees
+ * Routes are ranked by explicit priority (higher first), then exact hostnames before wildcard
+ * hostnames, then longest paths before shorter ones, then routes with the most match conditions,
+ * and finally by their position in the table.
+ * @param {import('./routing-table.js').RoutingTable} routingTable - The routing table
+ * @returns {CompiledRoutingTable} The compiled routing table
+ * @throws {RouteMatcherError} If a route pattern could not be compiled
+ */
+export function compileRoutingTable (routingTable) {
+  try {
+    const compiledRoutes = routingTable.map(compileRoute).sort(compareCompiledRoutes)
+    /** @type {CompiledRoutingTable} */
+    const compiledRoutingTable = {
+      exactHostnames: new Map(),
+      wildcardHostnames: []
+    }
+    /** @type {Map<string, RouteGroup>} */
+    const wildcardHostnames = new Map()
+    for (const [rank, compiledRoute] of compiledRoutes.entries()) {
+      compiledRoute.rank = rank
+      const hostnamePattern = compiledRoute.route.hostname.toLowerCase()
+      const groups = isWildcardHostname(hostnamePattern) ? wildcardHostnames : compiledRoutingTable.exactHostnames
+      let group = groups.get(hostnamePattern)
+      if (!group) {
+        group = {
+          matchHostname: compiledRoute.matchHostname,
+          prefixTree: createRadixNode(''),
+          dynamicRoutes: []
+        }
+        groups.set(hostnamePattern, group)
+      }
+      if (compiledRoute.staticPrefix !== null) {
+        insertRadixNode(group.prefixTree, compiledRoute.staticPrefix, compiledRoute)
+      } else {
+        group.dynamicRoutes.push(compiledRoute)
+      }
+    }
+    compiledRoutingTable.wildcardHostnames = [...wildcardHostnames.values()]
+    return compiledRoutingTable
+  } catch (error) {
+    throw new RouteMatcherError('Failed to compile the routing table',
+      new ProxyErrorCause('Failed to compile the routing table', { routingTable }, error)
+    )
+  }
+}
+
+/**
+ * @function compileRoute
+ * @description Compile a route hostname and path patterns
+ * @param {import('./routing-table.js').Route} route - The route
+ * @param {number} index - The position of the route in the routing table
+ * @returns {CompiledRoute} The compiled route
+ */
+function compileRoute (route, index) {
+  const hostnamePattern = route.hostname.toLowerCase()
+  const path = route.path || ''
+  const pathType = route.pathType || 'prefix'
+  return {
+    route,
+    index,
+    rank: index,
+    staticPrefix: pathType === 'prefix' && !hasPathParameters(path) ? path : null,
+    priority: route.priority || 0,
+    hostnameSpecificity: getHostnameSpecificity(hostnamePattern),
+    pathSpecificity: path.length,
+    conditionsSpecificity: countMatchConditions(route.match),
+    matchHostname: compileHostnamePattern(hostnamePattern),
+    matchPath: compilePathPattern(path, pathType),
+    matchConditions: route.match ? compileMatchConditions(route.match) : undefined
+  }
+}
+
+/**
+ * @function compareCompiledRoutes
+ * @description Sort function ordering compiled routes from the most to the least specific
+ * @param {CompiledRoute} a - The first route
+ * @param {CompiledRoute} b - The second route
+ * @returns {number} A negative number if a comes first, a positive number otherwise
+ */
+function compareCompiledRoutes (a, b) {
+  return (b.priority - a.priority) ||
+    (b.hostnameSpecificity - a.hostnameSpecificity) ||
+    (b.pathSpecificity - a.pathSpecificity) ||
+    (b.conditionsSpecificity - a.conditionsSpecificity) ||
+    (a.index - b.index)
+}
+
+/**
+ * @function isWildcardHostname
+ * @description Check if a hostname pattern contains wildcards
+ * @param {string} hostnamePattern - The hostname pattern
+ * @returns {boolean} True if the pattern contains at least one wildcard label
+ */
+export function isWildcardHostname (hostnamePattern) {
+  return hostnamePattern.split('.').includes('*')
+}
+
+/**
+ * @function getHostnameSpecificity
+ * @description Get the specificity of a hostname pattern
+ * Exact hostnames are the most specific, then wildcard patterns by number of literal labels.
+ * @param {string} hostnamePattern - The hostname pattern
+ * @returns {number} The hostname specificity
+ */
+function getHostnameSpecificity (hostnamePattern) {
+  if (!isWildcardHostname(hostnamePattern)) {
+    return EXACT_HOSTNAME_SPECIFICITY
+  }
+  return hostnamePattern.split('.').filter(label => label !== '*').length
+}
+
+/**
+ * @function compileHostnamePattern
+ * @description Compile a hostname pattern into a matcher
+ * A "*" label matches exactly one hostname label ("*.example.com" matches "api.example.com"
+ * but not "example.com" nor "a.b.example.com"), a single "*" matches any hostname.
+ * @param {string} hostnamePattern - The lower-cased hostname pattern
+ * @returns {function(string): boolean} The hostname matcher
+ */
+function compileHostnamePattern (hostnamePattern) {
+  if (hostnamePattern === '*') {
+    return () => true
+  }
+  if (!isWildcardHostname(hostnamePattern)) {
+    return (hostname) => hostname.toLowerCase() === hostnamePattern
+  }
+  const patternLabels = hostnamePattern.split('.')
+  return (hostname) => {
+    const labels = hostname.toLowerCase().split('.')
+    if (labels.length !== patternLabels.length) {
+      return false
+    }
+    return patternLabels.every((patternLabel, i) => patternLabel === '*' || patternLabel === labels.at(i))
+  }
+}
+
+/**
+ * @function compilePathPattern
+ * @description Compile a path pattern into a matcher
+ * Glob patterns don't capture parameters, regex patterns capture their named groups.
+ * @param {string} path - The path pattern
+ * @param {import('./routing-table.js').PathType} pathType - The path pattern type
+ * @returns {function(string): PathMatch|null} The path matcher
+ * @see https://bun.sh/docs/api/glob
+ */
+function compilePathPattern (path, pathType) {
+  switch (pathType) {
+    case 'glob': {
+      const glob = new Glob(path)
+      return (requestPath) => glob.match(requestPath) ? { params: {}, prefix: '' } : null
+    }
+    case 'regex': {
+      const regex = compilePattern(path)
+      return (requestPath) => {
+        const match = regex.exec(requestPath)
+        return match ? { params: { ...match.groups }, prefix: '' } : null
+      }
+    }
+    case 'prefix':
+    default:
+      return compilePrefixPattern(path)
+  }
+}
+
+/**
+ * @function compilePrefixPattern
+ * @description Compile a prefix path pattern into a matcher
+ * ":name" segments capture a single path segment and a trailing "*name" segment captures the remaining path
+ * (e.g. "/users/:id/*rest" matches "/users/42/orders/1" with id "42" and rest "orders/1").
+ * @param {string} path - The prefix path pattern
+ * @returns {function(string): PathMatch|null} The path matcher
+ */
+function compilePrefixPattern (path) {
+  if (!hasPathParameters(path)) {
+    return (requestPath) => requestPath.startsWith(path) ? { params: {}, prefix: path } : null
+  }
+  let source = '^'
+  for (const segment of path.split('/').slice(1)) {
+    if (segment.startsWith(':')) {
+      source += `/(?<${segment.slice(1)}>[^/]+)`
+    } else if (segment.startsWith('*')) {
+      source += `(?:/(?<${segment.slice(1)}>.*))?`
+    } else {
+      source += `/${escapeRegExp(segment)}`
+    }
+  }
+  // Parameter names are validated by the routing table schema
+  const regex = compilePattern(source)
+  return (requestPath) => {
+    const match = regex.exec(requestPath)
+    return match ? { params: { ...match.groups }, prefix: match[0] } : null
+  }
+}
+
+/**
+ * @function hasPathParameters
+ * @description Check if a prefix path pattern declares named parameters
+ * @param {string} path - The prefix path pattern
+ * @returns {boolean} True if at least one segment is a ":name" or "*name" parameter
+ */
+export function hasPathParameters (path) {
+  return path.split('/').some(segment => segment.startsWith(':') || segment.startsWith('*'))
+}
+
+/**
+ * @function compilePattern
+ * @description Compile a regular expression of the routing table
+ * The patterns are validated by the routing table schema when it is set, so that they are compiled once without error.
+ * @param {string} pattern - The regular expression
+ * @returns {RegExp} The compiled regular expression
+ */
+export function compilePattern (pattern) {
+  return RegExp(pattern)
+}
+
+/**
+ * @function escapeRegExp
+ * @description Escape the regular expression special characters of a string
+ * @param {string} value - The string to escape
+ * @returns {string} The escaped string
+ */
+function escapeRegExp (value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * @function countMatchConditions
+ * @description Count the conditions of a route match
+ * @param {import('./routing-table.js').RouteMatchConditions} [match] - The route match conditions
+ * @returns {number} The number of conditions
+ */
+function countMatchConditions (match) {
+  if (!match) {
+    return 0
+  }
+  return (match.methods ? 1 : 0) +
+    (match.headers?.length || 0) +
+    (match.query?.length || 0) +
+    (match.cookies?.length || 0) +
+    (match.clientIps ? 1 : 0)
+}
+
+/**
+ * @function compileMatchConditions
+ * @description Compile the route match conditions into a single matcher, all conditions must be satisfied
+ * @param {import('./routing-table.js').RouteMatchConditions} match - The route match conditions
+ * @returns {function(RequestContext): boolean} The conditions matcher
+ */
+function compileMatchConditions (match) {
+  /** @type {Array<function(RequestContext): boolean>} */
+  const matchers = []
+  if (match.methods) {
+    const methods = match.methods.map(method => method.toUpperCase())
+    matchers.push((context) => methods.includes(context.method.toUpperCase()))
+  }
+  for (const condition of match.headers || []) {
+    const matchValue = compileValueCondition(condition)
+    matchers.push((context) => matchValue(context.headers.has(condition.name) ? [String(context.headers.get(condition.name))] : []))
+  }
+  for (const condition of match.query || []) {
+    const matchValue = compileValueCondition(condition)
+    matchers.push((context) => matchValue(context.query.getAll(condition.name)))
+  }
+  for (const condition of match.cookies || []) {
+    const matchValue = compileValueCondition(condition)
+    matchers.push((context) => {
+      const cookie = parseCookies(context.headers.get('cookie')).get(condition.name)
+      return matchValue(cookie === undefined ? [] : [cookie])
+    })
+  }
+  if (match.clientIps) {
+    const matchClientIp = compileCidrs(match.clientIps)
+    matchers.push((context) => matchClientIp(context.clientIp))
+  }
+  return (context) => matchers.every(matcher => matcher(context))
+}
+
+/**
+ * @function compileValueCondition
+ * @description Compile a header, query parameter or cookie condition
+ * A condition with a "value" requires an exact value, with a "pattern" a value matching the regular expression,
+ * otherwise it only checks the presence (or the absence if "present" is false) of the value.
+ * @param {import('./routing-table.js').ValueMatchCondition} condition - The condition
+ * @returns {function(string[]): boolean} A function testing the values found in the request
+ */
+function compileValueCondition (condition) {
+  if (condition.value !== undefined) {
+    return (values) => values.includes(String(condition.value))
+  }
+  if (condition.pattern !== undefined) {
+    const regex = compilePattern(condition.pattern)
+    return (values) => values.some(value => regex.test(value))
+  }
+  const present = condition.present !== false
+  return (values) => (values.length > 0) === present
+}
+
+/**
+ * @function createRadixNode
+ * @description Create a prefix tree node
+ * @param {string} prefix - The part of the path held by the node
+ * @returns {RadixNode} The node
+ */
+function createRadixNode (prefix) {
+  return { prefix, children: new Map(), routes: [] }
+}
+
+/**
+ * @function insertRadixNode
+ * @description Insert a route in a prefix tree, splitting the nodes sharing a common prefix
+ * @param {RadixNode} node - The node under which the path is inserted
+ * @param {string} path - The remaining part of the path to insert
+ * @param {CompiledRoute} compiledRoute - The route
+ */
+function insertRadixNode (node, path, compiledRoute) {
+  if (path === '') {
+    node.routes.push(compiledRoute)
+    return
+  }
+  const child = node.children.get(path.charAt(0))
+  if (!child) {
+    const leaf = createRadixNode(path)
+    leaf.routes.push(compiledRoute)
+    node.children.set(path.charAt(0), leaf)
+    return
+  }
+  let commonLength = 0
+  while (commonLength < child.prefix.length && child.prefix.charAt(commonLength) === path.charAt(commonLength)) {
+    commonLength++
+  }
+  if (commonLength < child.prefix.length) {
+    // Split the child node on the common prefix
+    const split = createRadixNode(child.prefix.slice(0, commonLength))
+    child.prefix = child.prefix.slice(commonLength)
+    split.children.set(child.prefix.charAt(0), child)
+    node.children.set(path.charAt(0), split)
+    insertRadixNode(split, path.slice(commonLength), compiledRoute)
+    return
+  }
+  insertRadixNode(child, path.slice(commonLength), compiledRoute)
+}
+
+/**
+ * @function collectRadixRoutes
+ * @description Collect the routes of all the prefix tree nodes whose path is a prefix of the given path
+ * @param {RadixNode} root - The prefix tree root
+ * @param {string} path - The request path
+ * @returns {CompiledRoute[]} The routes matching the path prefix
+ */
+function collectRadixRoutes (root, path) {
+  const routes = [...root.routes]
+  let node = root
+  let remainingPath = path
+  while (remainingPath.length > 0) {
+    const child = node.children.get(remainingPath.charAt(0))
+    if (!child || !remainingPath.startsWith(child.prefix)) {
+      break
+    }
+    routes.push(...child.routes)
+    remainingPath = remainingPath.slice(child.prefix.length)
+    node = child
+  }
+  return routes
+}
+
+/**
+ * @function findRoute
+ * @description Find the highest ranked route matching a hostname, a path and the route match conditions
+ * Only the route groups of the hostname are looked up, so the cost doesn't depend on the routing table size.
+ * @param {CompiledRoutingTable} compiledRoutingTable - The compiled routing table
+ * @param {string} hostname - The hostname
+ * @param {string} path - The path
+ * @param {RequestContext} [context] - The request context, routes with match conditions never match without it
+ * @returns {RouteMatch|null} The matched route and its captured path parameters
+ */
+export function findRoute (compiledRoutingTable, hostname, path, context) {
+  /** @type {RouteGroup[]} */
+  const groups = []
+  const exactGroup = compiledRoutingTable.exactHostnames.get(hostname.toLowerCase())
+  if (exactGroup) {
+    groups.push(exactGroup)
+  }
+  for (const group of compiledRoutingTable.wildcardHostnames) {
+    if (group.matchHostname(hostname)) {
+      groups.push(group)
+    }
+  }
+  /** @type {CompiledRoute[]} */
+  const candidates = []
+  for (const group of groups) {
+    candidates.push(...collectRadixRoutes(group.prefixTree, path), ...group.dynamicRoutes)
+  }
+  candidates.sort((a, b) => a.rank - b.rank)
+  for (const compiledRoute of candidates) {
+    const pathMatch = compiledRoute.matchPath(path)
+    if (!pathMatch) {
+      continue
+    }
+    if (compiledRoute.matchConditions && (!context || !compiledRoute.matchConditions(context))) {
+      continue
+    }
+    return { route: compiledRoute.route, ...pathMatch }
+  }
+  return null
+}
+
+class RouteMatcherError extends ProxyError { }
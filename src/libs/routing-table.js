@@ -4,9 +4,470 @@ import { ProxyError, ProxyErrorCause } from './errors.js'
 import { logger } from './logger.js'
 import { Ajv } from 'ajv'
 import addFormats from 'ajv-formats'
+import { hasPathParameters, isWildcardHostname } from './route-matcher.js'
+import { buildRedirectUrl, splitRedirectUrlTemplate } from './url-rewrite.js'
+import { IP_FILTER_ORDERS, isValidCidr } from './ip.js'
+import { updateHealthChecks } from './health-checks.js'
 
 const ajv = new Ajv({ allErrors: true })
-addFormats.default(ajv, ['hostname', 'uri'])
+addFormats.default(ajv, ['hostname', 'uri', 'regex', 'date-time'])
+ajv.addFormat('hostname-pattern', {
+  type: 'string',
+  validate: isValidHostnamePattern
+})
+ajv.addFormat('prefix-path-pattern', {
+  type: 'string',
+  validate: isValidPrefixPathPattern
+})
+ajv.addFormat('cidr', {
+  type: 'string',
+  validate: isValidCidr
+})
+ajv.addFormat('redirect-url-template', {
+  type: 'string',
+  validate: isValidRedirectUrlTemplate
+})
+
+const valueMatchConditionSchema = {
+  type: 'object',
+  properties: {
+    name: {
+      type: 'string',
+      description: 'The name of the value'
+    },
+    value: {
+      type: 'string',
+      description: 'The exact expected value'
+    },
+    pattern: {
+      type: 'string',
+      description: 'The regular expression the value must match',
+      format: 'regex'
+    },
+    present: {
+      type: 'boolean',
+      description: 'Whether the value must be present or absent when no value or pattern is defined (default: true)'
+    }
+  },
+  required: ['name'],
+  additionalProperties: false
+}
+
+const targetWeightSchema = {
+  type: 'integer',
+  description: 'The target weight for the weighted load balancing strategies, 0 to stop sending new requests (default: 1)',
+  minimum: 0,
+  maximum: 1000
+}
+
+const rewriteSchema = {
+  description: 'The URL rewrite applied to forwarded requests',
+  type: 'object',
+  properties: {
+    url: {
+      type: 'string',
+      description: 'The target URL template, "{name}" placeholders are replaced by path parameters and "{path}" by the forwarded path, a template starting with "/" being relative to the target URL'
+    },
+    rules: {
+      description: 'The regex rules applied in order to the forwarded path',
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          pattern: {
+            type: 'string',
+            description: 'The regular expression matched against the forwarded path',
+            format: 'regex'
+          },
+          replacement: {
+            type: 'string',
+            description: 'The replacement string, "$1" or "$<name>" refer to captured groups'
+          }
+        },
+        required: ['pattern', 'replacement'],
+        additionalProperties: false
+      }
+    },
+    query: {
+      description: 'The query string parameters to add or remove',
+      type: 'object',
+      properties: {
+        add: {
+          description: 'The query string parameters to add, replacing existing values',
+          type: 'object',
+          additionalProperties: {
+            type: 'string'
+          }
+        },
+        remove: {
+          description: 'The names of the query string parameters to remove',
+          type: 'array',
+          items: {
+            type: 'string'
+          }
+        }
+      },
+      required: [],
+      additionalProperties: false
+    }
+  },
+  required: [],
+  additionalProperties: false
+}
+
+const HEADER_NAME_PATTERN = '^[!#$%&\'*+.^_`|~0-9A-Za-z-]+$'
+
+const headersTransformationSchema = {
+  type: 'object',
+  properties: {
+    remove: {
+      description: 'The names of the headers to remove',
+      type: 'array',
+      items: {
+        type: 'string',
+        pattern: HEADER_NAME_PATTERN
+      }
+    },
+    rename: {
+      description: 'The headers to rename, by current name',
+      type: 'object',
+      propertyNames: {
+        pattern: HEADER_NAME_PATTERN
+      },
+      additionalProperties: {
+        type: 'string',
+        pattern: HEADER_NAME_PATTERN
+      }
+    },
+    set: {
+      description: 'The headers to set, replacing existing values, the values being templates',
+      type: 'object',
+      propertyNames: {
+        pattern: HEADER_NAME_PATTERN
+      },
+      additionalProperties: {
+        type: 'string'
+      }
+    },
+    append: {
+      description: 'The headers to append to existing values, the values being templates',
+      type: 'object',
+      propertyNames: {
+        pattern: HEADER_NAME_PATTERN
+      },
+      additionalProperties: {
+        type: 'string'
+      }
+    }
+  },
+  required: [],
+  additionalProperties: false
+}
+
+const queryTransformationSchema = {
+  description: 'The query string parameters transformation applied to forwarded requests, before the pre-processing middlewares',
+  type: 'object',
+  properties: {
+    remove: {
+      description: 'The names of the query string parameters to remove',
+      type: 'array',
+      items: {
+        type: 'string'
+      }
+    },
+    set: {
+      description: 'The query string parameters to set, replacing existing values, the values being templates',
+      type: 'object',
+      additionalProperties: {
+        type: 'string'
+      }
+    }
+  },
+  required: [],
+  additionalProperties: false
+}
+
+const corsSchema = {
+  description: 'The CORS policy of the route, the preflight requests being answered by the proxy',
+  type: 'object',
+  properties: {
+    origins: {
+      description: 'The allowed origins, "*" wildcards matching any host part (e.g. "https://*.example.com"), or "*" for any origin',
+      type: 'array',
+      items: {
+        type: 'string'
+      },
+      minItems: 1
+    },
+    methods: {
+      description: 'The allowed methods (default: GET, HEAD, PUT, PATCH, POST, DELETE)',
+      type: 'array',
+      items: {
+        type: 'string'
+      }
+    },
+    allowedHeaders: {
+      description: 'The allowed request headers (default: the requested headers)',
+      type: 'array',
+      items: {
+        type: 'string',
+        pattern: HEADER_NAME_PATTERN
+      }
+    },
+    exposedHeaders: {
+      description: 'The response headers exposed to the browser scripts',
+      type: 'array',
+      items: {
+        type: 'string',
+        pattern: HEADER_NAME_PATTERN
+      }
+    },
+    credentials: {
+      type: 'boolean',
+      description: 'Allow the credentialed requests, the origin being echoed instead of "*" (default: false)'
+    },
+    maxAge: {
+      type: 'integer',
+      description: 'The number of seconds the preflight responses can be cached',
+      minimum: 0
+    },
+    preserveUpstream: {
+      type: 'boolean',
+      description: 'Leave the CORS headers of the upstream responses untouched when present (default: false)'
+    }
+  },
+  required: ['origins'],
+  additionalProperties: false
+}
+
+const healthCheckSchema = {
+  description: 'The active health check of the forward targets, unhealthy targets are excluded from load balancing',
+  type: 'object',
+  properties: {
+    path: {
+      type: 'string',
+      description: 'The path requested on the target URL',
+      pattern: '^/'
+    },
+    method: {
+      type: 'string',
+      description: 'The request method (default: GET)',
+      enum: ['GET', 'HEAD']
+    },
+    interval: {
+      type: 'integer',
+      description: 'The interval between two checks in ms (default: 10000)',
+      minimum: 1000
+    },
+    timeout: {
+      type: 'integer',
+      description: 'The check timeout in ms (default: 2000)',
+      minimum: 1
+    },
+    expectedStatus: {
+      description: 'The expected status code or codes (default: any 2xx or 3xx status)',
+      oneOf: [
+        { type: 'integer', minimum: 100, maximum: 599 },
+        { type: 'array', items: { type: 'integer', minimum: 100, maximum: 599 }, minItems: 1 }
+      ]
+    },
+    healthyThreshold: {
+      type: 'integer',
+      description: 'The number of consecutive successful checks for an unhealthy target to become healthy (default: 2)',
+      minimum: 1
+    },
+    unhealthyThreshold: {
+      type: 'integer',
+      description: 'The number of consecutive failed checks for a healthy target to become unhealthy (default: 3)',
+      minimum: 1
+    }
+  },
+  required: ['path'],
+  additionalProperties: false
+}
+
+const ipFilterSchema = {
+  description: 'The client IP addresses allowed or denied to reach the route',
+  type: 'object',
+  properties: {
+    allow: {
+      description: 'The allowed client IP addresses or CIDR ranges, any other address being denied when defined',
+      type: 'array',
+      items: {
+        type: 'string',
+        format: 'cidr'
+      }
+    },
+    deny: {
+      description: 'The denied client IP addresses or CIDR ranges',
+      type: 'array',
+      items: {
+        type: 'string',
+        format: 'cidr'
+      }
+    },
+    order: {
+      description: 'The list taking precedence for the addresses belonging to both lists (default: deny-first)',
+      type: 'string',
+      enum: IP_FILTER_ORDERS
+    }
+  },
+  required: [],
+  additionalProperties: false
+}
+
+const circuitBreakerSchema = {
+  description: 'The passive circuit breaker of the forward targets, targets whose circuit is open are skipped for a cooldown',
+  type: 'object',
+  properties: {
+    consecutiveFailures: {
+      type: 'integer',
+      description: 'The number of consecutive failed requests opening the circuit (default: 5)',
+      minimum: 1
+    },
+    errorRate: {
+      type: 'number',
+      description: 'The ratio of failed requests over the window opening the circuit (default: disabled)',
+      exclusiveMinimum: 0,
+      maximum: 1
+    },
+    minimumRequests: {
+      type: 'integer',
+      description: 'The minimum number of requests over the window to evaluate the error rate (default: 10)',
+      minimum: 1
+    },
+    window: {
+      type: 'integer',
+      description: 'The error rate window in ms (default: 10000)',
+      minimum: 1000
+    },
+    cooldown: {
+      type: 'integer',
+      description: 'The time in ms the circuit stays open before trial requests are allowed (default: 30000)',
+      minimum: 1
+    },
+    halfOpenRequests: {
+      type: 'integer',
+      description: 'The number of successful trial requests closing the circuit (default: 1)',
+      minimum: 1
+    }
+  },
+  required: [],
+  additionalProperties: false
+}
+
+const rateLimitKeySchema = {
+  description: 'The identity requests are counted by, the client IP being used when the request has no such identity (default: the client IP)',
+  oneOf: [
+    {
+      type: 'object',
+      properties: {
+        type: {
+          type: 'string',
+          enum: ['ip', 'user']
+        }
+      },
+      required: ['type'],
+      additionalProperties: false
+    },
+    {
+      type: 'object',
+      properties: {
+        type: {
+          type: 'string',
+          enum: ['header']
+        },
+        name: {
+          type: 'string',
+          description: 'The request header name'
+        }
+      },
+      required: ['type', 'name'],
+      additionalProperties: false
+    },
+    {
+      type: 'object',
+      properties: {
+        type: {
+          type: 'string',
+          enum: ['api-key']
+        },
+        name: {
+          type: 'string',
+          description: 'The request header containing the API key (default: X-API-Key)'
+        }
+      },
+      required: ['type'],
+      additionalProperties: false
+    }
+  ]
+}
+
+const routeMiddlewareSchema = {
+  oneOf: [
+    {
+      type: 'string',
+      description: 'The middleware key'
+    },
+    {
+      type: 'object',
+      properties: {
+        key: {
+          type: 'string',
+          description: 'The middleware key'
+        },
+        options: {
+          type: 'object',
+          description: 'The route options passed to the middleware'
+        }
+      },
+      required: ['key'],
+      additionalProperties: false
+    }
+  ]
+}
+
+const retryStrategyProperties = {
+  maxAttempts: {
+    type: 'integer',
+    description: 'The maximum number of attempts, including the first request (default: 3)',
+    minimum: 1,
+    maximum: 10
+  },
+  delay: {
+    type: 'integer',
+    description: 'The delay in ms before the first retry (default: 100)',
+    minimum: 0
+  },
+  retryOnConnectionError: {
+    type: 'boolean',
+    description: 'Retry when the target can\'t be reached (default: true)'
+  },
+  retryOnTimeout: {
+    type: 'boolean',
+    description: 'Retry when the target request times out (default: true)'
+  },
+  retryOnStatuses: {
+    type: 'array',
+    description: 'The target response status codes to retry (default: none)',
+    items: {
+      type: 'integer',
+      minimum: 100,
+      maximum: 599
+    }
+  },
+  methods: {
+    type: 'array',
+    description: 'The request methods to retry (default: the idempotent methods GET, HEAD, OPTIONS, PUT, DELETE and TRACE)',
+    items: {
+      type: 'string'
+    }
+  },
+  differentTarget: {
+    type: 'boolean',
+    description: 'Retry on another target of the route when available (default: true)'
+  }
+}
 
 const routingTableSchema = {
   description: 'Routing table',
@@ -17,48 +478,510 @@ const routingTableSchema = {
     properties: {
       hostname: {
         type: 'string',
-        description: 'The host name pattern',
-        format: 'hostname'
+        description: 'The host name pattern, "*" labels match any single label (e.g. "*.example.com")',
+        format: 'hostname-pattern'
       },
       path: {
         type: 'string',
         description: 'The path pattern'
       },
+      pathType: {
+        type: 'string',
+        description: 'The path pattern type (default: prefix)',
+        enum: ['prefix', 'glob', 'regex']
+      },
+      priority: {
+        type: 'integer',
+        description: 'The route priority, routes with a higher priority are matched first (default: 0)'
+      },
       timeout: {
         type: 'number',
         description: 'The request timeout'
       },
+      rewrite: {
+        ...rewriteSchema,
+        properties: {
+          ...rewriteSchema.properties,
+          url: {
+            ...rewriteSchema.properties.url,
+            description: 'The path template relative to the selected target URL, "{name}" placeholders are replaced by path parameters and "{path}" by the forwarded path',
+            pattern: '^/'
+          }
+        }
+      },
+      healthCheck: healthCheckSchema,
+      circuitBreaker: circuitBreakerSchema,
+      ipFilter: ipFilterSchema,
+      requestHeaders: {
+        ...headersTransformationSchema,
+        description: 'The request headers transformation applied to forwarded requests, before the pre-processing middlewares'
+      },
+      responseHeaders: {
+        ...headersTransformationSchema,
+        description: 'The response headers transformation applied to the route responses, after the post-processing middlewares'
+      },
+      requestQuery: queryTransformationSchema,
+      cors: corsSchema,
+      match: {
+        description: 'The additional conditions a request must satisfy to match the route',
+        type: 'object',
+        properties: {
+          methods: {
+            description: 'The accepted HTTP methods',
+            type: 'array',
+            items: {
+              type: 'string',
+              pattern: '^[A-Za-z]+$'
+            },
+            minItems: 1
+          },
+          headers: {
+            description: 'The request headers conditions',
+            type: 'array',
+            items: valueMatchConditionSchema
+          },
+          query: {
+            description: 'The query string parameters conditions',
+            type: 'array',
+            items: valueMatchConditionSchema
+          },
+          cookies: {
+            description: 'The cookies conditions',
+            type: 'array',
+            items: valueMatchConditionSchema
+          },
+          clientIps: {
+            description: 'The accepted client IP addresses or CIDR ranges',
+            type: 'array',
+            items: {
+              type: 'string',
+              format: 'cidr'
+            },
+            minItems: 1
+          }
+        },
+        required: [],
+        additionalProperties: false
+      },
       middlewares: {
         description: 'The pre-processing and post-processing middlewares',
         type: 'object',
         properties: {
           preProcessing: {
-            description: 'An array of pre-processing middlewares keys',
+            description: 'An array of pre-processing middlewares keys, with their route options',
             type: 'array',
-            items: {
-              type: 'string'
-            }
+            items: routeMiddlewareSchema
+          },
+          postProcessing: {
+            description: 'An array of post-processing middlewares keys, with their route options',
+            type: 'array',
+            items: routeMiddlewareSchema
+          }
+        },
+        required: [],
+        additionalProperties: false
+      },
+      loadBalancingStrategy: {
+        oneOf: [
+          {
+            description: 'Random load balancing strategy',
+            type: 'object',
+            properties: {
+              type: {
+                type: 'string',
+                enum: ['random']
+              }
+            },
+            required: ['type'],
+            additionalProperties: false
+          },
+          {
+            description: 'Round-robin load balancing strategy, ignoring the targets weights',
+            type: 'object',
+            properties: {
+              type: {
+                type: 'string',
+                enum: ['round-robin']
+              },
+              shared: {
+                type: 'boolean',
+                description: 'Share the round-robin counter between all workers and hosts through Redis (default: false)'
+              }
+            },
+            required: ['type'],
+            additionalProperties: false
+          },
+          {
+            description: 'Weighted round-robin load balancing strategy',
+            type: 'object',
+            properties: {
+              type: {
+                type: 'string',
+                enum: ['weighted-round-robin']
+              },
+              shared: {
+                type: 'boolean',
+                description: 'Share the round-robin counter between all workers and hosts through Redis (default: false)'
+              }
+            },
+            required: ['type'],
+            additionalProperties: false
+          },
+          {
+            description: 'Least connections load balancing strategy',
+            type: 'object',
+            properties: {
+              type: {
+                type: 'string',
+                enum: ['least-connections']
+              },
+              shared: {
+                type: 'boolean',
+                description: 'Aggregate the in-flight requests of all workers and hosts through Redis (default: false)'
+              }
+            },
+            required: ['type'],
+            additionalProperties: false
+          },
+          {
+            description: 'IP hash load balancing strategy, pinning each client IP address to a target',
+            type: 'object',
+            properties: {
+              type: {
+                type: 'string',
+                enum: ['ip-hash']
+              }
+            },
+            required: ['type'],
+            additionalProperties: false
+          },
+          {
+            description: 'Sticky cookie load balancing strategy, pinning each client to a target with a signed affinity cookie',
+            type: 'object',
+            properties: {
+              type: {
+                type: 'string',
+                enum: ['sticky-cookie']
+              },
+              secret: {
+                type: 'string',
+                description: 'The secret used to sign the affinity cookie',
+                minLength: 16
+              },
+              cookieName: {
+                type: 'string',
+                description: 'The affinity cookie name (default: maegashira_affinity)',
+                pattern: '^[A-Za-z0-9_-]+$'
+              },
+              ttl: {
+                type: 'integer',
+                description: 'The affinity cookie lifetime in seconds (default: session cookie)',
+                minimum: 1
+              },
+              fallback: {
+                type: 'string',
+                description: 'The load balancing strategy used when the client is not pinned to an available target (default: random)',
+                enum: ['random', 'round-robin', 'weighted-round-robin', 'least-connections', 'ip-hash']
+              }
+            },
+            required: ['type', 'secret'],
+            additionalProperties: false
+          }
+        ]
+      },
+      authenticationStrategy: {
+        oneOf: [
+          {
+            description: 'Anonymous authentication strategy',
+            type: 'object',
+            properties: {
+              type: {
+                type: 'string',
+                enum: ['anonymous']
+              }
+            },
+            required: ['type'],
+            additionalProperties: false
+          },
+          {
+            description: 'Basic authentication strategy',
+            type: 'object',
+            properties: {
+              type: {
+                type: 'string',
+                enum: ['basic']
+              },
+              username: {
+                type: 'string',
+                description: 'The basic authentication username'
+              },
+              password: {
+                type: 'string',
+                description: 'The basic authentication password, in plain text or hashed'
+              },
+              users: {
+                type: 'array',
+                description: 'The basic authentication users',
+                items: {
+                  type: 'object',
+                  properties: {
+                    username: {
+                      type: 'string',
+                      description: 'The user name',
+                      pattern: '^[^:]+$'
+                    },
+                    password: {
+                      type: 'string',
+                      description: 'The password, a bcrypt, argon2 or Apache MD5 ($apr1$) hash, a SHA-1 hash prefixed with {SHA}, or plain text'
+                    }
+                  },
+                  required: ['username', 'password'],
+                  additionalProperties: false
+                }
+              },
+              htpasswd: {
+                type: 'string',
+                description: 'The path of an htpasswd file, reloaded when modified, whose bcrypt, argon2, Apache MD5 ($apr1$) and {SHA} entries are supported'
+              },
+              realm: {
+                type: 'string',
+                description: 'The basic authentication realm (default: the request hostname)'
+              }
+            },
+            required: ['type'],
+            dependencies: {
+              username: ['password'],
+              password: ['username']
+            },
+            anyOf: [
+              { required: ['username'] },
+              { required: ['users'] },
+              { required: ['htpasswd'] }
+            ],
+            additionalProperties: false
+          },
+          {
+            description: 'JWT bearer authentication strategy',
+            type: 'object',
+            properties: {
+              type: {
+                type: 'string',
+                enum: ['jwt']
+              },
+              algorithms: {
+                type: 'array',
+                description: 'The accepted signature algorithms (default: HS256, RS256 and ES256)',
+                items: {
+                  type: 'string',
+                  enum: ['HS256', 'RS256', 'ES256']
+                },
+                minItems: 1
+              },
+              secret: {
+                type: 'string',
+                description: 'The HS256 shared secret'
+              },
+              publicKey: {
+                type: 'string',
+                description: 'The RS256 or ES256 public key, in PEM format'
+              },
+              jwks: {
+                type: 'object',
+                description: 'The inline JSON Web Key Set',
+                properties: {
+                  keys: {
+                    type: 'array',
+                    items: {
+                      type: 'object'
+                    }
+                  }
+                },
+                required: ['keys']
+              },
+              jwksFile: {
+                type: 'string',
+                description: 'The path of a JSON Web Key Set file'
+              },
+              jwksUrl: {
+                type: 'string',
+                description: 'The URL of a JSON Web Key Set',
+                format: 'uri'
+              },
+              jwksCacheTtl: {
+                type: 'integer',
+                description: 'The time in ms the keys of the JWKS file or URL are cached (default: 600000)',
+                minimum: 0
+              },
+              issuer: {
+                description: 'The accepted issuer or issuers ("iss" claim)',
+                oneOf: [
+                  { type: 'string' },
+                  { type: 'array', items: { type: 'string' }, minItems: 1 }
+                ]
+              },
+              audience: {
+                description: 'The accepted audience or audiences ("aud" claim)',
+                oneOf: [
+                  { type: 'string' },
+                  { type: 'array', items: { type: 'string' }, minItems: 1 }
+                ]
+              },
+              clockTolerance: {
+                type: 'integer',
+                description: 'The tolerance in ms when checking the "exp" and "nbf" claims (default: 0)',
+                minimum: 0
+              },
+              forwardClaims: {
+                type: 'object',
+                description: 'The claims forwarded to the targets, by claim name, as the given request headers',
+                additionalProperties: {
+                  type: 'string'
+                }
+              }
+            },
+            required: ['type'],
+            anyOf: [
+              { required: ['secret'] },
+              { required: ['publicKey'] },
+              { required: ['jwks'] },
+              { required: ['jwksFile'] },
+              { required: ['jwksUrl'] }
+            ],
+            additionalProperties: false
+          },
+          {
+            description: 'API key authentication strategy',
+            type: 'object',
+            properties: {
+              type: {
+                type: 'string',
+                enum: ['api-key']
+              },
+              header: {
+                type: 'string',
+                description: 'The request header containing the API key (default: X-API-Key)'
+              },
+              query: {
+                type: 'string',
+                description: 'The query string parameter containing the API key, read when the header is absent (default: none)'
+              },
+              keys: {
+                type: 'array',
+                description: 'The accepted API keys',
+                items: {
+                  type: 'object',
+                  properties: {
+                    hash: {
+                      type: 'string',
+                      description: 'The SHA-256 hash of the API key, in hexadecimal',
+                      pattern: '^[0-9a-fA-F]{64}$'
+                    },
+                    consumer: {
+                      type: 'string',
+                      description: 'The name of the consumer owning the API key',
+                      minLength: 1
+                    },
+                    expiresAt: {
+                      type: 'string',
+                      description: 'The API key expiry date',
+                      format: 'date-time'
+                    }
+                  },
+                  required: ['hash', 'consumer'],
+                  additionalProperties: false
+                }
+              },
+              redis: {
+                type: 'boolean',
+                description: 'Look up the API keys missing from the routing table in Redis (default: false)'
+              }
+            },
+            required: ['type'],
+            additionalProperties: false
           },
-          postProcessing: {
-            description: 'An array of post-processing middlewares keys',
-            type: 'array',
-            items: {
-              type: 'string'
-            }
+          {
+            description: 'Forward-auth authentication strategy, delegating the authentication to an external authorization endpoint',
+            type: 'object',
+            properties: {
+              type: {
+                type: 'string',
+                enum: ['forward-auth']
+              },
+              url: {
+                type: 'string',
+                description: 'The authorization endpoint URL, a 2xx response letting the request through',
+                format: 'uri'
+              },
+              method: {
+                type: 'string',
+                description: 'The authorization request method (default: GET)',
+                enum: ['GET', 'HEAD', 'POST']
+              },
+              requestHeaders: {
+                type: 'array',
+                description: 'The request headers sent to the authorization endpoint (default: Authorization and Cookie)',
+                items: {
+                  type: 'string'
+                }
+              },
+              responseHeaders: {
+                type: 'array',
+                description: 'The authorization response headers copied onto the request forwarded to the target, e.g. X-User-Id (default: none)',
+                items: {
+                  type: 'string'
+                }
+              },
+              timeout: {
+                type: 'integer',
+                description: 'The authorization request timeout in ms (default: 5000)',
+                minimum: 1
+              }
+            },
+            required: ['type', 'url'],
+            additionalProperties: false
           }
-        },
-        required: [],
-        additionalProperties: false
+        ]
       },
-      loadBalancingStrategy: {
+      retryStrategy: {
         oneOf: [
           {
-            description: 'Random load balancing strategy',
+            description: 'No retry strategy',
             type: 'object',
             properties: {
               type: {
                 type: 'string',
-                enum: ['random']
+                enum: ['none']
+              }
+            },
+            required: ['type'],
+            additionalProperties: false
+          },
+          {
+            description: 'Fixed delay retry strategy',
+            type: 'object',
+            properties: {
+              type: {
+                type: 'string',
+                enum: ['fixed']
+              },
+              ...retryStrategyProperties
+            },
+            required: ['type'],
+            additionalProperties: false
+          },
+          {
+            description: 'Exponential backoff retry strategy, the delay doubling after each retry',
+            type: 'object',
+            properties: {
+              type: {
+                type: 'string',
+                enum: ['exponential']
+              },
+              ...retryStrategyProperties,
+              maxDelay: {
+                type: 'integer',
+                description: 'The maximum delay in ms between two attempts (default: 2000)',
+                minimum: 0
               }
             },
             required: ['type'],
@@ -66,42 +989,64 @@ const routingTableSchema = {
           }
         ]
       },
-      authenticationStrategy: {
+      rateLimitStrategy: {
         oneOf: [
           {
-            description: 'Anonymous authentication strategy',
+            description: 'No rate limiting strategy',
             type: 'object',
             properties: {
               type: {
                 type: 'string',
-                enum: ['anonymous']
+                enum: ['none']
               }
             },
             required: ['type'],
             additionalProperties: false
           },
           {
-            description: 'Basic authentication strategy',
+            description: 'Window rate limiting strategy, counting the requests over fixed windows, or over a sliding window weighting the previous window count',
             type: 'object',
             properties: {
               type: {
                 type: 'string',
-                enum: ['basic']
+                enum: ['fixed-window', 'sliding-window']
               },
-              username: {
-                type: 'string',
-                description: 'The basic authentication username'
+              limit: {
+                type: 'integer',
+                description: 'The maximum number of requests over the window',
+                minimum: 1
               },
-              password: {
-                type: 'string',
-                description: 'The basic authentication password'
+              window: {
+                type: 'integer',
+                description: 'The window in ms',
+                minimum: 1
               },
-              realm: {
+              key: rateLimitKeySchema
+            },
+            required: ['type', 'limit', 'window'],
+            additionalProperties: false
+          },
+          {
+            description: 'Token bucket rate limiting strategy, allowing bursts up to the bucket capacity',
+            type: 'object',
+            properties: {
+              type: {
                 type: 'string',
-                description: 'The basic authentication realm'
-              }
+                enum: ['token-bucket']
+              },
+              capacity: {
+                type: 'integer',
+                description: 'The maximum number of tokens in the bucket, a request consuming one token',
+                minimum: 1
+              },
+              refillRate: {
+                type: 'number',
+                description: 'The number of tokens added to the bucket per second',
+                exclusiveMinimum: 0
+              },
+              key: rateLimitKeySchema
             },
-            required: ['type', 'username', 'password'],
+            required: ['type', 'capacity', 'refillRate'],
             additionalProperties: false
           }
         ]
@@ -131,6 +1076,42 @@ const routingTableSchema = {
               ttl: {
                 type: 'number',
                 description: 'The cache time-to-live in milliseconds'
+              },
+              staleWhileRevalidate: {
+                type: 'number',
+                description: 'The time in milliseconds a stale response is served while it is refreshed in the background, unless defined by the target (default: 0)',
+                minimum: 0
+              },
+              staleIfError: {
+                type: 'number',
+                description: 'The time in milliseconds a stale response is served when the target fails or times out, unless defined by the target (default: 0)',
+                minimum: 0
+              }
+            },
+            required: ['type', 'ttl'],
+            additionalProperties: false
+          },
+          {
+            description: 'Redis cache strategy, shared by the workers and the hosts',
+            type: 'object',
+            properties: {
+              type: {
+                type: 'string',
+                enum: ['redis']
+              },
+              ttl: {
+                type: 'number',
+                description: 'The cache time-to-live in milliseconds'
+              },
+              staleWhileRevalidate: {
+                type: 'number',
+                description: 'The time in milliseconds a stale response is served while it is refreshed in the background, unless defined by the target (default: 0)',
+                minimum: 0
+              },
+              staleIfError: {
+                type: 'number',
+                description: 'The time in milliseconds a stale response is served when the target fails or times out, unless defined by the target (default: 0)',
+                minimum: 0
               }
             },
             required: ['type', 'ttl'],
@@ -154,7 +1135,41 @@ const routingTableSchema = {
                   type: 'string',
                   description: 'The target URL',
                   format: 'uri'
-                }
+                },
+                weight: targetWeightSchema,
+                rewrite: rewriteSchema,
+                healthCheck: healthCheckSchema
+              },
+              required: ['type', 'url'],
+              additionalProperties: false
+            },
+            {
+              description: 'Redirect target',
+              type: 'object',
+              properties: {
+                type: {
+                  type: 'string',
+                  enum: ['redirect']
+                },
+                url: {
+                  type: 'string',
+                  description: 'The redirection URL template, "{name}" placeholders are replaced by path parameters, "{path}" by the path without the route prefix and "{hostname}" by the request hostname. Only "{hostname}" can be used in the host, on routes whose hostname ends with two labels without wildcard',
+                  format: 'redirect-url-template'
+                },
+                status: {
+                  type: 'integer',
+                  description: 'The redirection status code (default: 302)',
+                  enum: [301, 302, 307, 308]
+                },
+                preservePath: {
+                  type: 'boolean',
+                  description: 'Append the request path without the route prefix to the redirection URL (default: false)'
+                },
+                preserveQuery: {
+                  type: 'boolean',
+                  description: 'Append the request query string to the redirection URL (default: false)'
+                },
+                weight: targetWeightSchema
               },
               required: ['type', 'url'],
               additionalProperties: false
@@ -174,7 +1189,8 @@ const routingTableSchema = {
                 index: {
                   type: 'string',
                   description: 'The target default index file'
-                }
+                },
+                weight: targetWeightSchema
               },
               required: ['type', 'directory'],
               additionalProperties: false
@@ -186,29 +1202,95 @@ const routingTableSchema = {
       }
     },
     required: ['hostname', 'path', 'targets'],
-    additionalProperties: false
+    additionalProperties: false,
+    allOf: [
+      {
+        if: {
+          properties: {
+            pathType: { const: 'regex' }
+          },
+          required: ['pathType']
+        },
+        then: {
+          properties: {
+            path: { type: 'string', format: 'regex' }
+          }
+        }
+      },
+      {
+        if: {
+          properties: {
+            pathType: { enum: ['glob', 'regex'] }
+          },
+          required: ['pathType']
+        },
+        else: {
+          properties: {
+            path: { type: 'string', format: 'prefix-path-pattern' }
+          }
+        }
+      }
+    ]
   }
 }
 const validateRoutingTableSchema = ajv.compile(routingTableSchema)
 
 /**
  * @typedef {object} Middlewares
- * @property {string[]} [preProcessing] - The pre-processing URL
- * @property {string[]} [postProcessing] - The post-processing URL
+ * @property {(string|RouteMiddleware)[]} [preProcessing] - The pre-processing middlewares keys, with their route options
+ * @property {(string|RouteMiddleware)[]} [postProcessing] - The post-processing middlewares keys, with their route options
+ */
+
+/**
+ * @typedef {object} RouteMiddleware
+ * @property {string} key - The middleware key
+ * @property {{[key: string]: any}} [options] - The route options passed to the middleware
  */
 
 /** @typedef {Route[]} RoutingTable */
 
-/** @typedef {RandomLoadBalancingStrategy} LoadBalancingStrategy */
+/** @typedef {RandomLoadBalancingStrategy|RoundRobinLoadBalancingStrategy|WeightedRoundRobinLoadBalancingStrategy|LeastConnectionsLoadBalancingStrategy|IpHashLoadBalancingStrategy|StickyCookieLoadBalancingStrategy} LoadBalancingStrategy */
 
 /**
  * @typedef {object} RandomLoadBalancingStrategy
  * @property {'random'} type - The load balancing strategy type
  */
 
-/** @typedef {'random'} LoadBalancingStrategyType */
+/**
+ * @typedef {object} RoundRobinLoadBalancingStrategy
+ * @property {'round-robin'} type - The load balancing strategy type
+ * @property {boolean} [shared] - Share the round-robin counter between all workers and hosts through Redis (default: false)
+ */
+
+/**
+ * @typedef {object} WeightedRoundRobinLoadBalancingStrategy
+ * @property {'weighted-round-robin'} type - The load balancing strategy type
+ * @property {boolean} [shared] - Share the round-robin counter between all workers and hosts through Redis (default: false)
+ */
+
+/**
+ * @typedef {object} LeastConnectionsLoadBalancingStrategy
+ * @property {'least-connections'} type - The load balancing strategy type
+ * @property {boolean} [shared] - Aggregate the in-flight requests of all workers and hosts through Redis (default: false)
+ */
+
+/**
+ * @typedef {object} IpHashLoadBalancingStrategy
+ * @property {'ip-hash'} type - The load balancing strategy type
+ */
+
+/**
+ * @typedef {object} StickyCookieLoadBalancingStrategy
+ * @property {'sticky-cookie'} type - The load balancing strategy type
+ * @property {string} secret - The secret used to sign the affinity cookie
+ * @property {string} [cookieName] - The affinity cookie name (default: maegashira_affinity)
+ * @property {number} [ttl] - The affinity cookie lifetime in seconds (default: session cookie)
+ * @property {'random'|'round-robin'|'weighted-round-robin'|'least-connections'|'ip-hash'} [fallback] - The load balancing strategy used when the client is not pinned to an available target (default: random)
+ */
 
-/** @typedef {AnonymousAuthenticationStrategy|BasicAuthenticationStrategy} AuthenticationStrategy */
+/** @typedef {'random'|'round-robin'|'weighted-round-robin'|'least-connections'|'ip-hash'|'sticky-cookie'} LoadBalancingStrategyType */
+
+/** @typedef {AnonymousAuthenticationStrategy|BasicAuthenticationStrategy|JwtAuthenticationStrategy|ApiKeyAuthenticationStrategy|ForwardAuthAuthenticationStrategy} AuthenticationStrategy */
 
 /**
  * @typedef {object} AnonymousAuthenticationStrategy
@@ -218,15 +1300,65 @@ const validateRoutingTableSchema = ajv.compile(routingTableSchema)
 /**
  * @typedef {object} BasicAuthenticationStrategy
  * @property {'basic'} type - The authentication strategy type
- * @property {string} username - The basic authentication username
- * @property {string} password - The basic authentication password
- * @property {string} [realm] - The basic authentication realm
+ * @property {string} [username] - The basic authentication username
+ * @property {string} [password] - The basic authentication password, in plain text or hashed
+ * @property {BasicAuthenticationUser[]} [users] - The basic authentication users
+ * @property {string} [htpasswd] - The path of an htpasswd file, reloaded when modified, whose bcrypt, argon2, Apache MD5 ($apr1$) and {SHA} entries are supported
+ * @property {string} [realm] - The basic authentication realm (default: the request hostname)
+ */
+
+/**
+ * @typedef {object} BasicAuthenticationUser
+ * @property {string} username - The user name
+ * @property {string} password - The password, a bcrypt, argon2 or Apache MD5 ($apr1$) hash, a SHA-1 hash prefixed with {SHA}, or plain text
+ */
+
+/**
+ * @typedef {object} JwtAuthenticationStrategy
+ * @property {'jwt'} type - The authentication strategy type
+ * @property {import('./jwt.js').JwtAlgorithm[]} [algorithms] - The accepted signature algorithms (default: HS256, RS256 and ES256)
+ * @property {string} [secret] - The HS256 shared secret
+ * @property {string} [publicKey] - The RS256 or ES256 public key, in PEM format
+ * @property {{keys: JsonWebKey[]}} [jwks] - The inline JSON Web Key Set
+ * @property {string} [jwksFile] - The path of a JSON Web Key Set file
+ * @property {string} [jwksUrl] - The URL of a JSON Web Key Set
+ * @property {number} [jwksCacheTtl] - The time in ms the keys of the JWKS file or URL are cached (default: 600000)
+ * @property {string|string[]} [issuer] - The accepted issuer or issuers ("iss" claim)
+ * @property {string|string[]} [audience] - The accepted audience or audiences ("aud" claim)
+ * @property {number} [clockTolerance] - The tolerance in ms when checking the "exp" and "nbf" claims (default: 0)
+ * @property {{[claim: string]: string}} [forwardClaims] - The claims forwarded to the targets, by claim name, as the given request headers
+ */
+
+/**
+ * @typedef {object} ApiKeyAuthenticationStrategy
+ * @property {'api-key'} type - The authentication strategy type
+ * @property {string} [header] - The request header containing the API key (default: X-API-Key)
+ * @property {string} [query] - The query string parameter containing the API key, read when the header is absent (default: none)
+ * @property {ApiKey[]} [keys] - The accepted API keys
+ * @property {boolean} [redis] - Look up the API keys missing from the routing table in Redis (default: false)
+ */
+
+/**
+ * @typedef {object} ForwardAuthAuthenticationStrategy
+ * @property {'forward-auth'} type - The authentication strategy type
+ * @property {string} url - The authorization endpoint URL, a 2xx response letting the request through
+ * @property {'GET'|'HEAD'|'POST'} [method] - The authorization request method (default: GET)
+ * @property {string[]} [requestHeaders] - The request headers sent to the authorization endpoint (default: Authorization and Cookie)
+ * @property {string[]} [responseHeaders] - The authorization response headers copied onto the request forwarded to the target, e.g. X-User-Id (default: none)
+ * @property {number} [timeout] - The authorization request timeout in ms (default: 5000)
+ */
+
+/**
+ * @typedef {object} ApiKey
+ * @property {string} hash - The SHA-256 hash of the API key, in hexadecimal
+ * @property {string} consumer - The name of the consumer owning the API key
+ * @property {string} [expiresAt] - The API key expiry date
  */
 
-/** @typedef {'anonymous'|'basic'} AuthenticationStrategyType */
+/** @typedef {'anonymous'|'basic'|'jwt'|'api-key'|'forward-auth'} AuthenticationStrategyType */
 
 /**
- * @typedef {NoCacheStrategy|BasicCacheStrategy} CacheStrategy
+ * @typedef {NoCacheStrategy|BasicCacheStrategy|RedisCacheStrategy} CacheStrategy
  */
 
 /**
@@ -238,16 +1370,195 @@ const validateRoutingTableSchema = ajv.compile(routingTableSchema)
  * @typedef {object} BasicCacheStrategy
  * @property {'basic'} type - The cache strategy type
  * @property {number} ttl - The cache time-to-live in milliseconds
+ * @property {number} [staleWhileRevalidate] - The time in milliseconds a stale response is served while it is refreshed in the background (default: 0)
+ * @property {number} [staleIfError] - The time in milliseconds a stale response is served when the target fails or times out (default: 0)
+ */
+
+/**
+ * @typedef {object} RedisCacheStrategy
+ * @property {'redis'} type - The cache strategy type
+ * @property {number} ttl - The cache time-to-live in milliseconds
+ * @property {number} [staleWhileRevalidate] - The time in milliseconds a stale response is served while it is refreshed in the background (default: 0)
+ * @property {number} [staleIfError] - The time in milliseconds a stale response is served when the target fails or times out (default: 0)
+ */
+
+/** @typedef {NoRateLimitStrategy|WindowRateLimitStrategy|TokenBucketRateLimitStrategy} RateLimitStrategy */
+
+/**
+ * @typedef {object} NoRateLimitStrategy
+ * @property {'none'} type - The rate limiting strategy type
+ */
+
+/**
+ * @typedef {object} WindowRateLimitStrategy
+ * @property {'fixed-window'|'sliding-window'} type - The rate limiting strategy type
+ * @property {number} limit - The maximum number of requests over the window
+ * @property {number} window - The window in ms
+ * @property {RateLimitKey} [key] - The identity requests are counted by (default: the client IP)
+ */
+
+/**
+ * @typedef {object} TokenBucketRateLimitStrategy
+ * @property {'token-bucket'} type - The rate limiting strategy type
+ * @property {number} capacity - The maximum number of tokens in the bucket, a request consuming one token
+ * @property {number} refillRate - The number of tokens added to the bucket per second
+ * @property {RateLimitKey} [key] - The identity requests are counted by (default: the client IP)
+ */
+
+/**
+ * @typedef {object} RateLimitKey
+ * @property {'ip'|'user'|'header'|'api-key'} type - The identity type, the authenticated user for 'user'
+ * @property {string} [name] - The request header name, required for 'header' (default for 'api-key': X-API-Key)
+ */
+
+/** @typedef {NoRetryStrategy|FixedRetryStrategy|ExponentialRetryStrategy} RetryStrategy */
+
+/**
+ * @typedef {object} NoRetryStrategy
+ * @property {'none'} type - The retry strategy type
+ */
+
+/**
+ * @typedef {object} FixedRetryStrategy
+ * @property {'fixed'} type - The retry strategy type
+ * @property {number} [maxAttempts] - The maximum number of attempts, including the first request (default: 3)
+ * @property {number} [delay] - The delay in ms between two attempts (default: 100)
+ * @property {boolean} [retryOnConnectionError] - Retry when the target can't be reached (default: true)
+ * @property {boolean} [retryOnTimeout] - Retry when the target request times out (default: true)
+ * @property {number[]} [retryOnStatuses] - The target response status codes to retry (default: none)
+ * @property {string[]} [methods] - The request methods to retry (default: the idempotent methods)
+ * @property {boolean} [differentTarget] - Retry on another target of the route when available (default: true)
+ */
+
+/**
+ * @typedef {object} ExponentialRetryStrategy
+ * @property {'exponential'} type - The retry strategy type
+ * @property {number} [maxAttempts] - The maximum number of attempts, including the first request (default: 3)
+ * @property {number} [delay] - The delay in ms before the first retry, doubling after each retry (default: 100)
+ * @property {number} [maxDelay] - The maximum delay in ms between two attempts (default: 2000)
+ * @property {boolean} [retryOnConnectionError] - Retry when the target can't be reached (default: true)
+ * @property {boolean} [retryOnTimeout] - Retry when the target request times out (default: true)
+ * @property {number[]} [retryOnStatuses] - The target response status codes to retry (default: none)
+ * @property {string[]} [methods] - The request methods to retry (default: the idempotent methods)
+ * @property {boolean} [differentTarget] - Retry on another target of the route when available (default: true)
+ */
+
+/**
+ * @typedef {'prefix'|'glob'|'regex'} PathType
+ */
+
+/**
+ * @typedef {object} RouteMatchConditions
+ * @property {string[]} [methods] - The accepted HTTP methods
+ * @property {ValueMatchCondition[]} [headers] - The request headers conditions
+ * @property {ValueMatchCondition[]} [query] - The query string parameters conditions
+ * @property {ValueMatchCondition[]} [cookies] - The cookies conditions
+ * @property {string[]} [clientIps] - The accepted client IP addresses or CIDR ranges
+ */
+
+/**
+ * @typedef {object} ValueMatchCondition
+ * @property {string} name - The name of the header, query string parameter or cookie
+ * @property {string} [value] - The exact expected value
+ * @property {string} [pattern] - The regular expression the value must match
+ * @property {boolean} [present] - Whether the value must be present or absent when no value or pattern is defined (default: true)
+ */
+
+/**
+ * @typedef {object} UrlRewrite
+ * @property {string} [url] - The target URL template, "{name}" placeholders are replaced by path parameters and "{path}" by the forwarded path, a template starting with "/" being relative to the target URL
+ * @property {UrlRewriteRule[]} [rules] - The regex rules applied in order to the forwarded path
+ * @property {QueryRewrite} [query] - The query string parameters to add or remove
+ */
+
+/**
+ * @typedef {object} UrlRewriteRule
+ * @property {string} pattern - The regular expression matched against the forwarded path
+ * @property {string} replacement - The replacement string, "$1" or "$<name>" refer to captured groups
+ */
+
+/**
+ * @typedef {object} QueryRewrite
+ * @property {{[key: string]: string}} [add] - The query string parameters to add, replacing existing values
+ * @property {string[]} [remove] - The names of the query string parameters to remove
+ */
+
+/**
+ * @typedef {object} HeadersTransformation
+ * The values are templates whose "{name}" placeholders are replaced by the path parameters and the transaction values:
+ * clientIp, transactionId, host, hostname, method, path, user and consumer.
+ * @property {string[]} [remove] - The names of the headers to remove
+ * @property {{[key: string]: string}} [rename] - The headers to rename, by current name
+ * @property {{[key: string]: string}} [set] - The headers to set, replacing existing values
+ * @property {{[key: string]: string}} [append] - The headers to append to existing values
+ */
+
+/**
+ * @typedef {object} QueryTransformation
+ * @property {string[]} [remove] - The names of the query string parameters to remove
+ * @property {{[key: string]: string}} [set] - The query string parameters to set, replacing existing values, the values being templates
+ */
+
+/**
+ * @typedef {object} CorsPolicy
+ * @property {string[]} origins - The allowed origins, "*" wildcards matching any host part, or "*" for any origin
+ * @property {string[]} [methods] - The allowed methods (default: GET, HEAD, PUT, PATCH, POST, DELETE)
+ * @property {string[]} [allowedHeaders] - The allowed request headers (default: the requested headers)
+ * @property {string[]} [exposedHeaders] - The response headers exposed to the browser scripts
+ * @property {boolean} [credentials] - Allow the credentialed requests (default: false)
+ * @property {number} [maxAge] - The number of seconds the preflight responses can be cached
+ * @property {boolean} [preserveUpstream] - Leave the CORS headers of the upstream responses untouched when present (default: false)
+ */
+
+/**
+ * @typedef {object} HealthCheck
+ * @property {string} path - The path requested on the target URL
+ * @property {'GET'|'HEAD'} [method] - The request method (default: GET)
+ * @property {number} [interval] - The interval between two checks in ms (default: 10000)
+ * @property {number} [timeout] - The check timeout in ms (default: 2000)
+ * @property {number|number[]} [expectedStatus] - The expected status code or codes (default: any 2xx or 3xx status)
+ * @property {number} [healthyThreshold] - The number of consecutive successful checks for an unhealthy target to become healthy (default: 2)
+ * @property {number} [unhealthyThreshold] - The number of consecutive failed checks for a healthy target to become unhealthy (default: 3)
+ */
+
+/**
+ * @typedef {object} IpFilter
+ * @property {string[]} [allow] - The allowed client IP addresses or CIDR ranges, any other address being denied when defined
+ * @property {string[]} [deny] - The denied client IP addresses or CIDR ranges
+ * @property {'allow-first'|'deny-first'} [order] - The list taking precedence for the addresses belonging to both lists (default: deny-first)
+ */
+
+/**
+ * @typedef {object} CircuitBreaker
+ * @property {number} [consecutiveFailures] - The number of consecutive failed requests opening the circuit (default: 5)
+ * @property {number} [errorRate] - The ratio of failed requests over the window opening the circuit (default: disabled)
+ * @property {number} [minimumRequests] - The minimum number of requests over the window to evaluate the error rate (default: 10)
+ * @property {number} [window] - The error rate window in ms (default: 10000)
+ * @property {number} [cooldown] - The time in ms the circuit stays open before trial requests are allowed (default: 30000)
+ * @property {number} [halfOpenRequests] - The number of successful trial requests closing the circuit (default: 1)
  */
 
 /**
  * @typedef {object} Route
  * @property {string} hostname - The host name pattern
  * @property {string} path - The path pattern (default: '')
+ * @property {PathType} [pathType] - The path pattern type (default: prefix)
+ * @property {number} [priority] - The route priority, higher is matched first (default: 0)
+ * @property {RouteMatchConditions} [match] - The additional conditions a request must satisfy to match the route
  * @property {number} [timeout] - The request timeout (default: 5000)
+ * @property {UrlRewrite} [rewrite] - The URL rewrite applied to forwarded requests, its URL template being relative to the selected target
+ * @property {HealthCheck} [healthCheck] - The active health check of the forward targets
+ * @property {CircuitBreaker} [circuitBreaker] - The passive circuit breaker of the forward targets
+ * @property {IpFilter} [ipFilter] - The client IP addresses allowed or denied to reach the route
+ * @property {HeadersTransformation} [requestHeaders] - The request headers transformation, applied before the pre-processing middlewares
+ * @property {HeadersTransformation} [responseHeaders] - The response headers transformation, applied after the post-processing middlewares
+ * @property {QueryTransformation} [requestQuery] - The query string parameters transformation, applied before the pre-processing middlewares
+ * @property {CorsPolicy} [cors] - The CORS policy, the CORS headers of the upstream responses being left untouched if undefined
  * @property {Middlewares} [middlewares] - The pre-processing and post-processing middlewares
  * @property {LoadBalancingStrategy} [loadBalancingStrategy] - The load balancing strategy
  * @property {AuthenticationStrategy} [authenticationStrategy] - The authentication strategy
+ * @property {RetryStrategy} [retryStrategy] - The retry strategy of forwarded requests
+ * @property {RateLimitStrategy} [rateLimitStrategy] - The rate limiting strategy
  * @property {CacheStrategy} [cacheStrategy] - The cache strategy
  * @property {Target[]} targets - The targets
  */
@@ -260,12 +1571,19 @@ const validateRoutingTableSchema = ajv.compile(routingTableSchema)
  * @typedef {object} ForwardTarget
  * @property {'forward'} type - The target type
  * @property {string} url - The target URL
+ * @property {number} [weight] - The target weight for the weighted load balancing strategies (default: 1)
+ * @property {UrlRewrite} [rewrite] - The URL rewrite, overriding the route rewrite
+ * @property {HealthCheck} [healthCheck] - The active health check, overriding the route health check
  */
 
 /**
  * @typedef {object} RedirectTarget
  * @property {'redirect'} type - The target type
- * @property {string} url - The target URL
+ * @property {string} url - The redirection URL template, "{name}" placeholders are replaced by path parameters, "{path}" by the path without the route prefix and "{hostname}" by the request hostname. Only "{hostname}" can be used in the host, on routes whose hostname ends with two labels without wildcard
+ * @property {301|302|307|308} [status] - The redirection status code (default: 302)
+ * @property {boolean} [preservePath] - Append the request path without the route prefix to the redirection URL (default: false)
+ * @property {boolean} [preserveQuery] - Append the request query string to the redirection URL (default: false)
+ * @property {number} [weight] - The target weight for the weighted load balancing strategies (default: 1)
  */
 
 /**
@@ -273,6 +1591,7 @@ const validateRoutingTableSchema = ajv.compile(routingTableSchema)
  * @property {'static'} type - The target type
  * @property {string} directory - The target directory containing static files
  * @property {string} [index] - The target default index file (default: index.html)
+ * @property {number} [weight] - The target weight for the weighted load balancing strategies (default: 1)
  */
 
 /**
@@ -282,6 +1601,105 @@ const validateRoutingTableSchema = ajv.compile(routingTableSchema)
 /** @type {RoutingTable} */
 let _routingTable
 
+/**
+ * @function isValidHostnamePattern
+ * @description Check if a hostname pattern is valid, each label being either a valid hostname label or "*"
+ * @param {string} hostnamePattern - The hostname pattern
+ * @returns {boolean} True if the hostname pattern is valid
+ */
+function isValidHostnamePattern (hostnamePattern) {
+  if (hostnamePattern.length === 0 || hostnamePattern.length > 253) {
+    return false
+  }
+  return hostnamePattern.split('.').every(label => label === '*' ||
+    (/^[a-z0-9-]{1,63}$/i.test(label) && !label.startsWith('-') && !label.endsWith('-'))
+  )
+}
+
+/**
+ * @function isValidRedirectUrlTemplate
+ * @description Check if a redirect URL template starts with an HTTP origin and renders a valid URL
+ * @param {string} template - The redirect URL template
+ * @returns {boolean} True if the redirect URL template is valid
+ */
+function isValidRedirectUrlTemplate (template) {
+  if (!splitRedirectUrlTemplate(template).origin) {
+    return false
+  }
+  try {
+    buildRedirectUrl({
+      requestUrl: new URL('http://example.com/'),
+      target: { type: 'redirect', url: template },
+      pathMatch: { params: {}, prefix: '' }
+    })
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * @function checkRedirectHostnames
+ * @description Check that the redirect targets using the "{hostname}" placeholder in their host can't redirect to any hostname
+ * The route hostname must end with two labels without wildcard, so that the redirections stay in the domain of the route.
+ * @param {RoutingTable} routingTable - The routing table, valid against the schema
+ * @returns {import('ajv').ErrorObject[]} The errors
+ */
+function checkRedirectHostnames (routingTable) {
+  /** @type {import('ajv').ErrorObject[]} */
+  const errors = []
+  routingTable.forEach((route, routeIndex) => {
+    const labels = route.hostname.split('.')
+    if (!isWildcardHostname(route.hostname) || (labels.length > 2 && !labels.slice(-2).includes('*'))) {
+      return
+    }
+    route.targets.forEach((target, targetIndex) => {
+      if (target.type === 'redirect' && splitRedirectUrlTemplate(target.url).origin.includes('{hostname}')) {
+        errors.push({
+          instancePath: `/${routeIndex}/targets/${targetIndex}/url`,
+          schemaPath: '#/items/properties/targets/items/oneOf/1/properties/url/format',
+          keyword: 'format',
+          params: { format: 'redirect-url-template' },
+          message: 'must not use the "{hostname}" placeholder in the host when the route hostname ends with a wildcard label'
+        })
+      }
+    })
+  })
+  return errors
+}
+
+/**
+ * @function isValidPrefixPathPattern
+ * @description Check if a prefix path pattern is valid
+ * Parameters must have unique identifier names and a "*name" parameter can only be the last segment.
+ * @param {string} path - The prefix path pattern
+ * @returns {boolean} True if the prefix path pattern is valid
+ */
+function isValidPrefixPathPattern (path) {
+  if (!hasPathParameters(path)) {
+    return true
+  }
+  if (!path.startsWith('/')) {
+    return false
+  }
+  const segments = path.split('/').slice(1)
+  const names = []
+  for (const [i, segment] of segments.entries()) {
+    if (!segment.startsWith(':') && !segment.startsWith('*')) {
+      continue
+    }
+    if (segment.startsWith('*') && i !== segments.length - 1) {
+      return false
+    }
+    const name = segment.slice(1)
+    if (!/^[a-z_][a-z0-9_]*$/i.test(name) || names.includes(name)) {
+      return false
+    }
+    names.push(name)
+  }
+  return true
+}
+
 /**
  * @function setRoutingTable
  * @description Set the proxy server routes
@@ -290,17 +1708,19 @@ let _routingTable
  */
 export function setRoutingTable (routingTable) {
   try {
-    if (!validateRoutingTableSchema(routingTable)) {
-      logger.warn({ level: 'error', message: 'Invalid routing table.', errors: validateRoutingTableSchema.errors })
+    const errors = checkRoutingTable(routingTable)
+    if (errors) {
+      logger.warn({ level: 'error', message: 'Invalid routing table.', errors })
       throw new RoutingTableError('Invalid routing table',
         new ProxyErrorCause('Invalid routing table', {
           routingTable,
-          errors: validateRoutingTableSchema.errors
+          errors
         }, null)
       )
     }
     _routingTable = routingTable
     propagateRoutingTableToWorkers()
+    updateHealthChecks(routingTable)
     prefetchDns()
   } catch (error) {
     logger.error(error)
@@ -327,7 +1747,8 @@ export function checkRoutingTable (routingTable) {
     }
     return errors
   }
-  return null
+  const redirectErrors = checkRedirectHostnames(routingTable)
+  return redirectErrors.length > 0 ? redirectErrors : null
 }
 
 /**
@@ -0,0 +1,85 @@
+import { renderUrlTemplate } from './url-rewrite.js'
+
+/**
+ * @typedef {object} TemplateContext
+ * @property {URL} url - The request URL
+ * @property {string} method - The request method
+ * @property {import('./route-matcher.js').RouteMatch} routeMatch - The matched route and path parameters
+ * @property {string} clientIp - The client IP address
+ * @property {import('../worker-process.js').Transaction} transaction - The transaction
+ */
+
+/**
+ * @function getTemplateVariables
+ * @description Get the variables of the transformation templates
+ * The "{name}" placeholders are replaced by the path parameters, and by the transaction values:
+ * clientIp, transactionId, host, hostname, method, path, user and consumer.
+ * @param {TemplateContext} context - The request context
+ * @returns {{[key: string]: string|undefined}} The template variables
+ */
+export function getTemplateVariables ({ url, method, routeMatch, clientIp, transaction }) {
+  return {
+    ...routeMatch.params,
+    clientIp,
+    transactionId: transaction.transaction_id,
+    host: url.host,
+    hostname: url.hostname,
+    method,
+    path: url.pathname,
+    user: transaction.request_user,
+    consumer: transaction.request_consumer
+  }
+}
+
+/**
+ * @function transformHeaders
+ * @description Apply a declarative transformation to headers, removing, renaming, setting and then appending headers
+ * @param {Headers} headers - The headers to transform
+ * @param {import('./routing-table.js').HeadersTransformation} transformation - The headers transformation
+ * @param {{[key: string]: string|undefined}} variables - The template variables
+ */
+export function transformHeaders (headers, transformation, variables) {
+  for (const name of transformation.remove || []) {
+    headers.delete(name)
+  }
+  for (const [name, newName] of Object.entries(transformation.rename || {})) {
+    const value = headers.get(name)
+    if (value !== null) {
+      headers.delete(name)
+      headers.set(newName, value)
+    }
+  }
+  for (const [name, template] of Object.entries(transformation.set || {})) {
+    headers.set(name, renderHeaderTemplate(template, variables))
+  }
+  for (const [name, template] of Object.entries(transformation.append || {})) {
+    headers.append(name, renderHeaderTemplate(template, variables))
+  }
+}
+
+/**
+ * @function transformQuery
+ * @description Apply a declarative transformation to query string parameters, removing and then setting parameters
+ * @param {URLSearchParams} searchParams - The query string parameters to transform
+ * @param {import('./routing-table.js').QueryTransformation} transformation - The query transformation
+ * @param {{[key: string]: string|undefined}} variables - The template variables
+ */
+export function transformQuery (searchParams, transformation, variables) {
+  for (const name of transformation.remove || []) {
+    searchParams.delete(name)
+  }
+  for (const [name, template] of Object.entries(transformation.set || {})) {
+    searchParams.set(name, renderUrlTemplate(template, variables))
+  }
+}
+
+/**
+ * @function renderHeaderTemplate
+ * @description Render a header value template, removing the line breaks that the variables could contain
+ * @param {string} template - The header value template
+ * @param {{[key: string]: string|undefined}} variables - The template variables
+ * @returns {string} The header value
+ */
+function renderHeaderTemplate (template, variables) {
+  return renderUrlTemplate(template, variables).replace(/[\r\n]/g, '')
+}
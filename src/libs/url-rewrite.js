@@ -0,0 +1,110 @@
+import { compilePattern } from './route-matcher.js'
+
+/** @type {Map<string, RegExp>} */
+const rewriteRulesCache = new Map()
+
+/**
+ * @function buildForwardUrl
+ * @description Build the upstream URL of a forwarded request
+ * Without rewrite, the route prefix is stripped from the request path, which is appended to the target URL.
+ * A URL template starting with "/" is appended to the target URL, the route templates being always relative to the selected target.
+ * @param {object} options - The options
+ * @param {URL} options.requestUrl - The incoming request URL
+ * @param {string} options.targetUrl - The forward target URL
+ * @param {import('./route-matcher.js').PathMatch} options.pathMatch - The matched path prefix and parameters
+ * @param {import('./routing-table.js').UrlRewrite} [options.rewrite] - The URL rewrite
+ * @returns {URL} The upstream URL
+ */
+export function buildForwardUrl ({ requestUrl, targetUrl, pathMatch, rewrite }) {
+  let forwardedPath = requestUrl.pathname.slice(pathMatch.prefix.length)
+  for (const rule of rewrite?.rules || []) {
+    forwardedPath = forwardedPath.replace(getRewriteRuleRegExp(rule.pattern), rule.replacement)
+  }
+
+  let upstreamUrl = new URL(`${targetUrl}${forwardedPath}`)
+  if (rewrite?.url) {
+    const renderedUrl = renderUrlTemplate(rewrite.url, { ...pathMatch.params, path: forwardedPath })
+    // The relative templates keep the selected target, only the absolute ones of the targets replace it
+    upstreamUrl = renderedUrl.startsWith('/') ? new URL(`${targetUrl}${renderedUrl}`) : new URL(renderedUrl)
+  }
+
+  // Preserve the query string, merged with the template query string if any
+  for (const [name, value] of requestUrl.searchParams) {
+    upstreamUrl.searchParams.append(name, value)
+  }
+  for (const name of rewrite?.query?.remove || []) {
+    upstreamUrl.searchParams.delete(name)
+  }
+  for (const [name, value] of Object.entries(rewrite?.query?.add || {})) {
+    upstreamUrl.searchParams.set(name, value)
+  }
+  return upstreamUrl
+}
+
+/**
+ * @function buildRedirectUrl
+ * @description Build the location of a redirect target
+ * @param {object} options - The options
+ * @param {URL} options.requestUrl - The incoming request URL
+ * @param {import('./routing-table.js').RedirectTarget} options.target - The redirect target
+ * @param {import('./route-matcher.js').PathMatch} options.pathMatch - The matched path prefix and parameters
+ * @returns {URL} The redirection URL
+ */
+export function buildRedirectUrl ({ requestUrl, target, pathMatch }) {
+  const path = requestUrl.pathname.slice(pathMatch.prefix.length)
+  const { origin, rest } = splitRedirectUrlTemplate(target.url)
+  const renderedOrigin = renderUrlTemplate(origin, { hostname: requestUrl.hostname })
+  const renderedRest = renderUrlTemplate(rest, { ...pathMatch.params, hostname: requestUrl.hostname, path })
+  // The rest of the URL is rendered after the host, so that the path parameters can't change the redirection host
+  const separator = !renderedRest || /^[/?#]/.test(renderedRest) ? '' : '/'
+  const redirectUrl = new URL(`${renderedOrigin}${separator}${renderedRest}`)
+  if (target.preservePath && path) {
+    const basePath = redirectUrl.pathname.endsWith('/') ? redirectUrl.pathname.slice(0, -1) : redirectUrl.pathname
+    redirectUrl.pathname = path.startsWith('/') ? `${basePath}${path}` : `${basePath}/${path}`
+  }
+  if (target.preserveQuery) {
+    for (const [name, value] of requestUrl.searchParams) {
+      redirectUrl.searchParams.append(name, value)
+    }
+  }
+  return redirectUrl
+}
+
+/**
+ * @function splitRedirectUrlTemplate
+ * @description Split a redirect URL template into its origin and the rest of the URL
+ * The origin ends at the first "/", "?", "#" or placeholder other than "{hostname}".
+ * @param {string} template - The redirect URL template (e.g. "https://www.{hostname}/docs{path}")
+ * @returns {{origin: string, rest: string}} The origin template, empty if the template doesn't start with an HTTP origin, and the rest of the template
+ */
+export function splitRedirectUrlTemplate (template) {
+  const origin = /^https?:\/\/(?:[^/?#{]|\{hostname\})+/i.exec(template)?.[0] || ''
+  return { origin, rest: template.slice(origin.length) }
+}
+
+/**
+ * @function renderUrlTemplate
+ * @description Replace the "{name}" placeholders of a URL template, unknown placeholders are removed
+ * @param {string} template - The URL template (e.g. "https://svc/v2/accounts/{id}/{rest}")
+ * @param {{[key: string]: string|undefined}} variables - The template variables
+ * @returns {string} The rendered URL
+ */
+export function renderUrlTemplate (template, variables) {
+  const values = new Map(Object.entries(variables))
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => values.get(name) ?? '')
+}
+
+/**
+ * @function getRewriteRuleRegExp
+ * @description Get the compiled regular expression of a rewrite rule
+ * @param {string} pattern - The rewrite rule pattern
+ * @returns {RegExp} The compiled regular expression
+ */
+function getRewriteRuleRegExp (pattern) {
+  let regex = rewriteRulesCache.get(pattern)
+  if (!regex) {
+    regex = compilePattern(pattern)
+    rewriteRulesCache.set(pattern, regex)
+  }
+  return regex
+}
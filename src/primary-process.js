@@ -6,6 +6,7 @@ import { setRoutingTable, propagateRoutingTableToWorkers } from './libs/routing-
 import { discoverRoutesFromDocker } from './libs/discovery.js'
 import { startApi, stopApi } from './libs/api.js'
 import { stopQueues, initializeQueues } from './libs/queues.js'
+import { getUnhealthyTargets, propagateTargetsHealthToWorkers, stopHealthChecks } from './libs/health-checks.js'
 // import { collectDefaultMetrics, Gauge } from 'prom-client'
 
 // // Enable collection of default metrics
@@ -65,6 +66,18 @@ let serviceDiscoveryTimer
  * @property {import('./libs/routing-table.js').RoutingTable} [routingTable] - The routing table
  */
 
+/**
+ * @typedef {object} PrimaryProcessTargetsHealthMessage
+ * @property {'targetshealth'} type - The message type
+ * @property {string[]} unhealthyTargets - The keys of the targets failing their health checks
+ */
+
+/**
+ * @typedef {object} PrimaryProcessCachePurgeMessage
+ * @property {'cachepurge'} type - The message type
+ * @property {import('./libs/cache.js').CachePurgeFilter} filter - The responses to purge
+ */
+
 /**
  * @function startPrimaryProcess
  * @description Start the primary process
@@ -141,6 +154,10 @@ export async function startPrimaryProcess ({
                 type: 'routingtable',
                 routingTable
               })
+              worker.send({
+                type: 'targetshealth',
+                unhealthyTargets: getUnhealthyTargets()
+              })
               break
             default:
               logger.warn({ worker_id: worker.id, message }, `${LOG_PREFIX} Worker message`)
@@ -161,8 +178,9 @@ export async function startPrimaryProcess ({
         if (receivedExitSignals === 0) {
           logger.warn({ code, signal, worker_id: worker.id }, `${LOG_PREFIX} Worker died, restarting...`)
           cluster.fork()
-          // Repropagate the routing table to the new worker (and all others)
+          // Repropagate the routing table and the targets health to the new worker (and all others)
           propagateRoutingTableToWorkers()
+          propagateTargetsHealthToWorkers()
         }
       })
       worker.on('fork', function workerProcessForkHandler (worker) {
@@ -216,6 +234,8 @@ export async function stopPrimaryProcess () {
   try {
     // Clear the discovery timer
     if (serviceDiscoveryTimer) { clearInterval(serviceDiscoveryTimer) }
+    // Stop the health checks
+    stopHealthChecks()
     // Stop the management API
     stopApi()
     // Stop the queues
@@ -235,7 +255,7 @@ export async function stopPrimaryProcess () {
 /**
  * @function sendIpcMessageToWorkers
  * @description Send a message to all workers
- * @param {PrimaryProcessShutdownMessage|PrimaryProcessUpdateRoutingTableMessage} message - The message object
+ * @param {PrimaryProcessShutdownMessage|PrimaryProcessUpdateRoutingTableMessage|PrimaryProcessTargetsHealthMessage|PrimaryProcessCachePurgeMessage} message - The message object
  * @returns {void}
  */
 function sendIpcMessageToWorkers (message) {
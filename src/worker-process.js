@@ -1,10 +1,24 @@
 import process from 'node:process'
 import { Worker } from 'bullmq'
 import { randomUUID } from 'node:crypto'
-import { serve, file, env } from 'bun'
+import { serve, file, env, sleep } from 'bun'
 import { logger, logLevel } from './libs/logger.js'
 import { initializeQueues, queues, createPostTransactionJob } from './libs/queues.js'
 import { ProxyError, ProxyErrorCause } from './libs/errors.js'
+import { compileRoutingTable, findRoute } from './libs/route-matcher.js'
+import { buildForwardUrl, buildRedirectUrl } from './libs/url-rewrite.js'
+import { selectTarget, getAffinityCookie, getTargetKey, startTargetRequest, endTargetRequest, setUnhealthyTargets } from './libs/load-balancing.js'
+import { getCircuitState, startCircuitRequest, recordCircuitResult } from './libs/circuit-breaker.js'
+import { isCacheableRequest, getCachedResponse, storeCachedResponse, purgeMemoryCache } from './libs/cache.js'
+import { checkRateLimit, checkAuthenticationRateLimit, countFailedAuthentication, getRateLimitHeaders } from './libs/rate-limiting.js'
+import { compileCidrs, compileIpFilter, getClientIp, isIpAllowed } from './libs/ip.js'
+import { jwtAuthentication as jwtAuthenticationMiddleware } from './libs/jwt.js'
+import { apiKeyAuthentication as apiKeyAuthenticationMiddleware } from './libs/api-keys.js'
+import { forwardAuthentication } from './libs/forward-auth.js'
+import { basicAuthentication as basicAuthenticationMiddleware } from './libs/basic-auth.js'
+import { executePreProcessingMiddlewares, executePostProcessingMiddlewares } from './libs/middlewares.js'
+import { getTemplateVariables, transformHeaders, transformQuery } from './libs/transformations.js'
+import { isPreflightRequest, getPreflightResponse, applyCorsHeaders } from './libs/cors.js'
 import { collectDefaultMetrics, Counter } from 'prom-client'
 
 // Ignored because importing json with assertions is not supported by eslint
@@ -26,25 +40,46 @@ const responsesCodesCounter = new Counter({
   labelNames: ['code']
 })
 
+const consumerResponsesCodesCounter = new Counter({
+  name: 'consumer_responses_codes',
+  help: 'Number of responses by API key consumer and status code',
+  labelNames: ['consumer', 'code']
+})
+
 /** @type {import('bun').Server} */
 let proxyServer
 
 /** @type {import('./libs/routing-table.js').RoutingTable} */
 let routingTable = []
 
+/** @type {import('./libs/route-matcher.js').CompiledRoutingTable} */
+let compiledRoutingTable = compileRoutingTable([])
+
 /**
  * @typedef {object} Middlewares
  * @property {PreProcessingMiddleware[]} preProcessing - The pre-processing middlewares
  * @property {PostProcessingMiddleware[]} postProcessing - The post-processing middlewares
  */
 
-/** @typedef {'next'|'cancel'} MiddlewareAction */
+/** @typedef {'next'|'cancel'|'respond'} MiddlewareAction */
+
+/** @typedef {BodyInit|object|null} MiddlewareBody */
 
 /**
  * @typedef {object} PreProcessingMiddlewareState
  * @property {Transaction} transaction - The transaction
- * @property {object} headers - The request headers
- * @property {object|string} body - The request body
+ * @property {import('./libs/routing-table.js').Route} route - The matched route
+ * @property {{[key: string]: any}} options - The middleware options of the route
+ * @property {import('./libs/jwt.js').JwtClaims} [claims] - The token claims of the requests authenticated by the JWT strategy
+ * @property {string} method - The request method
+ * @property {URL} url - The request URL, a path outside the matched route prefix being forwarded whole
+ * @property {Record<string, string|string[]>} headers - The request headers
+ * @property {MiddlewareBody} body - The request body, a stream until read or replaced, other objects being sent as JSON
+ * @property {function(): Promise<string>} text - Read the request body as text
+ * @property {function(): Promise<any>} json - Read the request body as JSON
+ * @property {Record<string, any>} context - Values shared with the next middlewares, including the post-processing ones
+ * @property {import('./libs/routing-table.js').Target} target - The target the request is sent to, e.g. one of the route targets
+ * @property {Response} [response] - The response returned to the client with the 'respond' action, or with the 'cancel' action instead of a 400
  * @property {MiddlewareAction} [action] - The action
  * @property {TransactionCancellationReason} [cancellationReason] - The reason for the cancellation
  */
@@ -52,8 +87,14 @@ let routingTable = []
 /**
  * @typedef {object} PostProcessingMiddlewareState
  * @property {Transaction} transaction - The transaction
- * @property {object} headers - The response headers
- * @property {object|string} body - The response body
+ * @property {{[key: string]: any}} options - The middleware options of the route
+ * @property {number} status - The response status
+ * @property {string} statusText - The response status text
+ * @property {Record<string, string|string[]>} headers - The response headers
+ * @property {MiddlewareBody} body - The response body, a stream until read or replaced, other objects being sent as JSON
+ * @property {function(): Promise<string>} text - Read the response body as text
+ * @property {function(): Promise<any>} json - Read the response body as JSON
+ * @property {Record<string, any>} context - The values shared by the pre-processing middlewares
  * @property {MiddlewareAction} [action] - The action
  * @property {TransactionCancellationReason} [cancellationReason] - The reason for the cancellation
  */
@@ -70,6 +111,18 @@ let routingTable = []
  * @property {Function} handler - The middleware handler
  */
 
+/**
+ * The IP filter applied to all the routes
+ * @type {import('./libs/routing-table.js').IpFilter|undefined}
+ */
+let globalIpFilter
+
+/**
+ * Test if an IP address is a proxy trusted to set the X-Forwarded-For header
+ * @type {(function(string): boolean)|undefined}
+ */
+let isTrustedProxy
+
 /** @type {Middlewares} */
 let registeredMiddlewares = {
   preProcessing: [],
@@ -82,6 +135,8 @@ let registeredMiddlewares = {
  * @property {string} [hostname] - The proxy server hostname
  * @property {import('./libs/queues.js').RedisConnectionOptions} redis - The Redis options
  * @property {Middlewares} [middlewares] - The middlewares
+ * @property {import('./libs/routing-table.js').IpFilter} [ipFilter] - The IP filter applied to all the routes
+ * @property {string[]} [trustedProxies] - The IP addresses or CIDR ranges of the proxies trusted to set the X-Forwarded-For header
  */
 
 /**
@@ -95,12 +150,19 @@ export function startWorkerProcess ({
   port = 8080,
   hostname = '0.0.0.0',
   redis,
-  middlewares
+  middlewares,
+  ipFilter,
+  trustedProxies
 }) {
   try {
     if (middlewares) {
       registeredMiddlewares = middlewares
     }
+    if (ipFilter) {
+      compileIpFilter(ipFilter)
+    }
+    globalIpFilter = ipFilter
+    isTrustedProxy = trustedProxies?.length ? compileCidrs(trustedProxies) : undefined
 
     // Proxy server
     proxyServer = serve({
@@ -117,7 +179,7 @@ export function startWorkerProcess ({
       /**
        * @function primmaryProcessMessageHandler
        * @description Handles messages sent from the primary process of the cluster
-       * @param {import('./primary-process.js').PrimaryProcessShutdownMessage|import('./primary-process.js').PrimaryProcessUpdateRoutingTableMessage|import('./primary-process.js').PrimaryProcessMetricsRequestMessage} message - The message object
+       * @param {import('./primary-process.js').PrimaryProcessShutdownMessage|import('./primary-process.js').PrimaryProcessUpdateRoutingTableMessage|import('./primary-process.js').PrimaryProcessTargetsHealthMessage|import('./primary-process.js').PrimaryProcessCachePurgeMessage|import('./primary-process.js').PrimaryProcessMetricsRequestMessage} message - The message object
        */
       function primmaryProcessMessageHandler (message) {
         switch (message.type) {
@@ -133,9 +195,21 @@ export function startWorkerProcess ({
             break
           case 'routingtable':
             // Update the routing table
-            if (message.routingTable) { routingTable = message.routingTable }
+            if (message.routingTable) {
+              // Compile the routing table once so that matching a request doesn't scan every route
+              routingTable = message.routingTable
+              compiledRoutingTable = compileRoutingTable(routingTable)
+            }
             logger.debug({ routingTable: message.routingTable }, `${LOG_PREFIX} Routing table updated`)
             break
+          case 'targetshealth':
+            // Exclude the unhealthy targets from load balancing
+            setUnhealthyTargets(message.unhealthyTargets)
+            logger.debug({ unhealthyTargets: message.unhealthyTargets }, `${LOG_PREFIX} Targets health updated`)
+            break
+          case 'cachepurge':
+            logger.debug({ filter: message.filter, purgedEntries: purgeMemoryCache(message.filter) }, `${LOG_PREFIX} Cache purged`)
+            break
           case 'prom-client:getMetricsReq':
             logger.debug({ message }, `${LOG_PREFIX} Received request for metrics from the primary process`)
             break
@@ -202,7 +276,7 @@ export const postTransactionProcessor = async (job) => {
 
 /** @typedef {TransactionMetadata & RequestMetadata & TargetMetadata &  ResponseMetadata} Transaction */
 
-/** @typedef {'fetch_failed'|'timeout'|'route_match'|'middleware_cancelled'|string} TransactionCancellationReason */
+/** @typedef {'fetch_failed'|'timeout'|'route_match'|'no_target'|'circuit_open'|'ip_denied'|'rate_limited'|'middleware_cancelled'|string} TransactionCancellationReason */
 
 /**
  * @typedef {object} TransactionMetadata
@@ -211,7 +285,7 @@ export const postTransactionProcessor = async (job) => {
  * @property {boolean} [transaction_cancelled] - The transaction cancelled status
  * @property {TransactionCancellationReason} [transaction_cancellation_reason] - The transaction cancellation reason
  * @property {import('./libs/routing-table.js').TargetType} [target_type] - The target type
- * @property {'no-cache'|'match'|'miss'} [transaction_cache] - The transaction cache status
+ * @property {'no-cache'|'match'|'miss'|'stale'} [transaction_cache] - The transaction cache status
  * @property {string} [transaction_end] - The transaction end time
  * @property {number} [transaction_duration] - The transaction duration
  * @property {string} [transaction_resolving_start] - The resolving start time
@@ -233,6 +307,8 @@ export const postTransactionProcessor = async (job) => {
  * @property {string} [request_method] - The request method
  * @property {string} [request_url] - The request URL
  * @property {string} [request_user_agent] - The user agent
+ * @property {string} [request_user] - The authenticated user
+ * @property {string} [request_consumer] - The consumer of the API key authenticating the request
  * @property {number} [request_bytes] - The number of bytes in the request
  */
 
@@ -240,7 +316,19 @@ export const postTransactionProcessor = async (job) => {
  * @typedef {object} TargetMetadata
  * @property {string} [target_request_start] - The target request start time
  * @property {string} [target_request_end] - The target request end time
- * @property {number} [target_request_duration] - The target request duration
+ * @property {number} [target_request_duration] - The target request duration, including the retries
+ * @property {number} [target_request_retries] - The number of retries
+ * @property {TargetRequestAttempt[]} [target_request_attempts] - The failed attempts that were retried
+ */
+
+/**
+ * @typedef {object} TargetRequestAttempt
+ * @property {number} attempt - The attempt number, starting at 1
+ * @property {string} target_url - The target URL
+ * @property {string} target_request_start - The attempt start time
+ * @property {number} target_request_duration - The attempt duration
+ * @property {string} retry_reason - The reason of the retry ('fetch_failed', 'timeout' or 'status_<code>')
+ * @property {number} retry_delay - The delay in ms before the next attempt
  */
 
 /**
@@ -264,7 +352,7 @@ async function requestHandler (request, server) {
     transaction_start: new Date().toISOString()
   }
   try {
-    const url = new URL(request.url)
+    let url = new URL(request.url)
 
     if (!server) {
       throw new Error('Server instance is not available',
@@ -278,7 +366,8 @@ async function requestHandler (request, server) {
         new ProxyErrorCause('Failed to get the client IP address', { request }, new Error('Failed to get the client IP address'))
       )
     }
-    transaction.request_client_ip = requestedIp.address
+    const clientIp = getClientIp(requestedIp.address, request.headers, isTrustedProxy)
+    transaction.request_client_ip = clientIp
     transaction.request_method = request.method
     transaction.request_url = request.url
     transaction.request_user_agent = String(request.headers.get('user-agent'))
@@ -286,111 +375,112 @@ async function requestHandler (request, server) {
 
     /** @type {Response} */
     let response = new Response('Unknown error', { status: 500 })
+    /**
+     * The values shared by the middlewares
+     * @type {Record<string, any>}
+     */
+    const middlewareContext = {}
 
     // TODO: Execute custom resolver
     transaction.transaction_resolving_start = new Date().toISOString()
+    // Match the preflight requests as the requests they announce, so that they reach the routes restricted to some methods
+    const preflight = isPreflightRequest(request)
+    const origin = request.headers.get('Origin')
     // Find the route that matches the request
-    const route = matchRoute(url.hostname, url.pathname)
+    const routeMatch = matchRoute(url.hostname, url.pathname, {
+      method: preflight ? String(request.headers.get('Access-Control-Request-Method')).toUpperCase() : request.method,
+      headers: request.headers,
+      query: url.searchParams,
+      clientIp
+    })
+    const route = routeMatch?.route
+    // The preflight requests of the routes with a CORS policy are answered by the proxy
+    const corsPreflight = preflight && route?.cors !== undefined
+    // Apply the global and route IP filters before selecting a target
+    const ipAllowed = (!globalIpFilter || isIpAllowed(globalIpFilter, clientIp)) &&
+      (!route?.ipFilter || isIpAllowed(route.ipFilter, clientIp))
+    // Select the target according to the route load balancing strategy
+    let target = route && ipAllowed && !corsPreflight ? await selectTarget({ route, request, clientIp }) : null
     transaction.transaction_resolving_end = new Date().toISOString()
     transaction.transaction_resolving_duration = new Date(transaction.transaction_resolving_end).getTime() - new Date(transaction.transaction_resolving_start).getTime()
 
-    if (!route) {
+    if (!ipAllowed) {
+      response = new Response('Forbidden', { status: 403 })
+      transaction.transaction_cancelled = true
+      transaction.transaction_cancellation_reason = 'ip_denied'
+    } else if (!routeMatch || !route) {
       /** @type {Response} */
       response = new Response('Route not found', { status: 404 })
       transaction.transaction_cancelled = true
       transaction.transaction_cancellation_reason = 'route_match'
+    } else if (corsPreflight && route.cors) {
+      response = getPreflightResponse(request, route.cors)
+    } else if (!target) {
+      response = new Response('No target available', { status: 503 })
+      transaction.transaction_cancelled = true
+      // Fail fast when the targets are skipped because their circuit is open
+      transaction.transaction_cancellation_reason = route.targets.some(routeTarget => getCircuitState(getTargetKey(routeTarget)) !== 'closed')
+        ? 'circuit_open'
+        : 'no_target'
     } else {
-      /** @type {import('./libs/routing-table.js').Target} */
-      let target
-
-      if (route.loadBalancingStrategy) {
-        switch (route?.loadBalancingStrategy?.type) {
-          case 'random':
-            target = route.targets[Math.floor(Math.random() * route.targets.length)]
-            break
-          default:
-            logger.warn({ route }, 'Unknown load balancing strategy, using default')
-            target = route.targets[Math.floor(Math.random() * route.targets.length)]
-        }
-      } else {
-        logger.debug({ route }, 'No load balancing strategy defined, using default')
-        target = route.targets[Math.floor(Math.random() * route.targets.length)]
-      }
-
       let authenticated = false
+      /** @type {import('./libs/jwt.js').JwtClaims|undefined} */
+      let claims
+      /** @type {string|undefined} */
+      let apiKeyHash
 
-      // TODO: Implement cache strategy
       transaction.transaction_cache = 'no-cache'
 
-      // Execute pre-processing middleware
-      // Only do this after the route is resolved and cache is checked
-      if (route?.middlewares?.preProcessing && route.middlewares.preProcessing.length > 0) {
-        transaction.transaction_preprocessing_start = new Date().toISOString()
-        let shouldCancel = false
-        for (const middlewareKey of route.middlewares.preProcessing) {
-          const middlewareFindResult = registeredMiddlewares.preProcessing.find(m => m.key === middlewareKey)
-          if (middlewareFindResult) {
-            /** @type {PreProcessingMiddleware} */
-            const middleware = middlewareFindResult
-            if (middleware.handler) {
-              const middlewareHandler = middleware.handler
-              /** @type {PreProcessingMiddlewareState} */
-              const initialState = {
-                transaction,
-                headers: request.headers.toJSON(),
-                body: request.body,
-                action: 'next'
-              }
-              /** @type {PreProcessingMiddlewareState} */
-              const updatedState = await middlewareHandler(initialState)
-              switch (updatedState?.action) {
-                case 'cancel':
-                  logger.debug({ middlewareKey }, 'Middleware cancelled the transaction')
-                  transaction.transaction_cancelled = true
-                  transaction.transaction_cancellation_reason = updatedState.cancellationReason || `Cancelled by ${middlewareKey}`
-                  response = new Response('Request cancelled', { status: 400 })
-                  shouldCancel = true
-                  break
-                case 'next':
-                  // Remove all request headers
-                  request.headers.forEach((value, key) => {
-                    request.headers.delete(key)
-                  })
-                  // Add the updated headers
-                  updatedState.headers.forEach((value, key) => {
-                    request.headers.set(key, value)
-                  })
-                  logger.debug({ middlewareKey }, 'Middleware passed the transaction')
-                  break
-                default:
-                  logger.warn({ middlewareKey }, 'Unknown middleware action')
-                  break
-              }
-            } else {
-              logger.warn({ middlewareKey }, 'Middleware not found')
-            }
-          }
-          if (shouldCancel) {
-            break
-          }
-        }
-        transaction.transaction_preprocessing_end = new Date().toISOString()
-        transaction.transaction_preprocessing_duration = new Date(transaction.transaction_preprocessing_end).getTime() - new Date(transaction.transaction_preprocessing_start).getTime()
-      } else {
-        transaction.transaction_preprocessing_duration = 0
-      }
+      // Reject the client IPs exceeding the failed authentications limit before their credentials are verified
+      let rateLimit = await checkAuthenticationRateLimit({ route, request, clientIp })
 
-      if (route.authenticationStrategy) {
+      // Authenticate the request before the pre-processing middlewares, so that they get the authenticated identity
+      if (rateLimit && !rateLimit.allowed) {
+        logger.debug({ clientIp }, 'Too many failed authentications, the credentials are not verified')
+      } else if (route.authenticationStrategy) {
         /** @type {null|Response} */
         let authResponse = null
         switch (route.authenticationStrategy.type) {
           case 'anonymous':
             break
-          case 'basic':
-            authResponse = basicAuthenticationMiddleware({
-              req: request,
-              validUser: route.authenticationStrategy.username,
-              validPassword: route.authenticationStrategy.password
+          case 'basic': {
+            const basicAuthentication = await basicAuthenticationMiddleware({
+              request,
+              url,
+              strategy: route.authenticationStrategy
+            })
+            authResponse = basicAuthentication.response
+            transaction.request_user = basicAuthentication.username
+            break
+          }
+          case 'jwt': {
+            const jwtAuthentication = await jwtAuthenticationMiddleware({
+              request,
+              strategy: route.authenticationStrategy
+            })
+            authResponse = jwtAuthentication.response
+            claims = jwtAuthentication.claims
+            break
+          }
+          case 'api-key': {
+            const apiKeyAuthentication = await apiKeyAuthenticationMiddleware({
+              request,
+              url,
+              strategy: route.authenticationStrategy
+            })
+            authResponse = apiKeyAuthentication.response
+            transaction.request_consumer = apiKeyAuthentication.consumer
+            apiKeyHash = apiKeyAuthentication.keyHash
+            // Record the URL without the API key sent in the query string
+            transaction.request_url = url.href
+            break
+          }
+          case 'forward-auth':
+            authResponse = await forwardAuthentication({
+              request,
+              url,
+              clientIp,
+              strategy: route.authenticationStrategy
             })
             break
           default:
@@ -400,78 +490,137 @@ async function requestHandler (request, server) {
         if (authResponse) {
           response = authResponse
           authenticated = false
+          // The failed authentications use up the rate limit of the client IP
+          rateLimit = await countFailedAuthentication({ route, request, clientIp })
         } else {
           authenticated = true
+          // The request is counted by its own identity from now on
+          rateLimit = null
+          if (typeof claims?.sub === 'string') {
+            transaction.request_user = claims.sub
+          }
         }
       } else { // No authentication strategy
         authenticated = true
       }
 
-      if (authenticated) {
+      // Transform the request before the pre-processing middlewares, once authenticated so that the user is known
+      if (authenticated && (route.requestHeaders || route.requestQuery)) {
+        const templateVariables = getTemplateVariables({ url, method: request.method, routeMatch, clientIp, transaction })
+        if (route.requestHeaders) {
+          transformHeaders(request.headers, route.requestHeaders, templateVariables)
+        }
+        if (route.requestQuery) {
+          transformQuery(url.searchParams, route.requestQuery, templateVariables)
+        }
+      }
+
+      // Execute pre-processing middleware
+      // Only do this after the route is resolved
+      /** @type {Response|undefined} */
+      let preProcessingResponse
+      if (authenticated && route?.middlewares?.preProcessing && route.middlewares.preProcessing.length > 0) {
+        transaction.transaction_preprocessing_start = new Date().toISOString()
+        const preProcessing = await executePreProcessingMiddlewares({
+          routeMiddlewares: route.middlewares.preProcessing,
+          middlewares: registeredMiddlewares.preProcessing,
+          request,
+          url,
+          route,
+          target,
+          claims,
+          context: middlewareContext,
+          transaction
+        })
+        request = preProcessing.request
+        url = preProcessing.url
+        target = preProcessing.target
+        preProcessingResponse = preProcessing.response
+        transaction.transaction_preprocessing_end = new Date().toISOString()
+        transaction.transaction_preprocessing_duration = new Date(transaction.transaction_preprocessing_end).getTime() - new Date(transaction.transaction_preprocessing_start).getTime()
+      } else {
+        transaction.transaction_preprocessing_duration = 0
+      }
+      // The path changed by a middleware is forwarded whole when it is outside the matched route prefix
+      const targetMatch = url.pathname.startsWith(routeMatch.prefix) ? routeMatch : { ...routeMatch, prefix: '' }
+
+      // Count the request against the route rate limit, once authenticated so that requests can be counted by user
+      if (authenticated && !preProcessingResponse) {
+        rateLimit = await checkRateLimit({ route, request, clientIp, user: transaction.request_user || transaction.request_consumer, apiKeyHash })
+      }
+      if (preProcessingResponse) {
+        response = preProcessingResponse
+      } else if (rateLimit && !rateLimit.allowed) {
+        response = new Response('Too many requests', { status: 429 })
+        transaction.transaction_cancelled = true
+        transaction.transaction_cancellation_reason = 'rate_limited'
+      } else if (authenticated) {
         transaction.target_type = target.type
 
-        // Serve the target URL
-        if (target.type === 'forward') {
-          const targetPath = url.pathname.replace(route.path, '')
-          // Build the target URL preserving the path and query string
-          const targetUrl = `${target.url}${targetPath}${url.search}`
-          const targetHost = new URL(target.url).host
-          // Create a new request object with the target URL
-          const proxyRequest = new Request(targetUrl, {
-            method: request.method,
-            headers: request.headers,
-            body: request.body
+        // The target serving the request, which differs from the selected target when retried on another target
+        let servedTarget = target
+
+        // Serve the target URL, from the cache if possible
+        // The cache is checked after the authentication so that cached responses are protected too
+        const cacheable = target.type === 'forward' &&
+          (route.cacheStrategy?.type === 'basic' || route.cacheStrategy?.type === 'redis') &&
+          isCacheableRequest(request)
+        const cachedResponse = cacheable ? await getCachedResponse(request, route) : null
+        if (cachedResponse?.freshness === 'fresh') {
+          transaction.transaction_cache = 'match'
+          response = cachedResponse.response
+        } else if (cachedResponse?.freshness === 'stale-while-revalidate' && target.type === 'forward') {
+          // Serve the stale response without waiting for the target, and refresh it in the background
+          transaction.transaction_cache = 'stale'
+          response = cachedResponse.response
+          revalidateCachedResponse({
+            request,
+            url,
+            route,
+            routeMatch: targetMatch,
+            target,
+            clientIp,
+            key: cachedResponse.key
           })
-          // TODO: Make the user agent configurable
-          proxyRequest.headers.set('User-Agent', `${pck.name}/${pck.version}`)
-          // Add host header to the request
-          proxyRequest.headers.set('host', targetHost)
-
-          // See: https://bun.sh/blog/bun-v1.1.27#per-request-timeouts
-          const controller = new AbortController()
-          const timeoutId = setTimeout(function () {
-            controller.abort()
-          }, route.timeout || Number(env.MAEGASHIRA_TIMEOUT) || 5000)
-
-          /** @type {Response} */
-          let proxyResponse
-          try {
-            transaction.target_request_start = new Date().toISOString()
-            // Execute the request
-            proxyResponse = await fetch(proxyRequest, {
-              // TODO: Fix verbose not being recognized
-              // @ts-ignore
-              verbose: logLevel === 'debug',
-              signal: controller.signal,
-              redirect: 'follow',
-              follow: 20
-            })
-            transaction.target_request_end = new Date().toISOString()
-            transaction.target_request_duration = new Date(transaction.target_request_end).getTime() - new Date(transaction.target_request_start).getTime()
-            // Clear the timeout when the response is received
-            clearTimeout(timeoutId)
-            // TODO: Make cors configurable
-            proxyResponse.headers.set('Access-Control-Allow-Origin', '*')
-            proxyResponse.headers.set('Access-Control-Allow-Methods', '*') // 'GET, POST, PUT, DELETE, OPTIONS')
-
-            // Adjust the content-encoding header to avoid compression issues
-            proxyResponse.headers.set('content-encoding', 'identity')
-            response = proxyResponse
-          } catch (error) {
-            // @ts-ignore
-            if (error?.name === 'AbortError') {
-              logger.debug({ transaction }, 'Request timed out')
-              transaction.transaction_cancelled = true
-              transaction.transaction_cancellation_reason = 'timeout'
-              response = new Response('Request timed out', { status: 504 })
-            } else {
-              transaction.transaction_cancelled = true
-              transaction.transaction_cancellation_reason = 'fetch_failed'
-              response = new Response('Failed to fetch the target URL', { status: 500 })
+        } else if (target.type === 'forward') {
+          const forwardResult = await forwardRequest({
+            request,
+            url,
+            route,
+            routeMatch: targetMatch,
+            target,
+            clientIp,
+            transaction
+          })
+          response = forwardResult.response
+          servedTarget = forwardResult.target
+          if (cacheable && transaction.transaction_cancelled && cachedResponse?.freshness === 'stale-if-error') {
+            // Serve the stale response instead of the error, the cancellation reason telling why
+            transaction.transaction_cache = 'stale'
+            response = cachedResponse.response
+          } else if (cacheable) {
+            transaction.transaction_cache = 'miss'
+            if (!transaction.transaction_cancelled) {
+              response = await storeCachedResponse(request, response, route)
             }
           }
         }
 
+        // Redirect to the target URL
+        if (target.type === 'redirect') {
+          const redirectUrl = buildRedirectUrl({
+            requestUrl: url,
+            target,
+            pathMatch: targetMatch
+          })
+          response = new Response(null, {
+            status: target.status || 302,
+            headers: {
+              Location: redirectUrl.href
+            }
+          })
+        }
+
         // Serve static files
         if (target.type === 'static') {
           // Check if we have to include the index file
@@ -487,18 +636,49 @@ async function requestHandler (request, server) {
             response = new Response(staticFile)
           }
         }
+
+        // Pin the client to the target for the sticky cookie strategy, unless the target failed
+        const affinityCookie = getAffinityCookie({ route, request }, servedTarget)
+        if (affinityCookie && response.status < 500) {
+          response.headers.append('Set-Cookie', affinityCookie)
+        }
+      }
+
+      if (rateLimit) {
+        for (const [name, value] of Object.entries(getRateLimitHeaders(rateLimit))) {
+          response.headers.set(name, value)
+        }
       }
     }
 
     // Execute post-processing middleware
-    if (route?.middlewares?.postProcessing) {
+    if (route?.middlewares?.postProcessing && route.middlewares.postProcessing.length > 0) {
       transaction.transaction_postprocessing_start = new Date().toISOString()
+      response = await executePostProcessingMiddlewares({
+        routeMiddlewares: route.middlewares.postProcessing,
+        middlewares: registeredMiddlewares.postProcessing,
+        response,
+        context: middlewareContext,
+        transaction
+      })
       transaction.transaction_postprocessing_end = new Date().toISOString()
       transaction.transaction_postprocessing_duration = new Date(transaction.transaction_postprocessing_end).getTime() - new Date(transaction.transaction_postprocessing_start).getTime()
     } else {
       transaction.transaction_postprocessing_duration = 0
     }
 
+    // Apply the CORS policy and transform the response headers after the post-processing middlewares
+    if (routeMatch && route && ((route.cors && !corsPreflight) || route.responseHeaders)) {
+      // Copy the response, whose headers may be immutable
+      response = new Response(response.body, response)
+      if (route.cors && !corsPreflight) {
+        applyCorsHeaders(response.headers, route.cors, origin)
+      }
+      if (route.responseHeaders) {
+        transformHeaders(response.headers, route.responseHeaders, getTemplateVariables({ url, method: request.method, routeMatch, clientIp, transaction }))
+      }
+    }
+
     transaction.transaction_end = new Date().toISOString()
     transaction.transaction_duration = new Date(transaction.transaction_end).getTime() - new Date(transaction.transaction_start).getTime()
     if (transaction.target_request_duration) {
@@ -521,6 +701,9 @@ async function requestHandler (request, server) {
     }
 
     responsesCodesCounter.inc({ code: response.status })
+    if (transaction.request_consumer) {
+      consumerResponsesCodesCounter.inc({ consumer: transaction.request_consumer, code: response.status })
+    }
 
     return response
   } catch (error) {
@@ -538,73 +721,244 @@ async function requestHandler (request, server) {
 }
 
 /**
- * @function matchRoute
- * @description Match the route based on the hostname and path
- * @param {string} hostname - The hostname
- * @param {string} path - The path
- * @returns {import('./libs/routing-table.js').Route|null} The matched route
- * @throws {RoutingError} If the route matching failed
- * @see https://bun.red/docs/api/glob
+ * The idempotent methods retried by default
+ * @type {string[]}
  */
-export function matchRoute (hostname, path) {
-  try {
-    logger.debug({ host: hostname, path, routingTable }, 'Match the route')
-    for (const route of routingTable) {
-      if (route.hostname === hostname && path.startsWith(route.path)) {
-        return route
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE']
+
+/**
+ * @typedef {object} ForwardResult
+ * @property {Response} response - The response to the request
+ * @property {import('./libs/routing-table.js').ForwardTarget} target - The target that served the response
+ */
+
+/**
+ * @typedef {object} TargetFetchResult
+ * @property {Response} response - The target response, or the error response if the request failed
+ * @property {'fetch_failed'|'timeout'|'circuit_open'} [failureReason] - The reason of the failure, undefined if the target responded
+ */
+
+/**
+ * @function forwardRequest
+ * @description Forward a request to a target, retrying according to the route retry strategy
+ * The request body is buffered when the request can be retried, so that it can be sent again.
+ * @param {object} options - The options
+ * @param {Request} options.request - The incoming request
+ * @param {URL} options.url - The incoming request URL
+ * @param {import('./libs/routing-table.js').Route} options.route - The matched route
+ * @param {import('./libs/route-matcher.js').RouteMatch} options.routeMatch - The matched path prefix and parameters
+ * @param {import('./libs/routing-table.js').ForwardTarget} options.target - The selected target
+ * @param {string} options.clientIp - The client IP address
+ * @param {Transaction} options.transaction - The transaction
+ * @returns {Promise<ForwardResult>} The response and the target that served it
+ */
+export async function forwardRequest ({ request, url, route, routeMatch, target, clientIp, transaction }) {
+  const retryStrategy = route.retryStrategy?.type === 'fixed' || route.retryStrategy?.type === 'exponential'
+    ? route.retryStrategy
+    : undefined
+  const retryable = retryStrategy && (retryStrategy.methods || IDEMPOTENT_METHODS)
+    .some(method => method.toUpperCase() === request.method)
+  const maxAttempts = retryStrategy && retryable ? retryStrategy.maxAttempts || 3 : 1
+  const body = maxAttempts > 1 && request.body ? await request.arrayBuffer() : request.body
+
+  let currentTarget = target
+  /** @type {import('./libs/routing-table.js').Target[]} */
+  const triedTargets = []
+  for (let attempt = 1; ; attempt++) {
+    const attemptStart = new Date().toISOString()
+    const { response, failureReason } = await fetchTarget({ request, url, route, routeMatch, target: currentTarget, body, transaction })
+    const retryReason = failureReason ||
+      (retryStrategy?.retryOnStatuses?.includes(response.status) ? `status_${response.status}` : undefined)
+    const shouldRetry = retryStrategy !== undefined && attempt < maxAttempts && retryReason !== undefined &&
+      !(failureReason === 'fetch_failed' && retryStrategy.retryOnConnectionError === false) &&
+      !(failureReason === 'timeout' && retryStrategy.retryOnTimeout === false)
+
+    if (!shouldRetry) {
+      if (failureReason) {
+        transaction.transaction_cancelled = true
+        transaction.transaction_cancellation_reason = failureReason
+      }
+      return { response, target: currentTarget }
+    }
+
+    // Record the failed attempt and discard its response
+    const delay = retryStrategy.type === 'exponential'
+      ? Math.min((retryStrategy.delay ?? 100) * 2 ** (attempt - 1), retryStrategy.maxDelay ?? 2000)
+      : retryStrategy.delay ?? 100
+    transaction.target_request_retries = (transaction.target_request_retries || 0) + 1
+    transaction.target_request_attempts = [...(transaction.target_request_attempts || []), {
+      attempt,
+      target_url: currentTarget.url,
+      target_request_start: attemptStart,
+      target_request_duration: Date.now() - new Date(attemptStart).getTime(),
+      retry_reason: retryReason,
+      retry_delay: delay
+    }]
+    logger.debug({ transaction_id: transaction.transaction_id, attempt, retryReason, delay }, 'Retrying the target request')
+    await response.body?.cancel()
+    await sleep(delay)
+
+    if (retryStrategy.differentTarget !== false) {
+      triedTargets.push(currentTarget)
+      const nextTarget = await selectTarget({ route, request, clientIp, excludedTargets: triedTargets })
+      if (nextTarget?.type === 'forward') {
+        currentTarget = nextTarget
       }
     }
-    return null
-  } catch (error) {
-    throw new RoutingError('Failed to match the route',
-      new ProxyErrorCause('Failed to match the route', { hostname, path }, error)
-    )
   }
 }
 
-class RoutingError extends ProxyError { }
+/**
+ * The variant keys of the cached responses being refreshed by this worker
+ * @type {Set<string>}
+ */
+const revalidatingResponses = new Set()
 
 /**
- * @function basicAuthenticationMiddleware
- * @description Basic authentication middleware
+ * @function revalidateCachedResponse
+ * @description Refresh a stale cached response in the background, a response being refreshed once at a time
  * @param {object} options - The options
- * @param {Request} options.req - The incoming request
- * @param {string} options.validUser - The valid user
- * @param {string} options.validPassword - The valid password
- * @returns {null|Response} The response if the authentication failed
+ * @param {Request} options.request - The incoming request
+ * @param {URL} options.url - The incoming request URL
+ * @param {import('./libs/routing-table.js').Route} options.route - The matched route
+ * @param {import('./libs/route-matcher.js').RouteMatch} options.routeMatch - The matched path prefix and parameters
+ * @param {import('./libs/routing-table.js').ForwardTarget} options.target - The selected target
+ * @param {string} options.clientIp - The client IP address
+ * @param {string} options.key - The variant key of the cached response
  */
-function basicAuthenticationMiddleware ({
-  req,
-  validUser,
-  validPassword
-}) {
-  // TODO: Generate a dynamic realm based on the hostname
-  const url = new URL(req.url)
-  const realm = url.hostname
-  const authorizationHeader = req.headers.get('Authorization')
-  if (!authorizationHeader) {
-    return new Response('Not authorized', {
-      headers: {
-        'WWW-Authenticate': `Basic realm="${realm}"`
-      },
-      status: 401
+function revalidateCachedResponse ({ request, url, route, routeMatch, target, clientIp, key }) {
+  if (revalidatingResponses.has(key)) {
+    return
+  }
+  revalidatingResponses.add(key)
+  // HEAD requests are served from the cached GET responses
+  const revalidationRequest = new Request(request.url, { method: 'GET', headers: request.headers })
+  /** @type {Transaction} */
+  const transaction = {
+    transaction_id: randomUUID(),
+    transaction_start: new Date().toISOString()
+  }
+  forwardRequest({ request: revalidationRequest, url, route, routeMatch, target, clientIp, transaction })
+    .then(async ({ response }) => {
+      const revalidatedResponse = transaction.transaction_cancelled
+        ? response
+        : await storeCachedResponse(revalidationRequest, response, route)
+      await revalidatedResponse.body?.cancel()
+      logger.debug({ transaction }, 'Cached response revalidated')
+    })
+    .catch(error => {
+      logger.warn({ error, transaction }, 'Failed to revalidate the cached response')
     })
+    .finally(() => {
+      revalidatingResponses.delete(key)
+    })
+}
+
+/**
+ * @function fetchTarget
+ * @description Send a request to a forward target, recording the result for the circuit breaker
+ * @param {object} options - The options
+ * @param {Request} options.request - The incoming request
+ * @param {URL} options.url - The incoming request URL
+ * @param {import('./libs/routing-table.js').Route} options.route - The matched route
+ * @param {import('./libs/route-matcher.js').RouteMatch} options.routeMatch - The matched path prefix and parameters
+ * @param {import('./libs/routing-table.js').ForwardTarget} options.target - The target
+ * @param {ArrayBuffer|ReadableStream|null} options.body - The request body, buffered if the request can be retried
+ * @param {Transaction} options.transaction - The transaction
+ * @returns {Promise<TargetFetchResult>} The target response or the error response
+ */
+async function fetchTarget ({ request, url, route, routeMatch, target, body, transaction }) {
+  // Reserve the request, another request may have taken the trial slot of the circuit since the target was selected
+  if (route.circuitBreaker && !startCircuitRequest(getTargetKey(target))) {
+    return { response: new Response('No target available', { status: 503 }), failureReason: 'circuit_open' }
   }
-  const encodedAuthorizationString = authorizationHeader.split(' ')[1]
-  const decodedAuthorizationString = atob(encodedAuthorizationString)
-  const requestUser = decodedAuthorizationString.split(':')[0]
-  const requestPassword = decodedAuthorizationString.split(':')[1]
-  if (requestUser !== validUser || requestPassword !== validPassword) {
-    return new Response('Not authorized', {
-      headers: {
-        'WWW-Authenticate': `Basic realm="${realm}"`
-      },
-      status: 401
+  // Build the target URL preserving the path and query string
+  const targetUrl = buildForwardUrl({
+    requestUrl: url,
+    targetUrl: target.url,
+    pathMatch: routeMatch,
+    rewrite: target.rewrite || route.rewrite
+  })
+  const targetHost = targetUrl.host
+  // Create a new request object with the target URL
+  const proxyRequest = new Request(targetUrl, {
+    method: request.method,
+    headers: request.headers,
+    body
+  })
+  // TODO: Make the user agent configurable
+  proxyRequest.headers.set('User-Agent', `${pck.name}/${pck.version}`)
+  // Add host header to the request
+  proxyRequest.headers.set('host', targetHost)
+
+  // See: https://bun.sh/blog/bun-v1.1.27#per-request-timeouts
+  const controller = new AbortController()
+  const timeoutId = setTimeout(function () {
+    controller.abort()
+  }, route.timeout || Number(env.MAEGASHIRA_TIMEOUT) || 5000)
+
+  // Track the in-flight requests for the least connections strategy
+  startTargetRequest(target)
+  try {
+    transaction.target_request_start = transaction.target_request_start || new Date().toISOString()
+    // Execute the request
+    const proxyResponse = await fetch(proxyRequest, {
+      // TODO: Fix verbose not being recognized
+      // @ts-ignore
+      verbose: logLevel === 'debug',
+      signal: controller.signal,
+      redirect: 'follow',
+      follow: 20
     })
+    transaction.target_request_end = new Date().toISOString()
+    transaction.target_request_duration = new Date(transaction.target_request_end).getTime() - new Date(transaction.target_request_start).getTime()
+    // Adjust the content-encoding header to avoid compression issues
+    proxyResponse.headers.set('content-encoding', 'identity')
+    if (route.circuitBreaker) {
+      recordCircuitResult(getTargetKey(target), route.circuitBreaker, true)
+    }
+    return { response: proxyResponse }
+  } catch (error) {
+    if (route.circuitBreaker) {
+      recordCircuitResult(getTargetKey(target), route.circuitBreaker, false)
+    }
+    // @ts-ignore
+    if (error?.name === 'AbortError') {
+      logger.debug({ transaction }, 'Request timed out')
+      return { response: new Response('Request timed out', { status: 504 }), failureReason: 'timeout' }
+    }
+    return { response: new Response('Failed to fetch the target URL', { status: 500 }), failureReason: 'fetch_failed' }
+  } finally {
+    // Clear the timeout when the response is received or the request failed
+    clearTimeout(timeoutId)
+    endTargetRequest(target)
   }
-  return null
 }
 
+/**
+ * @function matchRoute
+ * @description Match the route based on the hostname, path and route match conditions
+ * Routes are evaluated by priority: explicit priority, exact hostnames before wildcards, then longest paths first.
+ * @param {string} hostname - The hostname
+ * @param {string} path - The path
+ * @param {import('./libs/route-matcher.js').RequestContext} context - The request method, headers, query and client IP
+ * @returns {import('./libs/route-matcher.js').RouteMatch|null} The matched route and its path parameters
+ * @throws {RoutingError} If the route matching failed
+ * @see https://bun.sh/docs/api/glob
+ */
+export function matchRoute (hostname, path, context) {
+  try {
+    logger.debug({ host: hostname, path }, 'Match the route')
+    return findRoute(compiledRoutingTable, hostname, path, context)
+  } catch (error) {
+    throw new RoutingError('Failed to match the route',
+      new ProxyErrorCause('Failed to match the route', { hostname, path, method: context.method, clientIp: context.clientIp }, error)
+    )
+  }
+}
+
+class RoutingError extends ProxyError { }
+
 class WorkerProcessStartError extends ProxyError { }
 class WorkerProcessStopError extends ProxyError { }
 class ProxyRequestError extends ProxyError { }
@@ -0,0 +1,21 @@
+import { test, expect } from 'bun:test'
+import { hashApiKey, verifyApiKey } from '../src/libs/api-keys.js'
+
+test('API keys are verified against their hashes and expiry', async () => {
+  /** @type {import('../src/libs/routing-table.js').ApiKeyAuthenticationStrategy} */
+  const strategy = {
+    type: 'api-key',
+    keys: [
+      { hash: hashApiKey('key-a'), consumer: 'consumer-a' },
+      { hash: hashApiKey('key-b').toUpperCase(), consumer: 'consumer-b', expiresAt: '2100-01-01T00:00:00Z' },
+      { hash: hashApiKey('key-c'), consumer: 'consumer-c', expiresAt: '2000-01-01T00:00:00Z' }
+    ]
+  }
+  expect(hashApiKey('secret')).toBe('2bb80d537b1da3e38bd30361aa855686bde0eacd7162fef6a25fe97bf527a25b')
+  expect(await verifyApiKey('key-a', strategy)).toBe('consumer-a')
+  expect(await verifyApiKey('key-b', strategy)).toBe('consumer-b')
+  expect(await verifyApiKey('key-c', strategy)).toBeNull()
+  expect(await verifyApiKey('unknown', strategy)).toBeNull()
+  // Redis is not connected, the key is unknown
+  expect(await verifyApiKey('unknown', { ...strategy, redis: true })).toBeNull()
+})
@@ -0,0 +1,28 @@
+import { test, expect, beforeAll, afterAll } from 'bun:test'
+import { startApi, stopApi, apiRequestHandler } from '../src/libs/api.js'
+
+beforeAll(() => {
+  startApi({ enabled: true, port: 0, hostname: 'localhost', key: 'secret' })
+})
+
+afterAll(() => {
+  stopApi()
+})
+
+/**
+ * @param {string} body - The request body
+ * @returns {Promise<Response>} The response of the purge endpoint
+ */
+const purge = (body) => apiRequestHandler(new Request('http://localhost/cache/purge', {
+  method: 'POST',
+  headers: { Authorization: 'Bearer secret', 'Content-Type': 'application/json' },
+  body
+}))
+
+test('cache purges with a malformed body are rejected', async () => {
+  expect((await purge('{"url":')).status).toBe(400)
+  expect((await purge('null')).status).toBe(400)
+  expect((await purge('{}')).status).toBe(400)
+  // Redis is not connected, only the memory caches are purged
+  expect(await (await purge('{"url":"http://localhost/"}')).json()).toEqual({ purged: 0 })
+})
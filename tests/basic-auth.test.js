@@ -0,0 +1,105 @@
+import { test, expect, afterAll } from 'bun:test'
+import { password, write } from 'bun'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { rm } from 'node:fs/promises'
+import { basicAuthentication, parseBasicAuthorization, verifyBasicCredentials, hashApr1 } from '../src/libs/basic-auth.js'
+
+const htpasswdPath = join(tmpdir(), `maegashira-test-${process.pid}.htpasswd`)
+
+afterAll(async () => {
+  await rm(htpasswdPath, { force: true })
+})
+
+/**
+ * @param {string} credentials - The credentials to encode
+ * @returns {string} The basic authorization header
+ */
+const basic = (credentials) => `Basic ${Buffer.from(credentials).toString('base64')}`
+
+test('malformed authorization headers are rejected', () => {
+  expect(parseBasicAuthorization(basic('user:pass:word'))).toEqual({ username: 'user', password: 'pass:word' })
+  expect(parseBasicAuthorization(`basic  ${Buffer.from('user:').toString('base64')}`)).toEqual({ username: 'user', password: '' })
+  expect(parseBasicAuthorization(null)).toBeNull()
+  expect(parseBasicAuthorization('Bearer token')).toBeNull()
+  expect(parseBasicAuthorization('Basic')).toBeNull()
+  expect(parseBasicAuthorization('Basic not-base64!')).toBeNull()
+  expect(parseBasicAuthorization(basic('no-separator'))).toBeNull()
+  expect(parseBasicAuthorization(basic(':password'))).toBeNull()
+})
+
+test('credentials are verified against plain and hashed passwords', async () => {
+  /** @type {import('../src/libs/routing-table.js').BasicAuthenticationStrategy} */
+  const strategy = {
+    type: 'basic',
+    username: 'legacy',
+    password: 'legacy-password',
+    users: [
+      { username: 'bcrypt', password: await password.hash('bcrypt-password', { algorithm: 'bcrypt', cost: 4 }) },
+      { username: 'argon2', password: await password.hash('argon2-password') },
+      { username: 'sha512', password: '$6$salt$hash' },
+      { username: 'dollar', password: '$ecret$password' }
+    ]
+  }
+  expect(await verifyBasicCredentials(strategy, { username: 'legacy', password: 'legacy-password' })).toBe(true)
+  expect(await verifyBasicCredentials(strategy, { username: 'bcrypt', password: 'bcrypt-password' })).toBe(true)
+  expect(await verifyBasicCredentials(strategy, { username: 'argon2', password: 'argon2-password' })).toBe(true)
+  expect(await verifyBasicCredentials(strategy, { username: 'argon2', password: 'bcrypt-password' })).toBe(false)
+  // Unsupported hashes are never compared as plain text
+  expect(await verifyBasicCredentials(strategy, { username: 'sha512', password: '$6$salt$hash' })).toBe(false)
+  // The other passwords starting with "$" are plain text
+  expect(await verifyBasicCredentials(strategy, { username: 'dollar', password: '$ecret$password' })).toBe(true)
+  expect(await verifyBasicCredentials(strategy, { username: 'unknown', password: 'legacy-password' })).toBe(false)
+})
+
+test('users are loaded from htpasswd files', async () => {
+  await write(htpasswdPath, [
+    '# Users',
+    'sha:{SHA}W6ph5Mm5Pz8GgiULbPgzG37mj9g=',
+    `bcrypt:${await password.hash('secret', { algorithm: 'bcrypt', cost: 4 })}`,
+    'apr1:$apr1$saltsalt$yAAkm4libquA.ZWLHbSBq/',
+    // The crypt hashes are ignored, rather than compared as plain text
+    'crypt:rl0uE7iIGBJ3Y',
+    ''
+  ].join('\n'))
+  /** @type {import('../src/libs/routing-table.js').BasicAuthenticationStrategy} */
+  const strategy = { type: 'basic', htpasswd: htpasswdPath, realm: 'Admin' }
+  const url = new URL('http://localhost/admin')
+
+  const authorizedRequest = new Request(url, { headers: { Authorization: basic('sha:password') } })
+  expect(await basicAuthentication({ request: authorizedRequest, url, strategy })).toEqual({ response: null, username: 'sha' })
+  expect(await verifyBasicCredentials(strategy, { username: 'bcrypt', password: 'secret' })).toBe(true)
+  expect(await verifyBasicCredentials(strategy, { username: 'apr1', password: 'password' })).toBe(true)
+  expect(await verifyBasicCredentials(strategy, { username: 'apr1', password: 'secret' })).toBe(false)
+  expect(await verifyBasicCredentials(strategy, { username: 'crypt', password: 'rl0uE7iIGBJ3Y' })).toBe(false)
+
+  const unauthorizedRequest = new Request(url, { headers: { Authorization: basic('sha:wrong') } })
+  const { response } = await basicAuthentication({ request: unauthorizedRequest, url, strategy })
+  expect(response?.status).toBe(401)
+  expect(response?.headers.get('WWW-Authenticate')).toBe('Basic realm="Admin", charset="UTF-8"')
+
+  const { response: defaultRealmResponse } = await basicAuthentication({ request: unauthorizedRequest, url, strategy: { ...strategy, realm: undefined } })
+  expect(defaultRealmResponse?.headers.get('WWW-Authenticate')).toBe('Basic realm="localhost", charset="UTF-8"')
+})
+
+test('Apache MD5 hashes match the htpasswd ones', () => {
+  expect(hashApr1('password', 'saltsalt')).toBe('$apr1$saltsalt$yAAkm4libquA.ZWLHbSBq/')
+  expect(hashApr1('pässwörd with more than sixteen bytes', '3xY.z')).toBe('$apr1$3xY.z$Jc9kwMTePZTw3xMVePo2R/')
+})
+
+test('unknown users are verified against a dummy hash of the same cost', async () => {
+  /** @type {import('../src/libs/routing-table.js').BasicAuthenticationStrategy} */
+  const strategy = {
+    type: 'basic',
+    users: [{ username: 'bcrypt', password: await password.hash('secret', { algorithm: 'bcrypt', cost: 8 }) }]
+  }
+  // Hash the dummy password once
+  await verifyBasicCredentials(strategy, { username: 'unknown', password: 'secret' })
+  const start = performance.now()
+  expect(await verifyBasicCredentials(strategy, { username: 'unknown', password: 'secret' })).toBe(false)
+  const unknownUserDuration = performance.now() - start
+  const knownStart = performance.now()
+  expect(await verifyBasicCredentials(strategy, { username: 'bcrypt', password: 'wrong' })).toBe(false)
+  const knownUserDuration = performance.now() - knownStart
+  expect(unknownUserDuration).toBeGreaterThan(knownUserDuration / 4)
+})
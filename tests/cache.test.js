@@ -0,0 +1,146 @@
+import { test, expect, beforeEach } from 'bun:test'
+import { sleep } from 'bun'
+import { getCachedResponse, storeCachedResponse, purgeMemoryCache, clearCache } from '../src/libs/cache.js'
+import { getRouteKey } from '../src/libs/load-balancing.js'
+
+/**
+ * @param {number} ttl - The cache time-to-live in milliseconds
+ * @returns {import('../src/libs/routing-table.js').Route} A route with a basic cache strategy
+ */
+const cachedRoute = (ttl) => ({
+  hostname: 'localhost',
+  path: '',
+  cacheStrategy: { type: 'basic', ttl },
+  targets: [{ type: 'forward', url: 'http://localhost:3000' }]
+})
+
+beforeEach(() => {
+  clearCache()
+})
+
+test('responses are cached until they expire', async () => {
+  const route = cachedRoute(50)
+  const request = new Request('http://localhost/cached')
+  const response = await storeCachedResponse(request, new Response('cached body', { headers: { 'Content-Type': 'text/plain' } }), route)
+  expect(await response.text()).toBe('cached body')
+
+  for (let i = 0; i < 2; i++) {
+    const cachedResponse = await getCachedResponse(new Request('http://localhost/cached'), route)
+    expect(cachedResponse?.freshness).toBe('fresh')
+    expect(await cachedResponse?.response.text()).toBe('cached body')
+    expect(cachedResponse?.response.headers.get('content-type')).toBe('text/plain')
+    expect(cachedResponse?.response.headers.get('age')).toBe('0')
+  }
+  const headResponse = await getCachedResponse(new Request('http://localhost/cached', { method: 'HEAD' }), route)
+  expect(headResponse?.response.status).toBe(200)
+  expect(await getCachedResponse(new Request('http://localhost/cached', { headers: { 'Cache-Control': 'no-cache' } }), route)).toBeNull()
+
+  await sleep(60)
+  expect(await getCachedResponse(new Request('http://localhost/cached'), route)).toBeNull()
+})
+
+test('upstream cache headers are respected', async () => {
+  const route = cachedRoute(60000)
+  const store = (/** @type {string} */ path, /** @type {{[key: string]: string}} */ headers, status = 200) =>
+    storeCachedResponse(new Request(`http://localhost${path}`), new Response('body', { status, headers }), route)
+  await store('/no-store', { 'Cache-Control': 'no-store' })
+  await store('/private', { 'Cache-Control': 'private, max-age=60' })
+  await store('/max-age-0', { 'Cache-Control': 'max-age=0' })
+  await store('/expired', { Expires: 'Thu, 01 Jan 1970 00:00:00 GMT' })
+  await store('/cookie', { 'Set-Cookie': 'session=1' })
+  await store('/error', {}, 500)
+  for (const path of ['/no-store', '/private', '/max-age-0', '/expired', '/cookie', '/error']) {
+    expect(await getCachedResponse(new Request(`http://localhost${path}`), route)).toBeNull()
+  }
+  await store('/s-maxage', { 'Cache-Control': 'max-age=0, s-maxage=60' })
+  expect(await getCachedResponse(new Request('http://localhost/s-maxage'), route)).not.toBeNull()
+})
+
+test('stale responses are served within the stale windows', async () => {
+  const route = cachedRoute(50)
+  route.cacheStrategy = { type: 'basic', ttl: 50, staleWhileRevalidate: 100, staleIfError: 200 }
+  const freshness = async (/** @type {string} */ path) => (await getCachedResponse(new Request(`http://localhost${path}`), route))?.freshness
+  await storeCachedResponse(new Request('http://localhost/route'), new Response('body'), route)
+  await storeCachedResponse(new Request('http://localhost/upstream'), new Response('body', { headers: { 'Cache-Control': 'max-age=0, stale-while-revalidate=0, stale-if-error=1' } }), route)
+  await storeCachedResponse(new Request('http://localhost/revalidate'), new Response('body', { headers: { 'Cache-Control': 'max-age=60, must-revalidate' } }), route)
+  expect(await freshness('/route')).toBe('fresh')
+  expect(await freshness('/upstream')).toBe('stale-if-error')
+
+  await sleep(60)
+  expect(await freshness('/route')).toBe('stale-while-revalidate')
+  await sleep(100)
+  expect(await freshness('/route')).toBe('stale-if-error')
+  await sleep(100)
+  expect(await freshness('/route')).toBeUndefined()
+  expect(await freshness('/upstream')).toBe('stale-if-error')
+  expect(await freshness('/revalidate')).toBe('fresh')
+})
+
+test('responses vary on the request headers', async () => {
+  const route = cachedRoute(60000)
+  const request = (/** @type {string} */ language) => new Request('http://localhost/vary', { headers: { 'Accept-Language': language } })
+  await storeCachedResponse(request('fr'), new Response('bonjour', { headers: { Vary: 'Accept-Language' } }), route)
+  await storeCachedResponse(request('en'), new Response('hello', { headers: { Vary: 'Accept-Language' } }), route)
+  expect(await (await getCachedResponse(request('fr'), route))?.response.text()).toBe('bonjour')
+  expect(await (await getCachedResponse(request('en'), route))?.response.text()).toBe('hello')
+  expect(await getCachedResponse(request('de'), route)).toBeNull()
+})
+
+test('responses are cached by route', async () => {
+  const route = cachedRoute(60000)
+  /** @type {import('../src/libs/routing-table.js').Route} */
+  const adminRoute = { ...cachedRoute(60000), match: { headers: [{ name: 'X-Admin' }] } }
+  await storeCachedResponse(new Request('http://localhost/shared'), new Response('public'), route)
+  expect(await getCachedResponse(new Request('http://localhost/shared'), adminRoute)).toBeNull()
+  await storeCachedResponse(new Request('http://localhost/shared'), new Response('admin'), adminRoute)
+  expect(await (await getCachedResponse(new Request('http://localhost/shared'), route))?.response.text()).toBe('public')
+  expect(await (await getCachedResponse(new Request('http://localhost/shared'), adminRoute))?.response.text()).toBe('admin')
+})
+
+test('responses of authenticated routes are only stored if explicitly public', async () => {
+  /** @type {import('../src/libs/routing-table.js').Route} */
+  const route = { ...cachedRoute(60000), authenticationStrategy: { type: 'api-key', keys: [] } }
+  // The API key is removed from the request before it is forwarded
+  await storeCachedResponse(new Request('http://localhost/consumer'), new Response('consumer-a'), route)
+  expect(await getCachedResponse(new Request('http://localhost/consumer'), route)).toBeNull()
+  await storeCachedResponse(new Request('http://localhost/public'), new Response('public', { headers: { 'Cache-Control': 'public' } }), route)
+  expect(await (await getCachedResponse(new Request('http://localhost/public'), route))?.response.text()).toBe('public')
+})
+
+test('cached responses are purged by URL, prefix, route and tag', async () => {
+  const route = cachedRoute(60000)
+  const otherRoute = { ...cachedRoute(60000), path: '/other' }
+  const store = async (/** @type {string} */ path, /** @type {import('../src/libs/routing-table.js').Route} */ storingRoute = route) =>
+    await storeCachedResponse(new Request(`http://localhost${path}`), new Response('body', { headers: { 'Surrogate-Key': `page ${path}` } }), storingRoute)
+  const isCached = async (/** @type {string} */ path) => await getCachedResponse(new Request(`http://localhost${path}`), route) !== null
+
+  await Promise.all(['/a', '/assets/1', '/assets/2', '/b'].map(path => store(path)))
+  await store('/other', otherRoute)
+  expect(purgeMemoryCache({ url: 'http://localhost/a' })).toBe(1)
+  expect(purgeMemoryCache({ prefix: 'http://localhost/assets/' })).toBe(2)
+  expect(purgeMemoryCache({ routeKeys: [getRouteKey(otherRoute)] })).toBe(1)
+  expect(await isCached('/b')).toBe(true)
+  expect(purgeMemoryCache({ tag: '/b' })).toBe(1)
+  expect(await isCached('/b')).toBe(false)
+})
+
+test('responses larger than the maximum entry size are streamed without being stored', async () => {
+  const route = cachedRoute(60000)
+  const chunk = new Uint8Array(1024 * 1024).fill(97)
+  let sentChunks = 0
+  // A 16 MiB body without "Content-Length" header
+  const body = new ReadableStream({
+    pull (controller) {
+      if (sentChunks++ < 16) {
+        controller.enqueue(chunk)
+      } else {
+        controller.close()
+      }
+    }
+  })
+  const response = await storeCachedResponse(new Request('http://localhost/large'), new Response(body), route)
+  // The body is read only up to the maximum entry size
+  expect(sentChunks).toBeLessThan(16)
+  expect((await response.arrayBuffer()).byteLength).toBe(16 * 1024 * 1024)
+  expect(await getCachedResponse(new Request('http://localhost/large'), route)).toBeNull()
+})
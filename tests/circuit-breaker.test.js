@@ -0,0 +1,46 @@
+import { test, expect } from 'bun:test'
+import { sleep } from 'bun'
+import { isCircuitAvailable, getCircuitState, startCircuitRequest, recordCircuitResult } from '../src/libs/circuit-breaker.js'
+
+test('circuit opens after consecutive failures and closes after a successful trial', async () => {
+  const targetKey = 'forward:http://consecutive'
+  /** @type {import('../src/libs/routing-table.js').CircuitBreaker} */
+  const circuitBreaker = { consecutiveFailures: 3, cooldown: 50 }
+  recordCircuitResult(targetKey, circuitBreaker, false)
+  recordCircuitResult(targetKey, circuitBreaker, false)
+  recordCircuitResult(targetKey, circuitBreaker, true)
+  recordCircuitResult(targetKey, circuitBreaker, false)
+  recordCircuitResult(targetKey, circuitBreaker, false)
+  expect(getCircuitState(targetKey)).toBe('closed')
+  recordCircuitResult(targetKey, circuitBreaker, false)
+  expect(getCircuitState(targetKey)).toBe('open')
+  expect(isCircuitAvailable(targetKey)).toBe(false)
+
+  await sleep(60)
+  expect(isCircuitAvailable(targetKey)).toBe(true)
+  expect(startCircuitRequest(targetKey)).toBe(true)
+  expect(getCircuitState(targetKey)).toBe('half-open')
+  // A single trial request is allowed, even for the requests that found the circuit available before the trial started
+  expect(isCircuitAvailable(targetKey)).toBe(false)
+  expect(startCircuitRequest(targetKey)).toBe(false)
+  recordCircuitResult(targetKey, circuitBreaker, false)
+  expect(getCircuitState(targetKey)).toBe('open')
+
+  await sleep(60)
+  expect(startCircuitRequest(targetKey)).toBe(true)
+  recordCircuitResult(targetKey, circuitBreaker, true)
+  expect(getCircuitState(targetKey)).toBe('closed')
+  expect(isCircuitAvailable(targetKey)).toBe(true)
+})
+
+test('circuit opens when the error rate exceeds the threshold', () => {
+  const targetKey = 'forward:http://error-rate'
+  /** @type {import('../src/libs/routing-table.js').CircuitBreaker} */
+  const circuitBreaker = { errorRate: 0.5, minimumRequests: 4 }
+  recordCircuitResult(targetKey, circuitBreaker, false)
+  recordCircuitResult(targetKey, circuitBreaker, true)
+  recordCircuitResult(targetKey, circuitBreaker, false)
+  expect(getCircuitState(targetKey)).toBe('closed')
+  recordCircuitResult(targetKey, circuitBreaker, true)
+  expect(getCircuitState(targetKey)).toBe('open')
+})
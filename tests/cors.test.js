@@ -0,0 +1,64 @@
+import { test, expect } from 'bun:test'
+import { isPreflightRequest, isOriginAllowed, getPreflightResponse, applyCorsHeaders } from '../src/libs/cors.js'
+
+/** @type {import('../src/libs/routing-table.js').CorsPolicy} */
+const cors = {
+  origins: ['https://app.example.com', 'https://*.example.org'],
+  methods: ['GET', 'POST'],
+  exposedHeaders: ['X-Request-Id'],
+  credentials: true,
+  maxAge: 600
+}
+
+test('origins are matched against the allowed origin patterns', () => {
+  expect(isOriginAllowed(cors, 'https://app.example.com')).toBe(true)
+  expect(isOriginAllowed(cors, 'https://admin.example.org')).toBe(true)
+  expect(isOriginAllowed(cors, 'https://example.org')).toBe(false)
+  expect(isOriginAllowed(cors, 'https://app.example.com.evil.com')).toBe(false)
+  expect(isOriginAllowed(cors, 'http://app.example.com')).toBe(false)
+  expect(isOriginAllowed({ origins: ['*'] }, 'https://any.site')).toBe(true)
+  expect(isOriginAllowed(cors, 'HTTPS://Admin.Example.org')).toBe(true)
+  expect(isOriginAllowed(cors, 'https://evil.com/.example.org')).toBe(false)
+  expect(isOriginAllowed({ origins: ['https://*.*.example.com:*'] }, 'https://a.b.example.com:8443')).toBe(true)
+  expect(isOriginAllowed({ origins: ['https://*.*.example.com:*'] }, 'https://a.example.com:8443')).toBe(false)
+})
+
+test('preflight requests are answered at the proxy', () => {
+  const preflightRequest = new Request('http://localhost/api', {
+    method: 'OPTIONS',
+    headers: { Origin: 'https://app.example.com', 'Access-Control-Request-Method': 'POST', 'Access-Control-Request-Headers': 'Content-Type' }
+  })
+  expect(isPreflightRequest(preflightRequest)).toBe(true)
+  expect(isPreflightRequest(new Request('http://localhost/api', { method: 'OPTIONS' }))).toBe(false)
+
+  const response = getPreflightResponse(preflightRequest, cors)
+  expect(response.status).toBe(204)
+  expect(response.headers.get('Access-Control-Allow-Origin')).toBe('https://app.example.com')
+  expect(response.headers.get('Access-Control-Allow-Credentials')).toBe('true')
+  expect(response.headers.get('Access-Control-Allow-Methods')).toBe('GET, POST')
+  expect(response.headers.get('Access-Control-Allow-Headers')).toBe('Content-Type')
+  expect(response.headers.get('Access-Control-Max-Age')).toBe('600')
+
+  const deleteRequest = new Request('http://localhost/api', {
+    method: 'OPTIONS',
+    headers: { Origin: 'https://app.example.com', 'Access-Control-Request-Method': 'DELETE' }
+  })
+  expect(getPreflightResponse(deleteRequest, cors).status).toBe(403)
+})
+
+test('the route policy replaces the upstream CORS headers unless preserved', () => {
+  const headers = new Headers({ 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Methods': '*' })
+  applyCorsHeaders(headers, cors, 'https://app.example.com')
+  expect(headers.get('Access-Control-Allow-Origin')).toBe('https://app.example.com')
+  expect(headers.has('Access-Control-Allow-Methods')).toBe(false)
+  expect(headers.get('Access-Control-Expose-Headers')).toBe('X-Request-Id')
+  expect(headers.get('Vary')).toBe('Origin')
+
+  const disallowedHeaders = new Headers({ 'Access-Control-Allow-Origin': '*' })
+  applyCorsHeaders(disallowedHeaders, cors, 'https://evil.com')
+  expect(disallowedHeaders.has('Access-Control-Allow-Origin')).toBe(false)
+
+  const upstreamHeaders = new Headers({ 'Access-Control-Allow-Origin': 'https://upstream.example.com' })
+  applyCorsHeaders(upstreamHeaders, { ...cors, preserveUpstream: true }, 'https://app.example.com')
+  expect(upstreamHeaders.get('Access-Control-Allow-Origin')).toBe('https://upstream.example.com')
+})
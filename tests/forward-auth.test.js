@@ -0,0 +1,47 @@
+import { test, expect, afterAll } from 'bun:test'
+import { serve } from 'bun'
+import { forwardAuthentication } from '../src/libs/forward-auth.js'
+
+const authServer = serve({
+  port: 0,
+  fetch: (request) => {
+    if (request.headers.get('Authorization') !== 'Bearer valid') {
+      return new Response('Login required', { status: 302, headers: { Location: '/login' } })
+    }
+    return new Response(null, {
+      status: 204,
+      headers: {
+        'X-User-Id': '42',
+        'X-Original-Uri': `${request.headers.get('X-Forwarded-Method')} ${request.headers.get('X-Forwarded-Uri')}`
+      }
+    })
+  }
+})
+
+afterAll(() => {
+  authServer.stop(true)
+})
+
+test('requests are authorized by the authorization endpoint', async () => {
+  /** @type {import('../src/libs/routing-table.js').ForwardAuthAuthenticationStrategy} */
+  const strategy = {
+    type: 'forward-auth',
+    url: `http://localhost:${authServer.port}/auth`,
+    responseHeaders: ['X-User-Id', 'X-Original-Uri', 'X-Role']
+  }
+  const url = new URL('http://localhost/orders?page=2')
+  const request = new Request(url, { method: 'POST', headers: { Authorization: 'Bearer valid', 'X-Role': 'admin' } })
+  expect(await forwardAuthentication({ request, url, clientIp: '10.0.0.1', strategy })).toBeNull()
+  expect(request.headers.get('X-User-Id')).toBe('42')
+  expect(request.headers.get('X-Original-Uri')).toBe('POST /orders?page=2')
+  // The headers missing from the authorization response are removed
+  expect(request.headers.has('X-Role')).toBe(false)
+
+  const unauthorizedRequest = new Request(url, { headers: { Authorization: 'Bearer invalid' } })
+  const response = await forwardAuthentication({ request: unauthorizedRequest, url, clientIp: '10.0.0.1', strategy })
+  expect(response?.status).toBe(302)
+  expect(response?.headers.get('Location')).toBe('/login')
+
+  const unavailableResponse = await forwardAuthentication({ request, url, clientIp: '10.0.0.1', strategy: { ...strategy, url: 'http://localhost:1/auth' } })
+  expect(unavailableResponse?.status).toBe(503)
+})
@@ -0,0 +1,66 @@
+import { test, expect, afterAll } from 'bun:test'
+import { serve } from 'bun'
+import { updateHealthChecks, runHealthChecks, getTargetsHealth, getUnhealthyTargets, stopHealthChecks } from '../src/libs/health-checks.js'
+import { selectTarget, setUnhealthyTargets } from '../src/libs/load-balancing.js'
+
+let upstreamStatus = 200
+const upstream = serve({
+  port: 0,
+  fetch: () => new Response(null, { status: upstreamStatus })
+})
+
+afterAll(() => {
+  stopHealthChecks()
+  upstream.stop(true)
+})
+
+test('targets are ejected and restored by the health checks', async () => {
+  /** @type {import('../src/libs/routing-table.js').RoutingTable} */
+  const routingTable = [{
+    hostname: 'localhost',
+    path: '',
+    // The checks are run by the test, the interval being longer than the test
+    healthCheck: { path: '/health', interval: 60000, healthyThreshold: 1, unhealthyThreshold: 1 },
+    targets: [
+      { type: 'forward', url: `http://localhost:${upstream.port}` },
+      { type: 'forward', url: `http://localhost:${upstream.port}/`, healthCheck: { path: '/health', interval: 60000, expectedStatus: [503] } }
+    ]
+  }]
+  updateHealthChecks(routingTable)
+  expect(getTargetsHealth().map(health => health.url)).toEqual([
+    `http://localhost:${upstream.port}/health`,
+    `http://localhost:${upstream.port}/health`
+  ])
+
+  upstreamStatus = 503
+  await runHealthChecks()
+  expect(getUnhealthyTargets()).toEqual([`forward:http://localhost:${upstream.port}`])
+
+  upstreamStatus = 200
+  await runHealthChecks()
+  expect(getUnhealthyTargets()).toEqual([])
+
+  updateHealthChecks([])
+  expect(getTargetsHealth()).toEqual([])
+})
+
+test('unhealthy targets are excluded from load balancing', async () => {
+  /** @type {import('../src/libs/routing-table.js').Route} */
+  const route = {
+    hostname: 'localhost',
+    path: '',
+    loadBalancingStrategy: { type: 'round-robin' },
+    targets: [
+      { type: 'forward', url: 'http://a' },
+      { type: 'forward', url: 'http://b' }
+    ]
+  }
+  setUnhealthyTargets(['forward:http://a'])
+  for (let i = 0; i < 4; i++) {
+    expect(await selectTarget({ route })).toBe(route.targets[1])
+  }
+  expect(await selectTarget({ route: { ...route, loadBalancingStrategy: { type: 'ip-hash' } }, clientIp: '10.0.0.1' })).toBe(route.targets[1])
+  setUnhealthyTargets(['forward:http://a', 'forward:http://b'])
+  expect(await selectTarget({ route })).toBeNull()
+  setUnhealthyTargets([])
+})
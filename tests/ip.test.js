@@ -0,0 +1,38 @@
+import { test, expect } from 'bun:test'
+import { compileCidrs, compileIpFilter, getClientIp, isIpAllowed } from '../src/libs/ip.js'
+
+test('IP filters allow and deny CIDR ranges', () => {
+  /** @type {import('../src/libs/routing-table.js').IpFilter} */
+  const denyFirst = { allow: ['10.0.0.0/8', '2001:db8::/32'], deny: ['10.0.1.0/24'] }
+  expect(isIpAllowed(denyFirst, '10.0.0.1')).toBe(true)
+  expect(isIpAllowed(denyFirst, '::ffff:10.0.0.1')).toBe(true)
+  expect(isIpAllowed(denyFirst, '2001:db8::1')).toBe(true)
+  expect(isIpAllowed(denyFirst, '10.0.1.1')).toBe(false)
+  expect(isIpAllowed(denyFirst, '192.168.0.1')).toBe(false)
+
+  const allowFirst = { ...denyFirst, order: /** @type {'allow-first'} */ ('allow-first') }
+  expect(isIpAllowed(allowFirst, '10.0.1.1')).toBe(true)
+  expect(isIpAllowed(allowFirst, '192.168.0.1')).toBe(false)
+
+  const denyOnly = { deny: ['192.168.0.0/16'] }
+  expect(isIpAllowed(denyOnly, '192.168.0.1')).toBe(false)
+  expect(isIpAllowed(denyOnly, '10.0.0.1')).toBe(true)
+})
+
+test('the client IP is read from X-Forwarded-For only behind trusted proxies', () => {
+  const isTrustedProxy = compileCidrs(['10.0.0.0/8'])
+  const headers = new Headers({ 'X-Forwarded-For': '198.51.100.1, 203.0.113.7, 10.0.0.2' })
+  expect(getClientIp('10.0.0.1', headers)).toBe('10.0.0.1')
+  expect(getClientIp('192.0.2.1', headers, isTrustedProxy)).toBe('192.0.2.1')
+  // The spoofable leftmost address is ignored
+  expect(getClientIp('10.0.0.1', headers, isTrustedProxy)).toBe('203.0.113.7')
+  expect(getClientIp('10.0.0.1', new Headers({ 'X-Forwarded-For': 'invalid, 10.0.0.2' }), isTrustedProxy)).toBe('10.0.0.2')
+  expect(getClientIp('10.0.0.1', new Headers(), isTrustedProxy)).toBe('10.0.0.1')
+})
+
+test('invalid CIDR ranges and IP filter orders are rejected', () => {
+  expect(() => compileCidrs(['10.0.0.0/8', '10.0.0.0/33'])).toThrow('Invalid IP address or CIDR range')
+  expect(() => isIpAllowed({ deny: ['not-an-ip'] }, '10.0.0.1')).toThrow('Invalid IP address or CIDR range')
+  const filter = { allow: ['10.0.0.0/8'], order: /** @type {any} */ ('allow-last') }
+  expect(() => compileIpFilter(filter)).toThrow('Invalid IP filter order')
+})
@@ -0,0 +1,105 @@
+import { test, expect, afterAll } from 'bun:test'
+import { serve } from 'bun'
+import { verifyJwt, jwtAuthentication } from '../src/libs/jwt.js'
+
+const rsaKeyPair = await crypto.subtle.generateKey(
+  { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+  true,
+  ['sign', 'verify']
+)
+const ecKeyPair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify'])
+const hmacKey = await crypto.subtle.importKey('raw', new TextEncoder().encode('secret'), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+
+const jwksServer = serve({
+  port: 0,
+  fetch: async () => Response.json({ keys: [{ ...await crypto.subtle.exportKey('jwk', ecKeyPair.publicKey), kid: 'ec' }] })
+})
+
+afterAll(() => {
+  jwksServer.stop(true)
+})
+
+/**
+ * @param {string} alg - The signature algorithm
+ * @param {{[key: string]: unknown}} claims - The token claims
+ * @param {string} [kid] - The key ID
+ * @returns {Promise<string>} The signed token
+ */
+async function sign (alg, claims, kid) {
+  const encode = (/** @type {object} */ value) => Buffer.from(JSON.stringify(value)).toString('base64url')
+  const data = `${encode({ alg, typ: 'JWT', kid })}.${encode(claims)}`
+  const signature = alg === 'HS256'
+    ? await crypto.subtle.sign('HMAC', hmacKey, new TextEncoder().encode(data))
+    : alg === 'RS256'
+      ? await crypto.subtle.sign('RSASSA-PKCS1-v1_5', rsaKeyPair.privateKey, new TextEncoder().encode(data))
+      : await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, ecKeyPair.privateKey, new TextEncoder().encode(data))
+  return `${data}.${Buffer.from(signature).toString('base64url')}`
+}
+
+test('tokens are verified with a secret, inline keys or a JWKS URL', async () => {
+  const claims = { sub: 'alice', exp: Math.floor(Date.now() / 1000) + 60 }
+  const secretStrategy = /** @type {import('../src/libs/routing-table.js').JwtAuthenticationStrategy} */ ({ type: 'jwt', secret: 'secret' })
+  expect(await verifyJwt(await sign('HS256', claims), secretStrategy)).toEqual({ valid: true, claims })
+  expect((await verifyJwt(await sign('HS256', claims), { ...secretStrategy, secret: 'other' })).error).toBe('Invalid signature')
+  expect((await verifyJwt(await sign('HS256', claims), { ...secretStrategy, algorithms: ['RS256'] })).error).toBe('Unsupported algorithm')
+
+  const jwksStrategy = /** @type {import('../src/libs/routing-table.js').JwtAuthenticationStrategy} */ ({
+    type: 'jwt',
+    jwks: { keys: [await crypto.subtle.exportKey('jwk', rsaKeyPair.publicKey)] },
+    jwksUrl: `http://localhost:${jwksServer.port}/.well-known/jwks.json`
+  })
+  expect((await verifyJwt(await sign('RS256', claims), jwksStrategy)).valid).toBe(true)
+  expect((await verifyJwt(await sign('ES256', claims, 'ec'), jwksStrategy)).valid).toBe(true)
+  expect((await verifyJwt(await sign('ES256', claims, 'unknown'), jwksStrategy)).error).toBe('No matching key')
+  // A token signed with the secret can't be verified with the public keys
+  expect((await verifyJwt(await sign('HS256', claims), jwksStrategy)).error).toBe('No matching key')
+  expect((await verifyJwt('not.a.token', jwksStrategy)).error).toBe('Malformed token')
+})
+
+test('token claims are validated', async () => {
+  const now = Math.floor(Date.now() / 1000)
+  /** @type {import('../src/libs/routing-table.js').JwtAuthenticationStrategy} */
+  const strategy = { type: 'jwt', secret: 'secret', issuer: 'https://issuer', audience: ['api', 'admin'], clockTolerance: 5000 }
+  const verify = async (/** @type {{[key: string]: unknown}} */ claims) => (await verifyJwt(await sign('HS256', { iss: 'https://issuer', aud: 'api', ...claims }), strategy)).error
+  expect(await verify({ exp: now + 60, nbf: now })).toBeUndefined()
+  expect(await verify({ exp: now - 2 })).toBeUndefined()
+  expect(await verify({ exp: now - 10 })).toBe('Token expired')
+  expect(await verify({ nbf: now + 60 })).toBe('Token not yet valid')
+  expect(await verify({ iss: 'https://other' })).toBe('Invalid issuer')
+  expect(await verify({ aud: ['other', 'admin'] })).toBeUndefined()
+  expect(await verify({ aud: 'other' })).toBe('Invalid audience')
+})
+
+test('the token content is never reflected in the error', async () => {
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256"\r\nX-Injected: true', typ: 'JWT' })).toString('base64url')
+  const payload = Buffer.from(JSON.stringify({ sub: 'user' })).toString('base64url')
+  const verification = await verifyJwt(`${header}.${payload}.signature`, { type: 'jwt', secret: 'secret' })
+  expect(verification.error).toBe('Unsupported algorithm')
+})
+
+test('the authenticated requests forward the token claims as headers', async () => {
+  const strategy = /** @type {import('../src/libs/routing-table.js').JwtAuthenticationStrategy} */ ({
+    type: 'jwt',
+    secret: 'secret',
+    forwardClaims: { sub: 'X-User', roles: 'X-Roles', email: 'X-Email' }
+  })
+  const { response } = await jwtAuthentication({ request: new Request('http://localhost/'), strategy })
+  expect(response?.status).toBe(401)
+  expect(response?.headers.get('WWW-Authenticate')).toBe('Bearer')
+
+  const { response: invalidResponse } = await jwtAuthentication({
+    request: new Request('http://localhost/', { headers: { Authorization: 'Bearer not.a.token' } }),
+    strategy
+  })
+  expect(invalidResponse?.headers.get('WWW-Authenticate')).toBe('Bearer error="invalid_token", error_description="Malformed token"')
+
+  const claims = { sub: 'alice', roles: ['admin'], exp: Math.floor(Date.now() / 1000) + 60 }
+  const request = new Request('http://localhost/', {
+    headers: { Authorization: `Bearer ${await sign('HS256', claims)}`, 'X-User': 'mallory', 'X-Email': 'mallory@example.com' }
+  })
+  expect(await jwtAuthentication({ request, strategy })).toEqual({ response: null, claims })
+  // The headers sent by the client are replaced or removed
+  expect(request.headers.get('X-User')).toBe('alice')
+  expect(request.headers.get('X-Roles')).toBe('["admin"]')
+  expect(request.headers.has('X-Email')).toBe(false)
+})
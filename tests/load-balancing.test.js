@@ -0,0 +1,121 @@
+import { test, expect } from 'bun:test'
+import { selectTarget, getAffinityCookie, buildWeightedSequence, startTargetRequest, endTargetRequest } from '../src/libs/load-balancing.js'
+
+test('smooth weighted round-robin sequence', () => {
+  expect(buildWeightedSequence([5, 1, 1])).toEqual([0, 0, 1, 0, 2, 0, 0])
+  expect(buildWeightedSequence([1, 0])).toEqual([0])
+  expect(buildWeightedSequence([0, 0])).toEqual([])
+})
+
+test('round-robin strategies', async () => {
+  /** @type {import('../src/libs/routing-table.js').Route} */
+  const route = {
+    hostname: 'localhost',
+    path: '',
+    loadBalancingStrategy: { type: 'weighted-round-robin' },
+    targets: [
+      { type: 'forward', url: 'http://a', weight: 2 },
+      { type: 'forward', url: 'http://b' },
+      { type: 'forward', url: 'http://c', weight: 0 }
+    ]
+  }
+  const selected = []
+  for (let i = 0; i < 6; i++) {
+    selected.push((await selectTarget({ route }))?.weight ?? 1)
+  }
+  expect(selected).toEqual([2, 1, 2, 2, 1, 2])
+
+  route.targets.forEach(target => { target.weight = 0 })
+  expect(await selectTarget({ route: { ...route } })).toBeNull()
+  expect(await selectTarget({ route: { ...route, loadBalancingStrategy: { type: 'round-robin' } } })).toBe(route.targets[0])
+})
+
+test('least connections strategy', async () => {
+  /** @type {import('../src/libs/routing-table.js').Route} */
+  const route = {
+    hostname: 'localhost',
+    path: '',
+    loadBalancingStrategy: { type: 'least-connections' },
+    targets: [
+      { type: 'forward', url: 'http://a' },
+      { type: 'forward', url: 'http://b' }
+    ]
+  }
+  startTargetRequest(route.targets[0])
+  startTargetRequest(route.targets[0])
+  startTargetRequest(route.targets[1])
+  expect(await selectTarget({ route })).toBe(route.targets[1])
+  endTargetRequest(route.targets[0])
+  endTargetRequest(route.targets[0])
+  expect(await selectTarget({ route })).toBe(route.targets[0])
+  endTargetRequest(route.targets[1])
+})
+
+test('ip hash strategy only moves the clients of added targets', async () => {
+  /** @type {import('../src/libs/routing-table.js').Route} */
+  const route = {
+    hostname: 'localhost',
+    path: '',
+    loadBalancingStrategy: { type: 'ip-hash' },
+    targets: ['a', 'b', 'c'].map(name => ({ type: 'forward', url: `http://${name}` }))
+  }
+  const clientIps = Array.from({ length: 200 }, (_, i) => `10.0.${Math.floor(i / 100)}.${i % 100}`)
+  const before = await Promise.all(clientIps.map(clientIp => selectTarget({ route, clientIp })))
+  expect(await selectTarget({ route, clientIp: clientIps[0] })).toBe(before[0])
+  expect(new Set(before).size).toBe(3)
+
+  /** @type {import('../src/libs/routing-table.js').Route} */
+  const scaledRoute = { ...route, targets: [...route.targets, { type: 'forward', url: 'http://d' }] }
+  const after = await Promise.all(clientIps.map(clientIp => selectTarget({ route: scaledRoute, clientIp })))
+  const movedClients = after.filter((target, i) => target !== before.at(i))
+  expect(movedClients.every(target => target?.type === 'forward' && target.url === 'http://d')).toBe(true)
+})
+
+test('sticky cookie strategy', async () => {
+  /** @type {import('../src/libs/routing-table.js').Route} */
+  const route = {
+    hostname: 'localhost',
+    path: '',
+    loadBalancingStrategy: { type: 'sticky-cookie', secret: 'a-very-long-secret', fallback: 'round-robin' },
+    targets: ['a', 'b', 'c'].map(name => ({ type: 'forward', url: `http://${name}` }))
+  }
+  const firstRequest = new Request('http://localhost/')
+  const target = await selectTarget({ route, request: firstRequest })
+  expect(target).not.toBeNull()
+  if (!target) {
+    return
+  }
+  const affinityCookie = String(getAffinityCookie({ route, request: firstRequest }, target))
+  expect(affinityCookie).toStartWith('maegashira_affinity=')
+
+  const pinnedRequest = new Request('http://localhost/', { headers: { Cookie: affinityCookie.split(';')[0] } })
+  for (let i = 0; i < 3; i++) {
+    expect(await selectTarget({ route, request: pinnedRequest })).toBe(target)
+  }
+  expect(getAffinityCookie({ route, request: pinnedRequest }, target)).toBeNull()
+
+  const tamperedRequest = new Request('http://localhost/', { headers: { Cookie: affinityCookie.split(';')[0].replace(/.$/, '_') } })
+  expect(getAffinityCookie({ route, request: tamperedRequest }, target)).not.toBeNull()
+
+  /** @type {import('../src/libs/routing-table.js').Route} */
+  const scaledDownRoute = { ...route, targets: route.targets.filter(t => t !== target) }
+  const fallbackTarget = await selectTarget({ route: scaledDownRoute, request: pinnedRequest })
+  expect(fallbackTarget !== null && scaledDownRoute.targets.includes(fallbackTarget)).toBe(true)
+})
+
+test('excluded targets are not selected', async () => {
+  /** @type {import('../src/libs/routing-table.js').Route} */
+  const route = {
+    hostname: 'localhost',
+    path: '',
+    loadBalancingStrategy: { type: 'round-robin' },
+    targets: [
+      { type: 'forward', url: 'http://a' },
+      { type: 'forward', url: 'http://b' }
+    ]
+  }
+  for (let i = 0; i < 4; i++) {
+    expect(await selectTarget({ route, excludedTargets: [route.targets[0]] })).toBe(route.targets[1])
+  }
+  expect(await selectTarget({ route, excludedTargets: route.targets })).toBeNull()
+})
@@ -0,0 +1,278 @@
+import { test, expect, afterAll } from 'bun:test'
+import { write } from 'bun'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { rm } from 'node:fs/promises'
+import {
+  executePreProcessingMiddlewares,
+  executePostProcessingMiddlewares,
+  loadMiddlewares,
+  findMissingMiddlewares
+} from '../src/libs/middlewares.js'
+
+const middlewaresDirectory = join(tmpdir(), `maegashira-test-middlewares-${process.pid}`)
+
+afterAll(async () => {
+  await rm(middlewaresDirectory, { recursive: true, force: true })
+})
+
+/** @type {import('../src/libs/routing-table.js').Route} */
+const route = {
+  hostname: 'localhost',
+  path: '/api/*',
+  targets: [
+    { type: 'forward', url: 'http://localhost:3001' },
+    { type: 'forward', url: 'http://localhost:3002' }
+  ]
+}
+
+/** @type {import('../src/worker-process.js').PreProcessingMiddleware[]} */
+const preProcessingMiddlewares = [
+  {
+    key: 'rewrite',
+    /**
+     * @param {import('../src/worker-process.js').PreProcessingMiddlewareState} state - The state
+     * @returns {Promise<import('../src/worker-process.js').PreProcessingMiddlewareState>} The updated state
+     */
+    handler: async (state) => {
+      const body = await state.json()
+      state.method = 'PUT'
+      state.url.pathname = '/api/v2/orders'
+      state.url.searchParams.set('source', 'proxy')
+      state.headers['x-tenant'] = body.tenant
+      state.body = { ...body, processed: true }
+      state.target = state.route.targets[1]
+      state.context.tenant = body.tenant
+      return state
+    }
+  },
+  {
+    key: 'failing',
+    /**
+     * @param {import('../src/worker-process.js').PreProcessingMiddlewareState} state - The state
+     */
+    handler: (state) => {
+      state.headers['x-tenant'] = 'overwritten'
+      throw new Error('Middleware failure')
+    }
+  },
+  {
+    key: 'partial',
+    /**
+     * @returns {Partial<import('../src/worker-process.js').PreProcessingMiddlewareState>} The changed fields of the state
+     */
+    handler: () => ({ action: 'next', method: 'PATCH' })
+  },
+  {
+    key: 'respond',
+    /**
+     * @param {import('../src/worker-process.js').PreProcessingMiddlewareState} state - The state
+     * @returns {import('../src/worker-process.js').PreProcessingMiddlewareState} The updated state
+     */
+    handler: (state) => ({ ...state, action: 'respond', response: Response.json({ tenant: state.context.tenant }, { status: 202 }) })
+  }
+]
+
+/** @type {import('../src/worker-process.js').PostProcessingMiddleware[]} */
+const middlewares = [
+  {
+    key: 'addUser',
+    /**
+     * @param {import('../src/worker-process.js').PostProcessingMiddlewareState} state - The state
+     * @returns {Promise<import('../src/worker-process.js').PostProcessingMiddlewareState>} The updated state
+     */
+    handler: async (state) => {
+      const body = await state.json()
+      state.body = { ...body, user: 'alice' }
+      state.headers['x-processed'] = 'true'
+      return state
+    }
+  },
+  {
+    key: 'created',
+    /**
+     * @param {import('../src/worker-process.js').PostProcessingMiddlewareState} state - The state
+     * @returns {Promise<import('../src/worker-process.js').PostProcessingMiddlewareState>} The updated state
+     */
+    handler: async (state) => ({ ...state, status: 201, statusText: 'Created', body: `${await state.text()}\n` })
+  },
+  {
+    key: 'failing',
+    handler: () => {
+      throw new Error('Middleware failure')
+    }
+  },
+  {
+    key: 'partial',
+    /**
+     * @returns {Partial<import('../src/worker-process.js').PostProcessingMiddlewareState>} The changed fields of the state
+     */
+    handler: () => ({ action: 'next', statusText: 'Partial' })
+  },
+  {
+    key: 'cancel',
+    /**
+     * @param {import('../src/worker-process.js').PostProcessingMiddlewareState} state - The state
+     * @returns {import('../src/worker-process.js').PostProcessingMiddlewareState} The updated state
+     */
+    handler: (state) => ({ ...state, action: 'cancel', cancellationReason: 'forbidden_content' })
+  }
+]
+
+/**
+ * @returns {import('../src/worker-process.js').Transaction} A transaction
+ */
+const createTransaction = () => /** @type {import('../src/worker-process.js').Transaction} */ ({ transaction_id: 'test' })
+
+test('post-processing middlewares rewrite the response in order', async () => {
+  const response = await executePostProcessingMiddlewares({
+    routeMiddlewares: ['addUser', 'unknown', 'failing', 'created'],
+    middlewares,
+    response: Response.json({ id: 1 }, { headers: { 'Set-Cookie': 'a=1' } }),
+    context: {},
+    transaction: createTransaction()
+  })
+  expect(response.status).toBe(201)
+  expect(response.statusText).toBe('Created')
+  expect(response.headers.get('x-processed')).toBe('true')
+  expect(response.headers.get('content-type')).toContain('application/json')
+  expect(response.headers.getSetCookie()).toEqual(['a=1'])
+  expect(await response.text()).toBe('{"id":1,"user":"alice"}\n')
+})
+
+test('the fields omitted by post-processing middlewares are left unchanged', async () => {
+  const response = await executePostProcessingMiddlewares({
+    routeMiddlewares: ['partial'],
+    middlewares,
+    response: new Response('body', { status: 202, headers: { 'X-Upstream': 'true' } }),
+    context: {},
+    transaction: createTransaction()
+  })
+  expect(response.status).toBe(202)
+  expect(response.statusText).toBe('Partial')
+  expect(response.headers.get('x-upstream')).toBe('true')
+  expect(await response.text()).toBe('body')
+})
+
+test('post-processing middlewares can cancel the response', async () => {
+  const transaction = createTransaction()
+  const response = await executePostProcessingMiddlewares({
+    routeMiddlewares: ['cancel', 'addUser'],
+    middlewares,
+    response: new Response('Secret'),
+    context: {},
+    transaction
+  })
+  expect(response.status).toBe(502)
+  expect(transaction.transaction_cancelled).toBe(true)
+  expect(transaction.transaction_cancellation_reason).toBe('forbidden_content')
+})
+
+test('pre-processing middlewares rewrite the request and pick the target', async () => {
+  const url = new URL('http://localhost/api/orders')
+  const request = new Request(url, { method: 'POST', body: JSON.stringify({ tenant: 'acme' }), headers: { 'Content-Type': 'application/json' } })
+  /** @type {Record<string, any>} */
+  const context = {}
+  const result = await executePreProcessingMiddlewares({
+    routeMiddlewares: ['rewrite', 'failing'],
+    middlewares: preProcessingMiddlewares,
+    request,
+    url,
+    route,
+    target: route.targets[0],
+    context,
+    transaction: createTransaction()
+  })
+  expect(result.response).toBeUndefined()
+  expect(result.request.method).toBe('PUT')
+  expect(result.url.href).toBe('http://localhost/api/v2/orders?source=proxy')
+  expect(result.request.url).toBe(result.url.href)
+  // The changes of the failing middleware are discarded
+  expect(result.request.headers.get('x-tenant')).toBe('acme')
+  expect(await result.request.json()).toEqual({ tenant: 'acme', processed: true })
+  expect(result.target).toBe(route.targets[1])
+  expect(context).toEqual({ tenant: 'acme' })
+})
+
+test('the fields omitted by pre-processing middlewares are left unchanged', async () => {
+  const url = new URL('http://localhost/api/orders?page=2')
+  const result = await executePreProcessingMiddlewares({
+    routeMiddlewares: ['partial'],
+    middlewares: preProcessingMiddlewares,
+    request: new Request(url, { method: 'POST', body: 'payload', headers: { 'X-Tenant': 'acme' } }),
+    url,
+    route,
+    target: route.targets[1],
+    context: {},
+    transaction: createTransaction()
+  })
+  expect(result.request.method).toBe('PATCH')
+  expect(result.url.href).toBe('http://localhost/api/orders?page=2')
+  expect(result.request.headers.get('x-tenant')).toBe('acme')
+  expect(await result.request.text()).toBe('payload')
+  expect(result.target).toBe(route.targets[1])
+})
+
+test('pre-processing middlewares can respond instead of the target', async () => {
+  const url = new URL('http://localhost/api/orders')
+  const transaction = createTransaction()
+  const result = await executePreProcessingMiddlewares({
+    routeMiddlewares: ['respond', 'rewrite'],
+    middlewares: preProcessingMiddlewares,
+    request: new Request(url),
+    url,
+    route,
+    target: route.targets[0],
+    context: { tenant: 'acme' },
+    transaction
+  })
+  expect(result.response?.status).toBe(202)
+  expect(await result.response?.json()).toEqual({ tenant: 'acme' })
+  expect(transaction.transaction_cancelled).toBeUndefined()
+})
+
+test('middlewares are loaded from module files and checked against the routing table', async () => {
+  await write(join(middlewaresDirectory, 'tenant.js'), `
+    export const preProcessing = {
+      tenant: (state) => ({ ...state, headers: { ...state.headers, 'x-tenant': state.options.tenant } })
+    }
+    export const postProcessing = {
+      poweredBy: (state) => state
+    }
+  `)
+  await write(join(middlewaresDirectory, 'README.md'), '# Not a module')
+  const middlewares = await loadMiddlewares(middlewaresDirectory)
+  expect(middlewares.preProcessing.map(middleware => middleware.key)).toEqual(['tenant'])
+  expect(middlewares.postProcessing.map(middleware => middleware.key)).toEqual(['poweredBy'])
+
+  /** @type {import('../src/libs/routing-table.js').RoutingTable} */
+  const routingTable = [
+    {
+      ...route,
+      middlewares: {
+        preProcessing: [{ key: 'tenant', options: { tenant: 'acme' } }, 'unknown'],
+        postProcessing: ['poweredBy']
+      }
+    }
+  ]
+  expect(findMissingMiddlewares(routingTable, middlewares)).toEqual([
+    { route: 'localhost/api/*', phase: 'preProcessing', key: 'unknown' }
+  ])
+
+  // The route options are passed to the middlewares
+  const url = new URL('http://localhost/api/orders')
+  const result = await executePreProcessingMiddlewares({
+    routeMiddlewares: [{ key: 'tenant', options: { tenant: 'acme' } }],
+    middlewares: middlewares.preProcessing,
+    request: new Request(url),
+    url,
+    route,
+    target: route.targets[0],
+    context: {},
+    transaction: createTransaction()
+  })
+  expect(result.request.headers.get('x-tenant')).toBe('acme')
+
+  await write(join(middlewaresDirectory, 'duplicate.js'), 'export const postProcessing = { poweredBy: (state) => state }')
+  await expect(loadMiddlewares(middlewaresDirectory)).rejects.toThrow('Duplicate middleware key')
+})
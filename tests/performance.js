@@ -1,8 +1,15 @@
 // import autocannon from 'autocannon'
-import { env, spawn } from 'bun'
+import { env, spawn, nanoseconds } from 'bun'
+import { compileRoutingTable, findRoute } from '../src/libs/route-matcher.js'
 
 let proxyProc
 
+// Run with "bun tests/performance.js --routing" to only benchmark the route matching
+if (process.argv.includes('--routing')) {
+  benchmarkRouteMatching()
+  process.exit(0)
+}
+
 try {
   registerSystemEventsHandlers()
 
@@ -73,6 +80,54 @@ try {
   if (proxyProc) { proxyProc.kill(1) }
 }
 
+/**
+ * @function benchmarkRouteMatching
+ * @description Compare the route lookup duration of a linear scan of the routing table and of the compiled routing table
+ * @param {number} [routesCount] - The number of routes in the routing table
+ * @param {number} [iterations] - The number of lookups
+ */
+function benchmarkRouteMatching (routesCount = 5000, iterations = 100000) {
+  /** @type {import('../src/libs/routing-table.js').RoutingTable} */
+  const routingTable = []
+  for (let i = 0; i < routesCount; i++) {
+    routingTable.push({
+      hostname: `service-${i}.example.com`,
+      path: `/api/v${i % 10}`,
+      targets: [{ type: 'forward', url: `http://service-${i}:3000` }]
+    })
+  }
+  const requests = Array.from({ length: 1000 }, (_, i) => {
+    const service = Math.floor(Math.random() * routesCount)
+    return { hostname: `service-${service}.example.com`, path: `/api/v${service % 10}/users/${i}` }
+  })
+
+  // Linear scan of the routing table, the route matching strategy before the routing table was compiled
+  let start = nanoseconds()
+  for (let i = 0; i < iterations; i++) {
+    const request = requests[i % requests.length]
+    routingTable.find(route => route.hostname === request.hostname && request.path.startsWith(route.path))
+  }
+  const linearScanDuration = (nanoseconds() - start) / 1e6
+
+  start = nanoseconds()
+  const compiledRoutingTable = compileRoutingTable(routingTable)
+  const compilationDuration = (nanoseconds() - start) / 1e6
+
+  start = nanoseconds()
+  for (let i = 0; i < iterations; i++) {
+    const request = requests[i % requests.length]
+    findRoute(compiledRoutingTable, request.hostname, request.path)
+  }
+  const compiledDuration = (nanoseconds() - start) / 1e6
+
+  console.log(`Route matching benchmark: ${iterations} lookups in a routing table of ${routesCount} routes`)
+  console.table({
+    'Linear scan': { 'Total (ms)': linearScanDuration, 'Per lookup (µs)': linearScanDuration * 1000 / iterations },
+    'Compiled routing table': { 'Total (ms)': compiledDuration, 'Per lookup (µs)': compiledDuration * 1000 / iterations }
+  })
+  console.log(`Routing table compiled in ${compilationDuration.toFixed(2)} ms, ${(linearScanDuration / compiledDuration).toFixed(1)}x faster lookups`)
+}
+
 /**
  * Id used to check if a graceful exit has already been started
  * @type {number}
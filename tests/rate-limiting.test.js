@@ -0,0 +1,132 @@
+import { test, expect } from 'bun:test'
+import { checkRateLimit, checkAuthenticationRateLimit, countFailedAuthentication, getRateLimitHeaders, getRateLimitIdentity, incrementLocalCounter } from '../src/libs/rate-limiting.js'
+import { apiKeyAuthentication, hashApiKey } from '../src/libs/api-keys.js'
+
+test('fixed window counts the requests until the window ends', () => {
+  expect(incrementLocalCounter('fixed-window', 'fixed', 2, 1000, 0)).toEqual([1, 1, 1000, 0])
+  expect(incrementLocalCounter('fixed-window', 'fixed', 2, 1000, 100)).toEqual([1, 0, 900, 0])
+  expect(incrementLocalCounter('fixed-window', 'fixed', 2, 1000, 200)).toEqual([0, 0, 800, 800])
+  expect(incrementLocalCounter('fixed-window', 'fixed', 2, 1000, 1000)).toEqual([1, 1, 1000, 0])
+})
+
+test('sliding window weights the previous window count', () => {
+  expect(incrementLocalCounter('sliding-window', 'sliding', 2, 1000, 0)[0]).toBe(1)
+  expect(incrementLocalCounter('sliding-window', 'sliding', 2, 1000, 500)[0]).toBe(1)
+  expect(incrementLocalCounter('sliding-window', 'sliding', 2, 1000, 900)).toEqual([0, 0, 1100, 100])
+  // 2 requests in the previous window weighted by 75%
+  expect(incrementLocalCounter('sliding-window', 'sliding', 2, 1000, 1250)).toEqual([0, 0, 1750, 250])
+  expect(incrementLocalCounter('sliding-window', 'sliding', 2, 1000, 1500)).toEqual([1, 0, 1500, 0])
+})
+
+test('token bucket allows bursts and refills over time', () => {
+  expect(incrementLocalCounter('token-bucket', 'bucket', 2, 10, 0)).toEqual([1, 1, 100, 0])
+  expect(incrementLocalCounter('token-bucket', 'bucket', 2, 10, 0)).toEqual([1, 0, 200, 0])
+  expect(incrementLocalCounter('token-bucket', 'bucket', 2, 10, 50)).toEqual([0, 0, 150, 50])
+  expect(incrementLocalCounter('token-bucket', 'bucket', 2, 10, 100)).toEqual([1, 0, 200, 0])
+})
+
+/** @type {import('../src/libs/routing-table.js').Route} */
+const route = {
+  hostname: 'localhost',
+  path: '/limited',
+  rateLimitStrategy: { type: 'fixed-window', limit: 1, window: 60000 },
+  targets: [{ type: 'forward', url: 'http://localhost:3000' }]
+}
+
+test('requests are counted by IP, header, API key or user', () => {
+  const request = new Request('http://localhost/', { headers: { 'X-Tenant': 'acme', 'X-API-Key': 'secret' } })
+  const context = { route, request, clientIp: '10.0.0.1', user: 'alice' }
+  expect(getRateLimitIdentity(undefined, context)).toBe('ip:10.0.0.1')
+  expect(getRateLimitIdentity({ type: 'header', name: 'X-Tenant' }, context)).toBe('header:acme')
+  expect(getRateLimitIdentity({ type: 'header', name: 'X-Other' }, context)).toBe('ip:10.0.0.1')
+  expect(getRateLimitIdentity({ type: 'api-key' }, context)).toBe('api-key:secret')
+  expect(getRateLimitIdentity({ type: 'user' }, context)).toBe('user:alice')
+  expect(getRateLimitIdentity({ type: 'user' }, { ...context, user: undefined })).toBe('ip:10.0.0.1')
+})
+
+test('rejected requests get the rate limit headers', async () => {
+  const context = { route, request: new Request('http://localhost/limited'), clientIp: '10.0.0.2' }
+  expect(await checkRateLimit({ ...context, route: { ...route, rateLimitStrategy: { type: 'none' } } })).toBeNull()
+  expect((await checkRateLimit(context))?.allowed).toBe(true)
+  const result = await checkRateLimit(context)
+  expect(result?.allowed).toBe(false)
+  const headers = getRateLimitHeaders(/** @type {import('../src/libs/rate-limiting.js').RateLimitResult} */ (result))
+  expect(headers).toEqual({
+    'RateLimit-Limit': '1',
+    'RateLimit-Remaining': '0',
+    'RateLimit-Reset': '60',
+    'RateLimit-Policy': '1;w=60',
+    'Retry-After': '60'
+  })
+})
+
+test('requests authenticated by API key are counted by key', async () => {
+  /** @type {import('../src/libs/routing-table.js').ApiKeyAuthenticationStrategy} */
+  const strategy = {
+    type: 'api-key',
+    keys: [{ hash: hashApiKey('key-a'), consumer: 'consumer-a' }, { hash: hashApiKey('key-b'), consumer: 'consumer-b' }]
+  }
+  /** @type {import('../src/libs/routing-table.js').Route} */
+  const apiKeyRoute = {
+    ...route,
+    path: '/api-key-limited',
+    authenticationStrategy: strategy,
+    rateLimitStrategy: { type: 'fixed-window', limit: 1, window: 60000, key: { type: 'api-key' } }
+  }
+  /**
+   * @param {string} key - The API key
+   * @returns {Promise<boolean|undefined>} True if the request is allowed by the rate limit
+   */
+  const sendRequest = async (key) => {
+    const url = new URL('http://localhost/api-key-limited')
+    const request = new Request(url, { headers: { 'X-API-Key': key } })
+    const { response, keyHash } = await apiKeyAuthentication({ request, url, strategy })
+    expect(response).toBeNull()
+    // The key is not forwarded to the target
+    expect(request.headers.has('X-API-Key')).toBe(false)
+    return (await checkRateLimit({ route: apiKeyRoute, request, clientIp: '10.0.0.3', apiKeyHash: keyHash }))?.allowed
+  }
+  expect(await sendRequest('key-a')).toBe(true)
+  expect(await sendRequest('key-a')).toBe(false)
+  // Another key from the same IP has its own limit
+  expect(await sendRequest('key-b')).toBe(true)
+})
+
+test('failed authentications are counted by client IP until the credentials are not verified anymore', async () => {
+  /** @type {import('../src/libs/routing-table.js').ApiKeyAuthenticationStrategy} */
+  const strategy = { type: 'api-key', keys: [{ hash: hashApiKey('key-a'), consumer: 'consumer-a' }] }
+  /** @type {import('../src/libs/routing-table.js').Route} */
+  const authenticatedRoute = {
+    ...route,
+    path: '/brute-forced',
+    authenticationStrategy: strategy,
+    rateLimitStrategy: { type: 'fixed-window', limit: 3, window: 60000, key: { type: 'api-key' } }
+  }
+  /**
+   * @param {string} key - The API key
+   * @returns {Promise<number>} The response status, as sent by the worker
+   */
+  const sendRequest = async (key) => {
+    const url = new URL('http://localhost/brute-forced')
+    const request = new Request(url, { headers: { 'X-API-Key': key } })
+    const context = { route: authenticatedRoute, request, clientIp: '10.0.0.4' }
+    if ((await checkAuthenticationRateLimit(context))?.allowed === false) {
+      return 429
+    }
+    const { response } = await apiKeyAuthentication({ request, url, strategy })
+    if (response) {
+      return (await countFailedAuthentication(context))?.allowed === false ? 429 : response.status
+    }
+    return 200
+  }
+  expect(await sendRequest('key-a')).toBe(200)
+  for (let attempt = 0; attempt < 3; attempt++) {
+    expect(await sendRequest(`guess-${attempt}`)).toBe(401)
+  }
+  expect(await sendRequest('guess-3')).toBe(429)
+  // The valid key is not verified either once the client IP exceeded the limit
+  expect(await sendRequest('key-a')).toBe(429)
+  // The anonymous routes have no failed authentications
+  const anonymousRoute = { ...authenticatedRoute, authenticationStrategy: undefined }
+  expect(await checkAuthenticationRateLimit({ route: anonymousRoute, request: new Request('http://localhost/'), clientIp: '10.0.0.4' })).toBeNull()
+})
@@ -0,0 +1,185 @@
+import { test, expect, afterAll } from 'bun:test'
+import { serve, sleep } from 'bun'
+import { forwardRequest } from '../src/worker-process.js'
+
+/**
+ * The number of requests received by the target, by test
+ * @type {Map<string, number>}
+ */
+const receivedRequests = new Map()
+
+// The target fails the first "X-Failures" requests of each test, then echoes the request body
+const targetServer = serve({
+  port: 0,
+  fetch: async (request) => {
+    const testId = String(request.headers.get('X-Test-Id'))
+    const count = (receivedRequests.get(testId) || 0) + 1
+    receivedRequests.set(testId, count)
+    if (count <= Number(request.headers.get('X-Failures'))) {
+      if (new URL(request.url).pathname === '/slow') {
+        await sleep(200)
+      }
+      return new Response('Unavailable', { status: 503 })
+    }
+    return new Response(await request.text())
+  }
+})
+
+// The port of a stopped server, refusing the connections
+const stoppedServer = serve({ port: 0, fetch: () => new Response() })
+const stoppedServerUrl = `http://localhost:${stoppedServer.port}`
+stoppedServer.stop(true)
+
+afterAll(() => {
+  targetServer.stop(true)
+})
+
+/**
+ * @param {object} options - The options
+ * @param {string} options.testId - The test identifier, counting the target requests
+ * @param {number} options.failures - The number of requests the target fails
+ * @param {import('../src/libs/routing-table.js').RetryStrategy} options.retryStrategy - The route retry strategy
+ * @param {string} [options.method] - The request method (default: GET)
+ * @param {string} [options.body] - The request body
+ * @param {string} [options.path] - The request path (default: /)
+ * @param {string[]} [options.targetUrls] - The route target URLs, the first one being selected (default: the test target)
+ * @returns {Promise<{response: Response, transaction: import('../src/worker-process.js').Transaction}>} The response and the transaction
+ */
+const forward = async ({ testId, failures, retryStrategy, method = 'GET', body, path = '/', targetUrls = [`http://localhost:${targetServer.port}`] }) => {
+  /** @type {import('../src/libs/routing-table.js').Route} */
+  const route = {
+    hostname: 'localhost',
+    path: '',
+    timeout: 100,
+    retryStrategy,
+    targets: targetUrls.map(url => ({ type: 'forward', url }))
+  }
+  const url = new URL(`http://localhost${path}`)
+  const request = new Request(url, { method, body, headers: { 'X-Test-Id': testId, 'X-Failures': String(failures) } })
+  /** @type {import('../src/worker-process.js').Transaction} */
+  const transaction = { transaction_id: testId, transaction_start: new Date().toISOString() }
+  const { response } = await forwardRequest({
+    request,
+    url,
+    route,
+    routeMatch: { route, params: {}, prefix: '' },
+    target: /** @type {import('../src/libs/routing-table.js').ForwardTarget} */ (route.targets[0]),
+    clientIp: '127.0.0.1',
+    transaction
+  })
+  return { response, transaction }
+}
+
+test('failed requests are retried up to the maximum attempts on the configured statuses', async () => {
+  const { response, transaction } = await forward({
+    testId: 'statuses',
+    failures: 2,
+    retryStrategy: { type: 'fixed', maxAttempts: 3, delay: 1, retryOnStatuses: [503] }
+  })
+  expect(response.status).toBe(200)
+  expect(transaction.target_request_retries).toBe(2)
+  expect(transaction.target_request_attempts?.map(attempt => attempt.retry_reason)).toEqual(['status_503', 'status_503'])
+
+  const { response: failedResponse, transaction: failedTransaction } = await forward({
+    testId: 'max-attempts',
+    failures: 5,
+    retryStrategy: { type: 'fixed', maxAttempts: 2, delay: 1, retryOnStatuses: [503] }
+  })
+  expect(failedResponse.status).toBe(503)
+  expect(failedTransaction.target_request_retries).toBe(1)
+  expect(receivedRequests.get('max-attempts')).toBe(2)
+
+  // The statuses are not retried unless configured
+  const { response: notRetriedResponse, transaction: notRetriedTransaction } = await forward({
+    testId: 'no-statuses',
+    failures: 1,
+    retryStrategy: { type: 'fixed', delay: 1 }
+  })
+  expect(notRetriedResponse.status).toBe(503)
+  expect(notRetriedTransaction.target_request_retries).toBeUndefined()
+})
+
+test('connection errors and timeouts are retried unless disabled', async () => {
+  const { response, transaction } = await forward({
+    testId: 'connection-error',
+    failures: 0,
+    retryStrategy: { type: 'fixed', delay: 1 },
+    targetUrls: [stoppedServerUrl, `http://localhost:${targetServer.port}`]
+  })
+  expect(response.status).toBe(200)
+  expect(transaction.target_request_attempts?.[0]).toMatchObject({ target_url: stoppedServerUrl, retry_reason: 'fetch_failed' })
+
+  const { response: failedResponse, transaction: failedTransaction } = await forward({
+    testId: 'no-connection-error',
+    failures: 0,
+    retryStrategy: { type: 'fixed', delay: 1, retryOnConnectionError: false },
+    targetUrls: [stoppedServerUrl, `http://localhost:${targetServer.port}`]
+  })
+  expect(failedResponse.status).toBe(500)
+  expect(failedTransaction.target_request_retries).toBeUndefined()
+  expect(failedTransaction.transaction_cancellation_reason).toBe('fetch_failed')
+
+  const { response: timeoutResponse, transaction: timeoutTransaction } = await forward({
+    testId: 'timeout',
+    failures: 1,
+    path: '/slow',
+    retryStrategy: { type: 'fixed', delay: 1 }
+  })
+  expect(timeoutResponse.status).toBe(200)
+  expect(timeoutTransaction.target_request_attempts?.[0].retry_reason).toBe('timeout')
+
+  const { response: noTimeoutResponse, transaction: noTimeoutTransaction } = await forward({
+    testId: 'no-timeout',
+    failures: 1,
+    path: '/slow',
+    retryStrategy: { type: 'fixed', delay: 1, retryOnTimeout: false }
+  })
+  expect(noTimeoutResponse.status).toBe(504)
+  expect(noTimeoutTransaction.transaction_cancellation_reason).toBe('timeout')
+})
+
+test('only the idempotent methods are retried by default, with their body sent again', async () => {
+  const { response, transaction } = await forward({
+    testId: 'post',
+    failures: 1,
+    method: 'POST',
+    body: 'payload',
+    retryStrategy: { type: 'fixed', delay: 1, retryOnStatuses: [503] }
+  })
+  expect(response.status).toBe(503)
+  expect(transaction.target_request_retries).toBeUndefined()
+
+  const { response: putResponse } = await forward({
+    testId: 'put',
+    failures: 2,
+    method: 'PUT',
+    body: 'payload',
+    retryStrategy: { type: 'fixed', delay: 1, retryOnStatuses: [503] }
+  })
+  expect(await putResponse.text()).toBe('payload')
+
+  const { response: retriedPostResponse } = await forward({
+    testId: 'retried-post',
+    failures: 1,
+    method: 'POST',
+    body: 'payload',
+    retryStrategy: { type: 'fixed', delay: 1, retryOnStatuses: [503], methods: ['post'] }
+  })
+  expect(await retriedPostResponse.text()).toBe('payload')
+})
+
+test('the retry delays are fixed or exponential up to the maximum delay', async () => {
+  const { transaction } = await forward({
+    testId: 'fixed',
+    failures: 2,
+    retryStrategy: { type: 'fixed', delay: 5, retryOnStatuses: [503] }
+  })
+  expect(transaction.target_request_attempts?.map(attempt => attempt.retry_delay)).toEqual([5, 5])
+
+  const { transaction: exponentialTransaction } = await forward({
+    testId: 'exponential',
+    failures: 4,
+    retryStrategy: { type: 'exponential', maxAttempts: 5, delay: 5, maxDelay: 15, retryOnStatuses: [503] }
+  })
+  expect(exponentialTransaction.target_request_attempts?.map(attempt => attempt.retry_delay)).toEqual([5, 10, 15, 15])
+})
@@ -0,0 +1,104 @@
+import { test, expect } from 'bun:test'
+import { compileRoutingTable, findRoute } from '../src/libs/route-matcher.js'
+import { checkRoutingTable } from '../src/libs/routing-table.js'
+
+/** @type {import('../src/libs/routing-table.js').ForwardTarget[]} */
+const targets = [{ type: 'forward', url: 'http://localhost:3000' }]
+
+test('route priority does not depend on the routing table order', () => {
+  /** @type {import('../src/libs/routing-table.js').RoutingTable} */
+  const routingTable = [
+    { hostname: '*.example.com', path: '', targets },
+    { hostname: 'api.example.com', path: '', targets },
+    { hostname: 'api.example.com', path: '/v2', targets },
+    { hostname: 'api.example.com', path: '/legacy', priority: -1, targets }
+  ]
+  const compiledRoutingTable = compileRoutingTable(routingTable)
+  expect(findRoute(compiledRoutingTable, 'api.example.com', '/v2/users')?.route).toBe(routingTable[2])
+  expect(findRoute(compiledRoutingTable, 'api.example.com', '/v1/users')?.route).toBe(routingTable[1])
+  expect(findRoute(compiledRoutingTable, 'api.example.com', '/legacy')?.route).toBe(routingTable[1])
+  expect(findRoute(compiledRoutingTable, 'www.example.com', '/')?.route).toBe(routingTable[0])
+  expect(findRoute(compiledRoutingTable, 'a.b.example.com', '/')).toBeNull()
+})
+
+test('glob and regex path patterns', () => {
+  /** @type {import('../src/libs/routing-table.js').RoutingTable} */
+  const routingTable = [
+    { hostname: '*', path: '/assets/**/*.png', pathType: 'glob', targets },
+    { hostname: '*', path: '^/api/v[0-9]+/', pathType: 'regex', targets }
+  ]
+  const compiledRoutingTable = compileRoutingTable(routingTable)
+  expect(findRoute(compiledRoutingTable, 'localhost', '/assets/img/logo.png')?.route).toBe(routingTable[0])
+  expect(findRoute(compiledRoutingTable, 'localhost', '/assets/img/logo.svg')).toBeNull()
+  expect(findRoute(compiledRoutingTable, 'localhost', '/api/v3/users')?.route).toBe(routingTable[1])
+})
+
+test('routing table schema validates patterns', () => {
+  expect(checkRoutingTable([{ hostname: '*.example.com', path: '', targets }])).toBeNull()
+  expect(checkRoutingTable([{ hostname: 'api.*.com', path: '/api', pathType: 'glob', targets }])).toBeNull()
+  expect(checkRoutingTable([{ hostname: 'exa mple.com', path: '', targets }])).not.toBeNull()
+  expect(checkRoutingTable([{ hostname: 'localhost', path: '^/api/(', pathType: 'regex', targets }])).not.toBeNull()
+})
+
+test('prefix path parameters', () => {
+  /** @type {import('../src/libs/routing-table.js').RoutingTable} */
+  const routingTable = [
+    { hostname: 'localhost', path: '/users/:id/*rest', targets },
+    { hostname: 'localhost', path: '^/orders/(?<orderId>[0-9]+)$', pathType: 'regex', targets }
+  ]
+  const compiledRoutingTable = compileRoutingTable(routingTable)
+  expect(findRoute(compiledRoutingTable, 'localhost', '/users/42/orders/1')).toEqual({
+    route: routingTable[0],
+    params: { id: '42', rest: 'orders/1' },
+    prefix: '/users/42/orders/1'
+  })
+  expect(findRoute(compiledRoutingTable, 'localhost', '/users/42')?.params).toEqual({ id: '42' })
+  expect(findRoute(compiledRoutingTable, 'localhost', '/users')).toBeNull()
+  expect(findRoute(compiledRoutingTable, 'localhost', '/orders/7')?.params).toEqual({ orderId: '7' })
+  expect(checkRoutingTable([{ hostname: 'localhost', path: '/users/*rest/:id', targets }])).not.toBeNull()
+  expect(checkRoutingTable([{ hostname: 'localhost', path: '/users/:id/:id', targets }])).not.toBeNull()
+})
+
+test('route match conditions', () => {
+  /** @type {import('../src/libs/routing-table.js').RoutingTable} */
+  const routingTable = [
+    { hostname: 'localhost', path: '/api', targets },
+    { hostname: 'localhost', path: '/api', match: { headers: [{ name: 'accept', value: 'application/grpc-web' }] }, targets },
+    { hostname: 'localhost', path: '/api', match: { methods: ['post'], headers: [{ name: 'x-api-version', pattern: '^2' }] }, targets },
+    { hostname: 'localhost', path: '/api', match: { cookies: [{ name: 'beta' }], clientIps: ['10.0.0.0/8', '2001:db8::/32'] }, targets }
+  ]
+  const compiledRoutingTable = compileRoutingTable(routingTable)
+  /**
+   * @param {string} method - The request method
+   * @param {object} headers - The request headers
+   * @param {string} [clientIp] - The client IP address
+   * @returns {import('../src/libs/route-matcher.js').RequestContext} The request context
+   */
+  const context = (method, headers, clientIp = '127.0.0.1') => ({
+    method,
+    headers: new Headers(headers),
+    query: new URLSearchParams(),
+    clientIp
+  })
+  expect(findRoute(compiledRoutingTable, 'localhost', '/api', context('GET', {}))?.route).toBe(routingTable[0])
+  expect(findRoute(compiledRoutingTable, 'localhost', '/api', context('GET', { Accept: 'application/grpc-web' }))?.route).toBe(routingTable[1])
+  expect(findRoute(compiledRoutingTable, 'localhost', '/api', context('POST', { 'X-Api-Version': '2.1' }))?.route).toBe(routingTable[2])
+  expect(findRoute(compiledRoutingTable, 'localhost', '/api', context('GET', { 'X-Api-Version': '2.1' }))?.route).toBe(routingTable[0])
+  expect(findRoute(compiledRoutingTable, 'localhost', '/api', context('GET', { Cookie: 'beta=1' }, '::ffff:10.1.2.3'))?.route).toBe(routingTable[3])
+  expect(findRoute(compiledRoutingTable, 'localhost', '/api', context('GET', { Cookie: 'beta=1' }, '2001:db8::1'))?.route).toBe(routingTable[3])
+  expect(findRoute(compiledRoutingTable, 'localhost', '/api', context('GET', { Cookie: 'beta=1' }, '192.168.1.1'))?.route).toBe(routingTable[0])
+  expect(checkRoutingTable([{ hostname: 'localhost', path: '', match: { clientIps: ['10.0.0.0/33'] }, targets }])).not.toBeNull()
+})
+
+test('prefix tree lookup', () => {
+  /** @type {import('../src/libs/routing-table.js').RoutingTable} */
+  const routingTable = ['', '/api', '/apiv2', '/api/users', '/app', '/assets'].map(path => ({ hostname: 'localhost', path, targets }))
+  const compiledRoutingTable = compileRoutingTable(routingTable)
+  expect(findRoute(compiledRoutingTable, 'localhost', '/api/users/1')?.route).toBe(routingTable[3])
+  expect(findRoute(compiledRoutingTable, 'localhost', '/api/orders')?.route).toBe(routingTable[1])
+  expect(findRoute(compiledRoutingTable, 'localhost', '/apiv2/users')?.route).toBe(routingTable[2])
+  expect(findRoute(compiledRoutingTable, 'localhost', '/application')?.route).toBe(routingTable[4])
+  expect(findRoute(compiledRoutingTable, 'localhost', '/about')?.route).toBe(routingTable[0])
+  expect(findRoute(compiledRoutingTable, 'LOCALHOST', '/assets/logo.png')?.route).toBe(routingTable[5])
+  expect(findRoute(compiledRoutingTable, 'example.com', '/api')).toBeNull()
+})
@@ -0,0 +1,43 @@
+import { test, expect } from 'bun:test'
+import { getTemplateVariables, transformHeaders, transformQuery } from '../src/libs/transformations.js'
+
+/** @type {import('../src/libs/routing-table.js').Route} */
+const route = {
+  hostname: 'api.example.com',
+  path: '/tenants/:tenant/*',
+  targets: [{ type: 'forward', url: 'http://localhost:3000' }]
+}
+
+const variables = getTemplateVariables({
+  url: new URL('https://api.example.com/tenants/acme/orders?debug=1&page=2'),
+  method: 'GET',
+  routeMatch: { route, params: { tenant: 'acme' }, prefix: '/tenants/acme' },
+  clientIp: '10.0.0.1',
+  transaction: { transaction_id: 'tx-1', transaction_start: '', request_user: 'alice\r\nX-Injected: true' }
+})
+
+test('headers are removed, renamed, set and appended with templates', () => {
+  const headers = new Headers({ 'X-Internal': 'secret', 'X-Old': 'value', Via: '1.1 edge' })
+  transformHeaders(headers, {
+    remove: ['X-Internal'],
+    rename: { 'X-Old': 'X-New', 'X-Missing': 'X-Other' },
+    set: { 'X-Client-IP': '{clientIp}', 'X-Request-Id': '{transactionId}', 'X-Tenant': '{tenant}@{hostname}', 'X-User': '{user}' },
+    append: { Via: '1.1 {host}' }
+  }, variables)
+  expect(headers.has('X-Internal')).toBe(false)
+  expect(headers.has('X-Old')).toBe(false)
+  expect(headers.get('X-New')).toBe('value')
+  expect(headers.has('X-Other')).toBe(false)
+  expect(headers.get('X-Client-IP')).toBe('10.0.0.1')
+  expect(headers.get('X-Request-Id')).toBe('tx-1')
+  expect(headers.get('X-Tenant')).toBe('acme@api.example.com')
+  // The line breaks of the variables can't inject headers
+  expect(headers.get('X-User')).toBe('aliceX-Injected: true')
+  expect(headers.get('Via')).toBe('1.1 edge, 1.1 api.example.com')
+})
+
+test('query string parameters are removed and set with templates', () => {
+  const url = new URL('https://api.example.com/tenants/acme/orders?debug=1&page=2')
+  transformQuery(url.searchParams, { remove: ['debug'], set: { tenant: '{tenant}', page: '1', consumer: '{consumer}' } }, variables)
+  expect(url.search).toBe('?page=1&tenant=acme&consumer=')
+})
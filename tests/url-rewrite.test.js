@@ -0,0 +1,82 @@
+import { test, expect } from 'bun:test'
+import { buildForwardUrl, buildRedirectUrl } from '../src/libs/url-rewrite.js'
+import { checkRoutingTable } from '../src/libs/routing-table.js'
+
+test('route prefix is stripped by default', () => {
+  const upstreamUrl = buildForwardUrl({
+    requestUrl: new URL('http://localhost/api/users?page=2'),
+    targetUrl: 'http://service:3000',
+    pathMatch: { params: {}, prefix: '/api' }
+  })
+  expect(upstreamUrl.href).toBe('http://service:3000/users?page=2')
+})
+
+test('URL template, rewrite rules and query rewrite', () => {
+  const pathMatch = { params: { id: '42', rest: 'orders/1' }, prefix: '/users/42/orders/1' }
+  const templateUrl = buildForwardUrl({
+    requestUrl: new URL('http://localhost/users/42/orders/1?debug=true&page=2'),
+    targetUrl: 'http://service:3000',
+    pathMatch,
+    rewrite: {
+      url: 'https://svc/v2/accounts/{id}/{rest}?source=proxy',
+      query: { add: { page: '1' }, remove: ['debug'] }
+    }
+  })
+  expect(templateUrl.href).toBe('https://svc/v2/accounts/42/orders/1?source=proxy&page=1')
+
+  // The relative templates of the routes keep the selected target
+  for (const targetUrl of ['http://service-a:3000', 'http://service-b:3000']) {
+    expect(buildForwardUrl({
+      requestUrl: new URL('http://localhost/users/42/orders/1'),
+      targetUrl,
+      pathMatch,
+      rewrite: { url: '/v2/accounts/{id}/{rest}?source=proxy' }
+    }).href).toBe(`${targetUrl}/v2/accounts/42/orders/1?source=proxy`)
+  }
+
+  const rulesUrl = buildForwardUrl({
+    requestUrl: new URL('http://localhost/legacy/item.php?id=3'),
+    targetUrl: 'http://service:3000/v2',
+    pathMatch: { params: {}, prefix: '/legacy' },
+    rewrite: { rules: [{ pattern: '^/(\\w+)\\.php$', replacement: '/$1s' }] }
+  })
+  expect(rulesUrl.href).toBe('http://service:3000/v2/items?id=3')
+})
+
+test('redirect URL', () => {
+  const requestUrl = new URL('http://example.com/old/docs/intro?lang=en')
+  const pathMatch = { params: {}, prefix: '/old' }
+  expect(buildRedirectUrl({
+    requestUrl,
+    pathMatch,
+    target: { type: 'redirect', url: 'https://www.{hostname}/new/', preservePath: true, preserveQuery: true }
+  }).href).toBe('https://www.example.com/new/docs/intro?lang=en')
+  expect(buildRedirectUrl({
+    requestUrl,
+    pathMatch,
+    target: { type: 'redirect', url: 'https://docs.example.com{path}' }
+  }).href).toBe('https://docs.example.com/docs/intro')
+})
+
+test('redirect URL templates are validated and keep the host within the route hostnames', () => {
+  // The path parameters are rendered after the host
+  expect(buildRedirectUrl({
+    requestUrl: new URL('http://example.com/go/evil.com'),
+    pathMatch: { params: { site: 'evil.com' }, prefix: '/go' },
+    target: { type: 'redirect', url: 'https://example.com{site}' }
+  }).href).toBe('https://example.com/evil.com')
+
+  /**
+   * @param {string} hostname - The route hostname
+   * @param {string} url - The redirect URL template
+   * @returns {boolean} True if the routing table is valid
+   */
+  const isValidRedirect = (hostname, url) => checkRoutingTable([{ hostname, path: '', targets: [{ type: 'redirect', url }] }]) === null
+  expect(isValidRedirect('example.com', 'https://www.{hostname}{path}')).toBe(true)
+  expect(isValidRedirect('*.example.com', 'https://{hostname}/')).toBe(true)
+  expect(isValidRedirect('*', 'https://example.com/?from={hostname}')).toBe(true)
+  expect(isValidRedirect('*', 'https://{hostname}/')).toBe(false)
+  expect(isValidRedirect('api.*.com', 'https://{hostname}/')).toBe(false)
+  expect(isValidRedirect('example.com', '/relative')).toBe(false)
+  expect(isValidRedirect('example.com', 'https://exa mple.com/')).toBe(false)
+})